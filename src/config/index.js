@@ -1,6 +1,9 @@
 // src/config/index.js
 require('dotenv').config();
 
+const MB = 1024 * 1024;
+const visionMaxImageBytes = (parseInt(process.env.VISION_MAX_IMAGE_MB) || 20) * MB;
+const visionMaxImages = parseInt(process.env.VISION_MAX_IMAGES) || 10;
 
 const config = {
   port: process.env.PORT || 3000,
@@ -10,7 +13,80 @@ const config = {
   from_email: process.env.FROM_EMAIL || 'llmule@cm64.studio',
   api_url: process.env.API_URL || 'http://localhost:3000',
   default_rate_limit: process.env.RATE_LIMIT || 1000,
-  websocket_path: '/llm-network'
+  websocket_path: '/llm-network',
+  // Largest JSON request body, enough for a long conversation in text
+  max_body_bytes: (parseInt(process.env.MAX_BODY_MB) || 2) * MB,
+  // Largest JSON body on the authenticated routes that take image parts. By default room for
+  // the most base64 images a request may carry (4 characters per 3 bytes) plus the text.
+  max_image_body_bytes: (parseInt(process.env.MAX_IMAGE_BODY_MB) * MB) ||
+    visionMaxImages * Math.ceil(visionMaxImageBytes * 4 / 3) + 16 * MB,
+  // Failover to another provider on timeouts and invalid responses
+  failover: {
+    max_attempts: parseInt(process.env.FAILOVER_MAX_ATTEMPTS) || 3,
+    deadline_ms: parseInt(process.env.FAILOVER_DEADLINE_MS) || 240000 // 4 minutes across all attempts
+  },
+  routing: {
+    // How a provider is picked among the eligible ones: least-loaded, fastest, round-robin,
+    // cheapest, lowest-latency or random. Requests can override it with `routing`.
+    strategy: process.env.ROUTING_STRATEGY || 'least-loaded',
+    // Weight of the newest sample in the per-provider latency averages (TTFT, total, ping)
+    latency_ewma_alpha: parseFloat(process.env.LATENCY_EWMA_ALPHA) || 0.3
+  },
+  request_queue: {
+    // Requests wait this long for a slot when every provider of their model is at its load threshold
+    max_wait_ms: parseInt(process.env.REQUEST_QUEUE_MAX_WAIT_MS) || 30000,
+    max_depth: parseInt(process.env.REQUEST_QUEUE_MAX_DEPTH) || 100, // Per model or tier
+    // Share of the slots a consumer's requests get relative to others, by priority
+    priority_weights: {
+      interactive: 4,
+      standard: 2,
+      batch: 1
+    }
+  },
+  images: {
+    // Upper bound for the reassembled base64 payload of one image request
+    max_payload_bytes: (parseInt(process.env.IMAGE_MAX_PAYLOAD_MB) || 64) * 1024 * 1024
+  },
+  audio: {
+    max_file_bytes: (parseInt(process.env.AUDIO_MAX_FILE_MB) || 25) * 1024 * 1024,
+    chunk_bytes: 256 * 1024 // Raw bytes per audio_chunk WebSocket message
+  },
+  vision: {
+    max_image_bytes: visionMaxImageBytes,
+    max_images: visionMaxImages, // Per request
+    fetch_timeout_ms: parseInt(process.env.VISION_FETCH_TIMEOUT_MS) || 10000
+  },
+  batch: {
+    max_file_bytes: (parseInt(process.env.BATCH_MAX_FILE_MB) || 100) * 1024 * 1024,
+    max_requests: parseInt(process.env.BATCH_MAX_REQUESTS) || 50000, // Lines per batch
+    max_concurrency: parseInt(process.env.BATCH_MAX_CONCURRENCY) || 8, // Batch lines in flight across all providers
+    poll_interval_ms: parseInt(process.env.BATCH_POLL_INTERVAL_MS) || 5000,
+    retry_delay_ms: 30000, // Before retrying a line that found no idle provider
+    max_attempts: 3
+  },
+  idempotency: {
+    ttl_seconds: (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 3600,
+    max_response_bytes: 8 * 1024 * 1024 // Larger responses aren't stored (Mongo documents max out at 16MB)
+  },
+  response_cache: {
+    ttl_seconds: parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS) || 3600,
+    max_bytes: (parseInt(process.env.RESPONSE_CACHE_MAX_MB) || 64) * 1024 * 1024, // All entries together
+    max_entry_bytes: 1024 * 1024
+  },
+  session_affinity: {
+    // How long a conversation keeps going back to the provider that served its last turn
+    ttl_seconds: parseInt(process.env.SESSION_AFFINITY_TTL_SECONDS) || 600,
+    max_sessions: 100000
+  },
+  usage_verification: {
+    // Allowed deviation of provider-reported token counts from the server's estimate
+    tolerance: parseFloat(process.env.USAGE_VERIFICATION_TOLERANCE) || 0.25,
+    min_slack_tokens: 16 // Estimates are rough on very short texts
+  },
+  structured_output: {
+    // Retry on another provider when output fails JSON schema validation
+    retry_on_invalid: process.env.STRUCTURED_OUTPUT_RETRY === 'true'
+  }
 };
 
 module.exports = config;
\ No newline at end of file
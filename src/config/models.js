@@ -4,9 +4,50 @@ const modelConfig = {
     SMALL: 'small',   // Up to 3B params
     MEDIUM: 'medium', // 3B to 13B params
     LARGE: 'large',   // 13B to 30B params
-    XL: 'xl'         // 30B+ params
+    XL: 'xl',         // 30B+ params
+    EMBEDDING: 'embedding', // Embedding models, billed per input token
+    IMAGE: 'image',   // Image generation models, billed per image
+    WHISPER: 'whisper' // Speech-to-text models, billed per second of audio
   },
 
+  // Non-chat model types, their tier is the type itself.
+  // Checked before size patterns (e.g. all-minilm would otherwise match the "mini" rule)
+  typePatterns: {
+    embedding: [
+      /embed/i,           // nomic-embed-text, mxbai-embed-large, snowflake-arctic-embed
+      /\bbge-/i,          // bge-m3, bge-large
+      /\be5-/i,           // e5-mistral, multilingual-e5
+      /minilm/i,          // all-minilm
+      /\bgte-/i            // gte-base, gte-large
+    ],
+    image: [
+      /^image$/i,         // Generic "any image model" request
+      /stable-?diffusion/i,
+      /sdxl|sd-?turbo|\bsd-?[123](\.5)?\b/i,
+      /flux/i,
+      /dall-?e/i,
+      /kandinsky/i,
+      /playground-v/i
+    ],
+    whisper: [
+      /whisper/i,         // whisper-large-v3, distil-whisper, faster-whisper
+      /parakeet/i         // NVIDIA parakeet ASR
+    ]
+  },
+
+  // Chat models that accept image content parts, used when a provider
+  // doesn't tag its vision models at registration
+  visionPatterns: [
+    /llava/i,             // llava, bakllava, llava-llama3
+    /vision/i,            // llama3.2-vision, granite3.2-vision
+    /moondream/i,
+    /minicpm-v/i,
+    /(^|[-\d.])vl\b/i,    // qwen2-vl, qwen2.5vl
+    /pixtral/i,
+    /gemma3/i,
+    /llama4/i
+  ],
+
   // Model size patterns for classification
   sizePatterns: {
     small: [
@@ -133,7 +174,27 @@ const modelConfig = {
         gpu: '32GB VRAM'
       }
     },
-    
+
+    // Embedding Models
+    'nomic-embed-text': {
+      tier: 'embedding',
+      type: 'embedding',
+      context: 8192,
+      requirements: {
+        ram: '2GB',
+        gpu: false
+      }
+    },
+    'mxbai-embed-large': {
+      tier: 'embedding',
+      type: 'embedding',
+      context: 512,
+      requirements: {
+        ram: '2GB',
+        gpu: false
+      }
+    },
+
   },
 
   knownModels: {
@@ -203,6 +264,16 @@ class ModelManager {
     }
     
     //console.log('Getting model info for:', modelName);
+
+    // Embedding, image and speech-to-text models get their own tier and type
+    const modelType = this.getModelType(modelName);
+    if (modelType) {
+      const known = modelConfig.models[modelName.split(':')[0].toLowerCase()];
+      return {
+        ...this.createModelInfo(modelType, modelType),
+        ...(known?.context && { context: known.context })
+      };
+    }
   
     // Direct tier request
     if (['small', 'medium', 'large', 'xl'].includes(modelName.toLowerCase())) {
@@ -261,6 +332,24 @@ class ModelManager {
     return null;
   }
 
+  // Returns 'embedding', 'image' or 'whisper' for non-chat models, null for LLMs
+  static getModelType(modelName) {
+    if (!modelName) return null;
+    const name = String(typeof modelName === 'object' ? (modelName.name || modelName.id || '') : modelName);
+    for (const [type, patterns] of Object.entries(modelConfig.typePatterns)) {
+      if (patterns.some(pattern => pattern.test(name))) {
+        return type;
+      }
+    }
+    return null;
+  }
+
+  static isVisionModel(modelName) {
+    if (!modelName) return false;
+    const name = String(typeof modelName === 'object' ? (modelName.name || modelName.id || '') : modelName);
+    return modelConfig.visionPatterns.some(pattern => pattern.test(name));
+  }
+
   // Add this method to the ModelManager class in src/config/models.js
 
   static validateModel(modelName) {
@@ -279,6 +368,10 @@ class ModelManager {
       return true;
     }
 
+    if (this.getModelType(modelName)) {
+      return true;
+    }
+
     // Check if model exists in known models
     if (modelConfig.models[modelName]) {
       return true;
@@ -308,17 +401,23 @@ class ModelManager {
   }
 
   // Changed to static method and renamed without underscore
-  static createModelInfo(tier) {
+  static createModelInfo(tier, type = 'llm') {
     return {
       tier,
-      type: 'llm',
+      type,
       context: {
         small: 4096,
         medium: 8192,
         large: 32768,
-        xl: 32768
+        xl: 32768,
+        embedding: 8192,
+        image: 77, // CLIP prompt limit
+        whisper: 448 // Decoder tokens per 30s audio window
       }[tier] || 8192,
       requirements: {
+        embedding: { ram: '2GB', gpu: false },
+        image: { ram: '16GB', gpu: '8GB VRAM' },
+        whisper: { ram: '4GB', gpu: false },
         small: { ram: '4GB', gpu: false },
         medium: { ram: '8GB', gpu: '8GB VRAM' },
         large: { ram: '16GB', gpu: '16GB VRAM' },
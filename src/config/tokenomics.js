@@ -16,7 +16,28 @@ const tokenConfig = {
       small: 1_000_000,    // 1M tokens
       medium: 500_000,     // 500k tokens (2x cost)
       large: 250_000,      // 250k tokens (4x cost)
-      xl: 125_000          // 125k tokens (8x cost)
+      xl: 125_000,         // 125k tokens (8x cost)
+      embedding: 10_000_000 // 10M input tokens (embeddings are cheap to compute)
+    },
+
+    // Price reductions by request class, applied on top of the tier rate
+    discounts: {
+      batch: 0.5, // Batch jobs run on spare capacity at half price
+      // Responses served from the response cache, no provider involved (1 = free)
+      cache: process.env.CACHE_HIT_DISCOUNT !== undefined ? parseFloat(process.env.CACHE_HIT_DISCOUNT) : 1
+    },
+
+    // Price multipliers by scheduling priority (see config.request_queue.priority_weights)
+    priority_multipliers: {
+      interactive: 1.5,
+      standard: 1,
+      batch: 0.75
+    },
+
+    // Flat rates for models not metered in tokens (MULE per unit of the type's metric)
+    unit_rates: {
+      image: parseFloat(process.env.MULE_PER_IMAGE) || 0.002, // per generated image
+      whisper: parseFloat(process.env.MULE_PER_AUDIO_SECOND) || 0.00005 // per second of input audio
     },
   
     // Model type definitions
@@ -40,6 +61,11 @@ const tokenConfig = {
         input: ['text', 'image'],
         output: ['text'],
         metric: 'tokens'
+      },
+      embedding: {
+        input: ['text'],
+        output: ['vector'],
+        metric: 'tokens'
       }
     }
   };
@@ -72,6 +98,38 @@ const tokenConfig = {
       return parseFloat((tokens / rate).toFixed(6)); // 6 decimal precision
     }
     
+    static unitsToMules(units, tier) {
+      if (typeof units !== 'number' || isNaN(units) || units < 0) {
+          console.error('Invalid units value:', units);
+          return 0;
+      }
+      const rate = tokenConfig.unit_rates[tier];
+      if (!rate) {
+          console.error('Invalid unit tier:', tier);
+          return 0;
+      }
+      return parseFloat((units * rate).toFixed(6));
+    }
+
+    // Price an amount in the tier's own metric (tokens, images, ...),
+    // pricing names an entry of tokenConfig.discounts, priority one of tokenConfig.priority_multipliers
+    static calculateMules(amount, tier, pricing = null, priority = null) {
+      const mules = tier in tokenConfig.unit_rates ?
+        this.unitsToMules(amount, tier) :
+        this.tokensToMules(amount, tier);
+      return this.applyDiscount(this.applyPriority(mules, priority), pricing);
+    }
+
+    static applyPriority(mules, priority) {
+      const multiplier = tokenConfig.priority_multipliers[priority] ?? 1;
+      return parseFloat((mules * multiplier).toFixed(6));
+    }
+
+    static applyDiscount(mules, pricing) {
+      const discount = tokenConfig.discounts[pricing] || 0;
+      return parseFloat((mules * (1 - discount)).toFixed(6));
+    }
+
     static calculateProviderEarnings(tokens, tier) {
       const mules = this.tokensToMules(tokens, tier);
       return mules * (1 - tokenConfig.fees.platform_fee);
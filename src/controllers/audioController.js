@@ -0,0 +1,231 @@
+// src/controllers/audioController.js
+const multer = require('multer');
+const { body } = require('express-validator');
+const config = require('../config');
+const { ModelManager } = require('../config/models');
+const UsageVerificationService = require('../services/usageVerificationService');
+const {
+  rejectInvalidRequest,
+  watchClientDisconnect,
+  ensureBalance,
+  routeAndBill,
+  handleError
+} = require('./llmController');
+
+const RESPONSE_FORMATS = ['json', 'text', 'srt', 'verbose_json', 'vtt'];
+
+// Only used for the up-front balance check, the provider reports the real duration.
+// 16 kB/s matches 128 kbps audio, uncompressed formats overestimate.
+const ESTIMATED_BYTES_PER_SECOND = 16000;
+
+// Opus at 6 kbps, the lowest bitrate speech is encoded at. Caps the duration
+// a provider can bill for a file of a given size.
+const MIN_BYTES_PER_SECOND = 750;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.audio.max_file_bytes, files: 1 }
+}).single('file');
+
+// Parse the multipart body, rejecting oversized or missing files with API errors
+function receiveAudio(req, res, next) {
+  upload(req, res, (error) => {
+    if (error) {
+      return handleError({
+        code: 'INVALID_REQUEST',
+        param: 'file',
+        message: error.code === 'LIMIT_FILE_SIZE' ?
+          `file exceeds the ${config.audio.max_file_bytes / (1024 * 1024)}MB limit` :
+          `Invalid multipart upload: ${error.message}`
+      }, res);
+    }
+    if (!req.file || req.file.size === 0) {
+      return handleError({ code: 'INVALID_REQUEST', param: 'file', message: 'file is required' }, res);
+    }
+    next();
+  });
+}
+
+const commonFields = [
+  body('model').optional().isString().withMessage('model must be a string'),
+  body('prompt').optional().isString().withMessage('prompt must be a string'),
+  body('response_format').optional().isIn(RESPONSE_FORMATS)
+    .withMessage(`response_format must be one of: ${RESPONSE_FORMATS.join(', ')}`),
+  body('temperature').optional().isFloat({ min: 0, max: 1 })
+    .withMessage('temperature must be between 0 and 1')
+];
+
+// Request schemas for /v1/audio/transcriptions and /v1/audio/translations
+const validateTranscription = [
+  receiveAudio,
+  ...commonFields,
+  body('language').optional().isString().isLength({ min: 2, max: 3 })
+    .withMessage('language must be an ISO-639-1 code')
+];
+
+const validateTranslation = [
+  receiveAudio,
+  ...commonFields
+];
+
+const handleTranscription = (req, res) => handleAudioRequest(req, res, 'transcribe');
+const handleTranslation = (req, res) => handleAudioRequest(req, res, 'translate');
+
+async function handleAudioRequest(req, res, task) {
+  if (rejectInvalidRequest(req, res)) return;
+
+  const signal = watchClientDisconnect(res);
+
+  try {
+    const model = req.body.model || 'whisper';
+    const modelInfo = ModelManager.getModelInfo(model);
+    if (modelInfo?.type !== 'whisper') {
+      throw {
+        code: 'INVALID_MODEL',
+        message: `${model} is not a speech-to-text model`
+      };
+    }
+
+    const estimatedSeconds = Math.max(1, Math.ceil(req.file.size / ESTIMATED_BYTES_PER_SECOND));
+    await ensureBalance(req.user._id, modelInfo, estimatedSeconds);
+
+    const { response, usage, timing, isSelfService, muleAmount } = await routeAndBill(req.user._id, {
+      type: 'transcription_request',
+      model,
+      task,
+      audio: {
+        buffer: req.file.buffer,
+        filename: req.file.originalname,
+        mimeType: req.file.mimetype
+      },
+      language: task === 'transcribe' ? req.body.language : undefined,
+      prompt: req.body.prompt,
+      temperature: req.body.temperature !== undefined ? parseFloat(req.body.temperature) : undefined,
+      signal
+    }, {
+      modelInfo,
+      // Billed per started second of audio, never more than the file can hold
+      measure: response => UsageVerificationService.verifyDuration({
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0,
+        seconds: Math.ceil(getAudioDuration(response) ?? estimatedSeconds)
+      }, maxAudioSeconds(req.file.buffer))
+    });
+
+    sendAudioResponse(res, req.body.response_format || 'json', {
+      task,
+      response,
+      usage: {
+        type: 'duration',
+        seconds: usage.seconds,
+        mule_amount: Number(muleAmount.toFixed(6)),
+        duration_seconds: timing.duration_seconds,
+        transaction_mule_cost: isSelfService ? 0 : Number(muleAmount.toFixed(6))
+      }
+    });
+
+  } catch (error) {
+    handleError(error, res);
+  }
+}
+
+// Prefer the provider's reported duration, fall back to the end of the last segment
+function getAudioDuration(response) {
+  const duration = parseFloat(response.duration ?? response.usage?.seconds);
+  if (!isNaN(duration) && duration >= 0) return duration;
+
+  const lastSegment = response.segments?.[response.segments.length - 1];
+  return typeof lastSegment?.end === 'number' ? lastSegment.end : null;
+}
+
+// Most seconds of audio the upload can contain: exact for WAV, otherwise
+// what the file would hold at the lowest speech bitrate
+function maxAudioSeconds(buffer) {
+  return Math.ceil(getWavDuration(buffer) ?? buffer.length / MIN_BYTES_PER_SECOND);
+}
+
+// Duration from the RIFF header, null for anything that isn't a readable WAV
+function getWavDuration(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+      buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let byteRate = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const remaining = buffer.length - offset - 8;
+
+    if (id === 'fmt ' && remaining >= 12) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    }
+    if (id === 'data') {
+      // Streamed WAVs leave the size at 0 or 0xFFFFFFFF, the rest of the file is audio then
+      const dataBytes = Math.min(size, remaining) || remaining;
+      return byteRate ? dataBytes / byteRate : null;
+    }
+    offset += 8 + size + (size % 2); // Chunks are padded to an even size
+  }
+  return null;
+}
+
+function sendAudioResponse(res, responseFormat, { task, response, usage }) {
+  const segments = Array.isArray(response.segments) ? response.segments : [];
+
+  switch (responseFormat) {
+    case 'text':
+      return res.type('text/plain').send(response.text);
+
+    case 'srt':
+      return res.type('text/plain').send(formatSubtitles(segments, response.text, 'srt'));
+
+    case 'vtt':
+      return res.type('text/vtt').send(formatSubtitles(segments, response.text, 'vtt'));
+
+    case 'verbose_json':
+      return res.json({
+        task: task === 'translate' ? 'translate' : 'transcribe',
+        language: task === 'translate' ? 'english' : response.language,
+        duration: usage.seconds,
+        text: response.text,
+        segments,
+        model: response.routing?.model,
+        usage
+      });
+
+    default:
+      return res.json({ text: response.text, usage });
+  }
+}
+
+// Build SRT/WebVTT from provider segments, one cue for the whole text if there are none
+function formatSubtitles(segments, text, format) {
+  const cues = segments.length > 0 ?
+    segments :
+    [{ start: 0, end: 0, text }];
+
+  const separator = format === 'srt' ? ',' : '.';
+  const timestamp = (seconds) => {
+    const ms = Math.round((seconds || 0) * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+      `${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+  };
+
+  const body = cues.map((cue, index) => [
+    ...(format === 'srt' ? [index + 1] : []),
+    `${timestamp(cue.start)} --> ${timestamp(cue.end)}`,
+    String(cue.text || '').trim()
+  ].join('\n')).join('\n\n');
+
+  return format === 'vtt' ? `WEBVTT\n\n${body}\n` : `${body}\n`;
+}
+
+module.exports = {
+  validateTranscription,
+  validateTranslation,
+  handleTranscription,
+  handleTranslation
+};
@@ -0,0 +1,146 @@
+// src/controllers/batchController.js
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const { Batch } = require('../models/batchModels');
+const { batchService, SUPPORTED_ENDPOINTS } = require('../services/batchService');
+const { rejectInvalidRequest, handleError } = require('./llmController');
+const { toFileId, parseFileId } = require('./fileController');
+
+const BATCH_ID_PREFIX = 'batch_';
+
+// Request schema for POST /v1/batches
+const validateBatch = [
+  body('input_file_id').isString().withMessage('input_file_id is required'),
+  body('endpoint').isIn(SUPPORTED_ENDPOINTS)
+    .withMessage(`endpoint must be one of: ${SUPPORTED_ENDPOINTS.join(', ')}`),
+  body('completion_window').optional().equals('24h').withMessage("completion_window must be '24h'"),
+  body('metadata').optional().isObject().withMessage('metadata must be an object')
+];
+
+const createBatch = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) return;
+
+  try {
+    const inputFileId = parseFileId(req.body.input_file_id);
+    if (!inputFileId) {
+      throw { code: 'NOT_FOUND', param: 'input_file_id', message: `No file found with id ${req.body.input_file_id}` };
+    }
+
+    const batch = await batchService.createBatch(req.user._id, {
+      inputFileId,
+      endpoint: req.body.endpoint,
+      completionWindow: req.body.completion_window,
+      metadata: req.body.metadata
+    });
+    res.json(formatBatch(batch));
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const listBatches = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = { userId: req.user._id };
+
+    // Cursor pagination, `after` is the last batch id of the previous page
+    const after = parseBatchId(req.query.after);
+    if (after) {
+      const previous = await Batch.findOne({ _id: after, userId: req.user._id }).select('createdAt');
+      if (previous) query.createdAt = { $lt: previous.createdAt };
+    }
+
+    const batches = await Batch.find(query).sort({ createdAt: -1 }).limit(limit + 1);
+    const page = batches.slice(0, limit);
+    res.json({
+      object: 'list',
+      data: page.map(formatBatch),
+      first_id: page.length > 0 ? toBatchId(page[0]._id) : null,
+      last_id: page.length > 0 ? toBatchId(page[page.length - 1]._id) : null,
+      has_more: batches.length > limit
+    });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const getBatch = async (req, res) => {
+  try {
+    const id = parseBatchId(req.params.batchId);
+    const batch = id && await Batch.findOne({ _id: id, userId: req.user._id });
+    if (!batch) {
+      throw { code: 'NOT_FOUND', param: 'batch_id', message: `No batch found with id ${req.params.batchId}` };
+    }
+    res.json(formatBatch(batch));
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const cancelBatch = async (req, res) => {
+  try {
+    const id = parseBatchId(req.params.batchId);
+    if (!id) {
+      throw { code: 'NOT_FOUND', param: 'batch_id', message: `No batch found with id ${req.params.batchId}` };
+    }
+    res.json(formatBatch(await batchService.cancelBatch(req.user._id, id)));
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+function toBatchId(id) {
+  return `${BATCH_ID_PREFIX}${id}`;
+}
+
+function parseBatchId(batchId) {
+  const id = String(batchId || '').replace(BATCH_ID_PREFIX, '');
+  return mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : null;
+}
+
+const toUnix = date => (date ? Math.floor(date.getTime() / 1000) : null);
+
+function formatBatch(batch) {
+  return {
+    id: toBatchId(batch._id),
+    object: 'batch',
+    endpoint: batch.endpoint,
+    errors: batch.validationErrors?.length > 0 ? {
+      object: 'list',
+      data: batch.validationErrors.map(({ code, message, line, param }) => ({
+        code,
+        message,
+        line: line ?? null,
+        param: param ?? null
+      }))
+    } : null,
+    input_file_id: toFileId(batch.inputFileId),
+    completion_window: batch.completionWindow,
+    status: batch.status,
+    output_file_id: batch.outputFileId ? toFileId(batch.outputFileId) : null,
+    error_file_id: batch.errorFileId ? toFileId(batch.errorFileId) : null,
+    created_at: toUnix(batch.createdAt),
+    in_progress_at: toUnix(batch.inProgressAt),
+    expires_at: toUnix(batch.expiresAt),
+    finalizing_at: toUnix(batch.finalizingAt),
+    completed_at: toUnix(batch.completedAt),
+    failed_at: toUnix(batch.failedAt),
+    expired_at: toUnix(batch.expiredAt),
+    cancelling_at: toUnix(batch.cancellingAt),
+    cancelled_at: toUnix(batch.cancelledAt),
+    request_counts: {
+      total: batch.requestCounts?.total || 0,
+      completed: batch.requestCounts?.completed || 0,
+      failed: batch.requestCounts?.failed || 0
+    },
+    metadata: batch.metadata || {}
+  };
+}
+
+module.exports = {
+  validateBatch,
+  createBatch,
+  listBatches,
+  getBatch,
+  cancelBatch
+};
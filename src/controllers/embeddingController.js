@@ -0,0 +1,106 @@
+// src/controllers/embeddingController.js
+const { body } = require('express-validator');
+const { ModelManager } = require('../config/models');
+const TokenizerService = require('../services/tokenizerService');
+const UsageVerificationService = require('../services/usageVerificationService');
+const {
+  rejectInvalidRequest,
+  watchClientDisconnect,
+  ensureBalance,
+  routeAndBill,
+  handleError
+} = require('./llmController');
+
+const MAX_BATCH_SIZE = 2048; // Inputs per request
+
+// Request schema for /v1/embeddings
+const validateEmbedding = [
+  body('model').isString().withMessage('model is required'),
+  body('input').custom(value => {
+    if (typeof value === 'string') return value.length > 0;
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_BATCH_SIZE) return false;
+    // A batch of strings, a single token array or a batch of token arrays
+    return value.every(item => typeof item === 'string' || Number.isInteger(item) ||
+      (Array.isArray(item) && item.every(Number.isInteger)));
+  }).withMessage(`input must be a string, an array of up to ${MAX_BATCH_SIZE} strings or token arrays`),
+  body('encoding_format').optional().isIn(['float', 'base64'])
+    .withMessage("encoding_format must be 'float' or 'base64'"),
+  body('dimensions').optional().isInt({ min: 1 }).withMessage('dimensions must be a positive integer')
+];
+
+const handleEmbeddingRequest = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) return;
+
+  const signal = watchClientDisconnect(res);
+
+  try {
+    const model = req.body.model;
+    const modelInfo = ModelManager.getModelInfo(model);
+    if (modelInfo.type !== 'embedding') {
+      throw {
+        code: 'INVALID_MODEL',
+        message: `${model} is not an embedding model`
+      };
+    }
+
+    // Reserves balance up front and checks the token count the provider reports
+    const estimatedTokens = countInputTokens(req.body.input, model);
+    await ensureBalance(req.user._id, modelInfo, estimatedTokens);
+
+    const { response, usage, timing, attempts, isSelfService, muleAmount } = await routeAndBill(req.user._id, {
+      type: 'embedding_request',
+      model,
+      input: req.body.input,
+      encoding_format: req.body.encoding_format,
+      dimensions: req.body.dimensions,
+      signal
+    }, {
+      modelInfo,
+      // Embeddings only have input tokens, whatever the provider reports as total
+      measure: response => {
+        const promptTokens = response.usage?.prompt_tokens || response.usage?.total_tokens || estimatedTokens;
+        return UsageVerificationService.verify({
+          prompt_tokens: promptTokens,
+          completion_tokens: 0,
+          total_tokens: promptTokens
+        }, { prompt_tokens: estimatedTokens, completion_tokens: null });
+      }
+    });
+
+    res.json({
+      object: "list",
+      data: response.data.map((item, index) => ({
+        object: "embedding",
+        index: item.index ?? index,
+        embedding: item.embedding
+      })),
+      model,
+      model_tier: modelInfo.tier,
+      attempts,
+      usage: {
+        prompt_tokens: usage.prompt_tokens,
+        total_tokens: usage.total_tokens,
+        mule_amount: Number(muleAmount.toFixed(6)),
+        duration_seconds: timing.duration_seconds,
+        transaction_mule_cost: isSelfService ? 0 : Number(muleAmount.toFixed(6))
+      }
+    });
+
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+function countInputTokens(input, model) {
+  const items = Array.isArray(input) ? input : [input];
+  return items.reduce((total, item) => {
+    if (typeof item === 'string') return total + TokenizerService.countText(item, model);
+    if (Array.isArray(item)) return total + item.length; // Already tokenized
+    return total + 1; // Single token ID
+  }, 0);
+}
+
+module.exports = {
+  validateEmbedding,
+  handleEmbeddingRequest
+};
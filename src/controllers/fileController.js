@@ -0,0 +1,143 @@
+// src/controllers/fileController.js
+const multer = require('multer');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const config = require('../config');
+const File = require('../models/fileModel');
+const FileService = require('../services/fileService');
+const { rejectInvalidRequest, handleError } = require('./llmController');
+
+const FILE_ID_PREFIX = 'file-';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.batch.max_file_bytes, files: 1 }
+}).single('file');
+
+function receiveFile(req, res, next) {
+  upload(req, res, (error) => {
+    if (error) {
+      return handleError({
+        code: 'INVALID_REQUEST',
+        param: 'file',
+        message: error.code === 'LIMIT_FILE_SIZE' ?
+          `file exceeds the ${config.batch.max_file_bytes / (1024 * 1024)}MB limit` :
+          `Invalid multipart upload: ${error.message}`
+      }, res);
+    }
+    if (!req.file || req.file.size === 0) {
+      return handleError({ code: 'INVALID_REQUEST', param: 'file', message: 'file is required' }, res);
+    }
+    next();
+  });
+}
+
+// Request schema for POST /v1/files, only batch input files can be uploaded
+const validateFileUpload = [
+  receiveFile,
+  body('purpose').equals('batch').withMessage("purpose must be 'batch'")
+];
+
+const uploadFile = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) return;
+
+  try {
+    const file = await FileService.create({
+      userId: req.user._id,
+      filename: req.file.originalname || 'batch.jsonl',
+      purpose: req.body.purpose,
+      content: req.file.buffer
+    });
+    res.json(formatFile(file));
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const listFiles = async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.purpose) query.purpose = req.query.purpose;
+
+    const files = await File.find(query).sort({ createdAt: -1 }).limit(1000);
+    res.json({ object: 'list', data: files.map(formatFile) });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const getFile = async (req, res) => {
+  try {
+    res.json(formatFile(await findOwnFile(req)));
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const getFileContent = async (req, res) => {
+  try {
+    const file = await findOwnFile(req);
+    res.type(file.filename.endsWith('.jsonl') ? 'application/jsonl' : 'application/octet-stream');
+    res.set('Content-Length', String(file.bytes));
+
+    const stream = FileService.openReadStream(file);
+    stream.on('error', (error) => {
+      console.error('Failed to stream file content:', { fileId: file._id, error: error.message });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const deleteFile = async (req, res) => {
+  try {
+    const file = await findOwnFile(req);
+    await FileService.remove(file);
+    res.json({ id: toFileId(file._id), object: 'file', deleted: true });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+async function findOwnFile(req) {
+  const id = parseFileId(req.params.fileId);
+  const file = id && await File.findOne({ _id: id, userId: req.user._id });
+  if (!file) {
+    throw { code: 'NOT_FOUND', param: 'file_id', message: `No file found with id ${req.params.fileId}` };
+  }
+  return file;
+}
+
+function toFileId(id) {
+  return `${FILE_ID_PREFIX}${id}`;
+}
+
+// Returns the ObjectId behind a public file id, or null
+function parseFileId(fileId) {
+  const id = String(fileId || '').replace(FILE_ID_PREFIX, '');
+  return mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : null;
+}
+
+function formatFile(file) {
+  return {
+    id: toFileId(file._id),
+    object: 'file',
+    bytes: file.bytes,
+    created_at: Math.floor(file.createdAt.getTime() / 1000),
+    filename: file.filename,
+    purpose: file.purpose
+  };
+}
+
+module.exports = {
+  validateFileUpload,
+  uploadFile,
+  listFiles,
+  getFile,
+  getFileContent,
+  deleteFile,
+  toFileId,
+  parseFileId
+};
@@ -0,0 +1,100 @@
+// src/controllers/imageController.js
+const { body } = require('express-validator');
+const { ModelManager } = require('../config/models');
+const {
+  rejectInvalidRequest,
+  watchClientDisconnect,
+  ensureBalance,
+  routeAndBill,
+  handleError
+} = require('./llmController');
+
+const MAX_IMAGES = 10;
+const DEFAULT_SIZE = '1024x1024';
+
+// Request schema for /v1/images/generations
+const validateImageGeneration = [
+  body('prompt').isString().notEmpty().withMessage('prompt is required'),
+  body('model').optional().isString().withMessage('model must be a string'),
+  body('n').optional().isInt({ min: 1, max: MAX_IMAGES })
+    .withMessage(`n must be an integer between 1 and ${MAX_IMAGES}`),
+  body('size').optional().matches(/^\d{2,4}x\d{2,4}$/)
+    .withMessage("size must be formatted as WIDTHxHEIGHT, e.g. '1024x1024'"),
+  body('response_format').optional().isIn(['url', 'b64_json'])
+    .withMessage("response_format must be 'url' or 'b64_json'")
+];
+
+const handleImageGeneration = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) return;
+
+  const signal = watchClientDisconnect(res);
+
+  try {
+    const model = req.body.model || 'image';
+    const modelInfo = ModelManager.getModelInfo(model);
+    if (modelInfo.type !== 'image') {
+      throw {
+        code: 'INVALID_MODEL',
+        message: `${model} is not an image generation model`
+      };
+    }
+
+    const n = parseInt(req.body.n) || 1;
+    await ensureBalance(req.user._id, modelInfo, n);
+
+    const { response, usage, timing, attempts, isSelfService, muleAmount } = await routeAndBill(req.user._id, {
+      type: 'image_request',
+      model,
+      prompt: req.body.prompt,
+      n,
+      size: req.body.size || DEFAULT_SIZE,
+      signal
+    }, {
+      modelInfo,
+      // Extra images beyond n are neither returned nor paid for
+      measure: response => ({
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0,
+        images: Math.min(response.data.length, n)
+      })
+    });
+
+    const responseFormat = req.body.response_format || 'url';
+
+    res.json({
+      created: Math.floor(Date.now() / 1000),
+      data: response.data.slice(0, n).map(image => formatImage(image, responseFormat)),
+      model: response.routing?.model || model,
+      model_tier: modelInfo.tier,
+      attempts,
+      usage: {
+        images: usage.images,
+        mule_amount: Number(muleAmount.toFixed(6)),
+        duration_seconds: timing.duration_seconds,
+        transaction_mule_cost: isSelfService ? 0 : Number(muleAmount.toFixed(6))
+      }
+    });
+
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// Providers sit behind NAT and nothing is stored server-side, so "url"
+// responses carry the image inline as a data URL
+function formatImage(image, responseFormat) {
+  const formatted = responseFormat === 'b64_json' ?
+    { b64_json: image.b64_json } :
+    { url: `data:${image.mime_type || 'image/png'};base64,${image.b64_json}` };
+
+  if (image.revised_prompt) {
+    formatted.revised_prompt = image.revised_prompt;
+  }
+  return formatted;
+}
+
+module.exports = {
+  validateImageGeneration,
+  handleImageGeneration
+};
@@ -1,14 +1,34 @@
 // controllers/llmController.js
 // controllers/llmController.js
+const { body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
 const { ModelManager } = require('../config/models');
-const { providerManager } = require('../services/providerManager');
+const { providerManager, SAMPLING_PARAMETERS, BEST_EFFORT_PARAMETERS } = require('../services/providerManager');
 const TokenService = require('../services/tokenService');
 const { TokenCalculator } = require('../config/tokenomics');
 const RequestTimer = require('../utils/requestTimer');
+const StructuredOutputService = require('../services/structuredOutputService');
+const VisionService = require('../services/visionService');
+const TokenizerService = require('../services/tokenizerService');
+const UsageVerificationService = require('../services/usageVerificationService');
+const { responseCache } = require('../services/responseCache');
+const { sessionAffinity } = require('../services/sessionAffinity');
+const WaitQueue = require('../services/waitQueue');
+const { routingStrategies } = require('../services/routingStrategies');
+const config = require('../config');
 const mongoose = require('mongoose');
 
 // OpenAI API compatible error responses
 const APIErrors = {
+  INVALID_REQUEST: {
+    status: 400,
+    error: {
+      message: "Invalid request parameters",
+      type: "invalid_request_error",
+      param: null,
+      code: "invalid_request"
+    }
+  },
   NO_MODELS_AVAILABLE: {
     status: 400,
     error: {
@@ -35,115 +55,671 @@ const APIErrors = {
       param: "model",
       code: "invalid_model"
     }
+  },
+  INVALID_RESPONSE_FORMAT: {
+    status: 400,
+    error: {
+      message: "The requested response_format is not valid",
+      type: "invalid_request_error",
+      param: "response_format",
+      code: "invalid_response_format"
+    }
+  },
+  INVALID_STRUCTURED_OUTPUT: {
+    status: 502,
+    error: {
+      message: "Provider output did not match the requested response_format",
+      type: "invalid_structured_output",
+      param: "response_format",
+      code: "invalid_structured_output"
+    }
+  },
+  UNSUPPORTED_CAPABILITY: {
+    status: 400,
+    error: {
+      message: "No available provider supports the requested feature for this model",
+      type: "invalid_request_error",
+      param: null,
+      code: "unsupported_capability"
+    }
+  },
+  NOT_FOUND: {
+    status: 404,
+    error: {
+      message: "The requested resource was not found",
+      type: "invalid_request_error",
+      param: null,
+      code: "not_found"
+    }
+  },
+  CONTEXT_LENGTH_EXCEEDED: {
+    status: 400,
+    error: {
+      message: "The request does not fit the model's context window",
+      type: "invalid_request_error",
+      param: "messages",
+      code: "context_length_exceeded"
+    }
+  },
+  INVALID_IMAGE: {
+    status: 400,
+    error: {
+      message: "An image in the request could not be used",
+      type: "invalid_request_error",
+      param: "messages",
+      code: "invalid_image"
+    }
+  },
+  QUEUE_FULL: {
+    status: 503,
+    error: {
+      message: "Too many requests are waiting for this model, try again later",
+      type: "server_busy",
+      param: null,
+      code: "queue_full"
+    }
+  },
+  QUEUE_TIMEOUT: {
+    status: 503,
+    error: {
+      message: "No provider became available in time, try again later",
+      type: "server_busy",
+      param: null,
+      code: "queue_timeout"
+    }
   }
 };
 
+// Sampling parameters shared by chat and text completions
+const validateSampling = [
+  body('max_tokens').optional().isInt({ min: 1 }).withMessage('max_tokens must be a positive integer'),
+  body('temperature').optional().isFloat({ min: 0, max: 2 }).withMessage('temperature must be between 0 and 2'),
+  body('top_p').optional().isFloat({ min: 0, max: 1 }).withMessage('top_p must be between 0 and 1'),
+  body('top_k').optional().isInt({ min: 0 }).withMessage('top_k must be a non-negative integer'),
+  body('presence_penalty').optional().isFloat({ min: -2, max: 2 }).withMessage('presence_penalty must be between -2 and 2'),
+  body('frequency_penalty').optional().isFloat({ min: -2, max: 2 }).withMessage('frequency_penalty must be between -2 and 2'),
+  body('seed').optional().isInt().withMessage('seed must be an integer'),
+  body('n').optional().isInt({ min: 1, max: 16 }).withMessage('n must be an integer between 1 and 16'),
+  body('stop').optional().custom(value => {
+    const stops = Array.isArray(value) ? value : [value];
+    return stops.length <= 4 && stops.every(stop => typeof stop === 'string');
+  }).withMessage('stop must be a string or an array of up to 4 strings'),
+  body('logit_bias').optional().isObject().custom(value => {
+    return Object.values(value).every(bias => typeof bias === 'number' && bias >= -100 && bias <= 100);
+  }).withMessage('logit_bias must map token IDs to numbers between -100 and 100'),
+  body('logprobs').optional().isBoolean().withMessage('logprobs must be a boolean'),
+  body('top_logprobs').optional().isInt({ min: 0, max: 20 }).withMessage('top_logprobs must be an integer between 0 and 20')
+];
+
+const MAX_FALLBACK_MODELS = 5;
+
+const isModelChain = value => Array.isArray(value) && value.length > 0 &&
+  value.length <= MAX_FALLBACK_MODELS && value.every(model => typeof model === 'string' && model.length > 0);
+
+// Scheduling class while providers are busy, also scales the price
+const validatePriority = body('priority').optional().isIn(WaitQueue.PRIORITIES)
+  .withMessage(`priority must be one of: ${WaitQueue.PRIORITIES.join(', ')}`);
+
+// How the provider is picked, overrides config.routing for this request
+const validateRouting = body('routing').optional().custom(value => routingStrategies.has(value))
+  .withMessage(() => `routing must be one of: ${routingStrategies.names().join(', ')}`);
+
+// A single model, or a fallback chain as `model: [...]` or `models: [...]`
+const validateChatModel = [
+  body('model').custom((value, { req }) => {
+    if (value === undefined) return isModelChain(req.body.models);
+    return typeof value === 'string' || isModelChain(value);
+  }).withMessage(`model must be a string or an array of up to ${MAX_FALLBACK_MODELS} model names`),
+  body('models').optional().custom(isModelChain)
+    .withMessage(`models must be an array of up to ${MAX_FALLBACK_MODELS} model names`)
+];
+
+// Everything of a chat request besides the model and the messages
+const validateChatOptions = [
+  body('stream').optional().isBoolean().withMessage('stream must be a boolean'),
+  body('cache').optional().isBoolean().withMessage('cache must be a boolean'),
+  validatePriority,
+  validateRouting,
+  body('session_id').optional().isString().isLength({ min: 1, max: 256 })
+    .withMessage('session_id must be a string of 1 to 256 characters'),
+  body('truncation').optional().isIn(['disabled', ...TokenizerService.TRUNCATION_STRATEGIES])
+    .withMessage(`truncation must be one of: disabled, ${TokenizerService.TRUNCATION_STRATEGIES.join(', ')}`),
+  ...validateSampling
+];
+
+// Request schema for /v1/chat/completions
+const validateChatCompletion = [
+  ...validateChatModel,
+  body('messages').isArray({ min: 1 }).withMessage('messages must be a non-empty array'),
+  body('messages.*.content').optional({ values: 'null' }).custom(VisionService.isValidContent)
+    .withMessage('content must be a string or an array of text and image_url parts'),
+  ...validateChatOptions
+];
+
+// Request schema for the legacy /v1/completions
+const validateTextCompletion = [
+  body('model').isString().notEmpty().withMessage('model is required'),
+  body('prompt').custom(value => {
+    if (typeof value === 'string') return true;
+    return Array.isArray(value) && value.length > 0 && value.every(prompt => typeof prompt === 'string');
+  }).withMessage('prompt must be a string or a non-empty array of strings'),
+  body('suffix').optional().isString().withMessage('suffix must be a string'),
+  body('echo').optional().isBoolean().withMessage('echo must be a boolean'),
+  body('best_of').optional().isInt({ min: 1, max: 20 }).custom((value, { req }) => {
+    return parseInt(value) >= (parseInt(req.body.n) || 1);
+  }).withMessage('best_of must be an integer between 1 and 20 and at least n'),
+  body('stream').optional().custom(value => value !== true)
+    .withMessage('stream is not supported on /v1/completions'),
+  validatePriority,
+  validateRouting,
+  ...validateSampling
+];
+
 const handleLLMRequest = async (req, res) => {
-  const requestId = `req_${Date.now()}`;
-  RequestTimer.startRequest(requestId);
+  if (rejectInvalidRequest(req, res)) return;
+  await sendChatCompletion(req, res, req.body);
+};
+
+// Run a chat completion for the HTTP consumer and answer in the OpenAI format, streamed
+// or not. onResult runs before the response is finished (e.g. to store the reply) and
+// may return extra fields for the response body. affinity: false skips session affinity.
+async function sendChatCompletion(req, res, body, { preferredSocketId = null, affinity = true, onResult = null } = {}) {
+  const isStreaming = body.stream === true;
+  const signal = watchClientDisconnect(res);
+  const completionId = `chatcmpl-${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
+  let hasRelayedChunks = false;
 
   try {
-    const { selectedModel, socketId, userId } = await selectModelAndProvider(req.body.model);
-    const modelInfo = ModelManager.getModelInfo(selectedModel);
-    
-    // Check user balance before processing request
-    const userBalance = await TokenService.getBalance(req.user._id);
-    const estimatedTokens = req.body.max_tokens || modelInfo.context;
-    const estimatedCost = TokenCalculator.tokensToMules(estimatedTokens, modelInfo.tier);
-    
-    if (userBalance.balance < estimatedCost) {
-      throw {
-        code: 'INSUFFICIENT_BALANCE',
-        message: `Insufficient balance. Required: ${estimatedCost.toFixed(6)} MULE, Available: ${userBalance.balance.toFixed(6)} MULE`
-      };
-    }
-    
-    const response = await processLLMRequest(
+    const result = await runChatCompletion(req.user._id, body, {
+      signal,
+      preferredSocketId,
+      affinity,
+      onQueued: reportQueuePosition(res),
+      // Relay provider chunks to the client as OpenAI-compatible SSE events
+      onDispatch: ({ selectedModel, modelInfo }) => {
+        if (!isStreaming) return null;
+        initStream(res);
+        return (chunk) => {
+          hasRelayedChunks = true;
+          writeStreamEvent(res, formatChunk({ completionId, created, selectedModel, modelInfo, chunk }));
+        };
+      }
+    });
+    const {
       selectedModel,
-      socketId, // Use socketId for WebSocket communication
-      req.body,
-      modelInfo
-    );
+      modelInfo,
+      usage,
+      timing,
+      isSelfService,
+      muleAmount,
+      attempts,
+      removedMessages,
+      fallback
+    } = result;
+    const extra = onResult ? await onResult(result) : null;
 
-    const usage = calculateUsage(response, modelInfo);
-    const timing = RequestTimer.endRequest(requestId, usage.total_tokens);
+    if (isStreaming) {
+      // Providers that ignore `stream` answer in one piece, send it as a single chunk
+      if (!hasRelayedChunks) {
+        writeStreamEvent(res, formatChunk({
+          completionId,
+          created,
+          selectedModel,
+          modelInfo,
+          chunk: { choices: toDeltaChoices(result.response.choices) }
+        }));
+      }
 
-    // Only log usage if we have valid IDs
-    if (req.user._id && userId) {
-      await logUsage({
-        consumerId: req.user._id,
-        providerId: userId,
+      // Final chunk carries the usage block, billed once above
+      writeStreamEvent(res, {
+        id: completionId,
+        object: "chat.completion.chunk",
+        created,
         model: selectedModel,
-        modelInfo,
-        usage,
-        timing
+        model_tier: modelInfo.tier,
+        choices: [],
+        attempts,
+        ...(fallback && { fallback }),
+        ...(removedMessages > 0 && { truncated_messages: removedMessages }),
+        ...extra,
+        usage: formatUsage({ usage, timing, isSelfService, muleAmount })
       });
+      writeStreamEvent(res, '[DONE]');
+      return res.end();
     }
 
-    const isSelfService = req.user._id && userId ? req.user._id.toString() === userId.toString() : false;
-    const muleAmount = TokenCalculator.tokensToMules(usage.total_tokens, modelInfo.tier);
+    res.json({ ...formatResponse(result), ...extra });
 
-    const formattedResponse = formatResponse({
-      selectedModel,
-      socketId,
+  } catch (error) {
+    handleError(error, res);
+  }
+}
+
+// Errors caused by the request itself, the next model would fail the same way
+const NON_FALLBACK_ERRORS = ['REQUEST_CANCELLED', 'INVALID_REQUEST', 'INVALID_RESPONSE_FORMAT', 'INVALID_IMAGE'];
+
+// Chat completion pipeline shared by the HTTP handler and internal callers (batches):
+// model selection, balance check, routing and billing. onDispatch runs once the
+// request is about to be routed and may return an onChunk relay for streaming.
+// `model` may be a fallback chain, each entry is tried in order until one is served.
+async function runChatCompletion(consumerId, body, options = {}) {
+  const requestId = `req_${uuidv4()}`;
+  RequestTimer.startRequest(requestId);
+
+  // Opt-in exact-match cache of deterministic requests, a hit never reaches a provider
+  const cacheKey = body.cache === true && responseCache.isCacheable(body) ?
+    responseCache.key(consumerId, body) : null;
+  const cached = cacheKey && responseCache.get(cacheKey);
+  if (cached) {
+    return serveCachedCompletion(consumerId, cached, { requestId, onDispatch: options.onDispatch });
+  }
+
+  // Later turns of a conversation go back to the provider that served the last one.
+  // A provider picked by the caller (e.g. a thread's) takes precedence.
+  const affinityKey = options.affinity === false ? null : sessionAffinity.key(consumerId, body);
+  const preferredSocketId = options.preferredSocketId || sessionAffinity.get(affinityKey);
+
+  const chain = resolveModelChain(body);
+  const skipped = [];
+  let hasStreamed = false;
+
+  for (const [index, requestedModel] of chain.entries()) {
+    try {
+      const result = await runChatAttempt(consumerId, { ...body, model: requestedModel }, {
+        ...options,
+        preferredSocketId,
+        requestId,
+        // A stream that already reached the consumer can't move to another model
+        onDispatch: options.onDispatch && ((dispatch) => {
+          const onChunk = options.onDispatch(dispatch);
+          return onChunk && ((chunk) => {
+            hasStreamed = true;
+            onChunk(chunk);
+          });
+        })
+      });
+
+      sessionAffinity.set(affinityKey, result.response.routing?.socketId);
+
+      if (cacheKey) {
+        const { verification, ...usage } = result.usage;
+        responseCache.set(cacheKey, {
+          selectedModel: result.selectedModel,
+          modelInfo: result.modelInfo,
+          choices: result.response.choices,
+          usage
+        });
+      }
+
+      return {
+        ...result,
+        fallback: chain.length > 1 ? { requested_model: requestedModel, index, skipped } : null
+      };
+    } catch (error) {
+      const isLast = index === chain.length - 1;
+      if (isLast || hasStreamed || NON_FALLBACK_ERRORS.includes(error.code)) {
+        if (skipped.length > 0) error.fallback = { skipped };
+        throw error;
+      }
+
+      console.warn('Model in fallback chain failed, trying the next one:', {
+        model: requestedModel,
+        next: chain[index + 1],
+        code: error.code,
+        error: error.message
+      });
+      skipped.push({ model: requestedModel, code: error.code || 'provider_error', message: error.message });
+    }
+  }
+}
+
+// Answer from the response cache, billed at the cache price with no provider involved
+async function serveCachedCompletion(consumerId, cached, { requestId, onDispatch }) {
+  const { selectedModel, modelInfo, choices } = cached;
+  const usage = { ...cached.usage, cached: true };
+  await ensureBalance(consumerId, modelInfo, usage.total_tokens, 'cache');
+
+  // Streaming consumers get the whole answer as a single chunk
+  const onChunk = onDispatch ? onDispatch({ selectedModel, modelInfo }) : null;
+  if (onChunk) {
+    onChunk({ choices: toDeltaChoices(choices) });
+  }
+
+  const timing = RequestTimer.endRequest(requestId, usage.total_tokens);
+  if (consumerId) {
+    await logUsage({
+      consumerId,
+      providerId: null,
+      model: selectedModel,
       modelInfo,
-      response,
       usage,
       timing,
-      isSelfService,
-      muleAmount
+      pricing: 'cache',
+      cacheHit: true
     });
+  }
+
+  return {
+    selectedModel,
+    socketId: null,
+    modelInfo,
+    response: { choices },
+    usage,
+    timing,
+    isSelfService: false,
+    muleAmount: TokenCalculator.calculateMules(usage.total_tokens, modelInfo.tier, 'cache'),
+    attempts: 0,
+    removedMessages: 0,
+    fallback: null
+  };
+}
+
+// `model` as a string or an array, or `models` (OpenRouter style) after an optional primary `model`
+function resolveModelChain(body) {
+  const chain = [
+    ...(Array.isArray(body.model) ? body.model : (body.model ? [body.model] : [])),
+    ...(Array.isArray(body.models) ? body.models : [])
+  ];
+  return [...new Set(chain)];
+}
+
+// One model of the chain, balance is checked against that model's tier
+async function runChatAttempt(consumerId, body, {
+  signal,
+  onDispatch,
+  pricing = null,
+  idleOnly = false,
+  preferredSocketId = null,
+  onQueued = null,
+  requestId
+}) {
+  const hasImages = VisionService.hasImageParts(body.messages);
+  const { selectedModel, socketId } = await selectModel(body.model, {
+    requires: providerManager._getRequirements(body),
+    routing: body.routing,
+    consumerId,
+    preferredSocketId
+  });
+  // Background work never waits in the queue, so it has no priority to pay for
+  const priority = idleOnly ? null : body.priority || null;
+  const modelInfo = {
+    ...ModelManager.getModelInfo(selectedModel),
+    // Image input is billed as the multimodal type, same tier and rates
+    ...(hasImages && { type: 'multimodal' })
+  };
+
+  // Reject (or trim) prompts that can't fit before a provider ever sees them
+  const maxTokens = parseInt(body.max_tokens) || null;
+  const fitted = TokenizerService.fitContext({
+    messages: body.messages,
+    tools: body.tools,
+    model: selectedModel,
+    context: modelInfo.context,
+    maxTokens,
+    truncation: body.truncation
+  });
+
+  // Check user balance before processing request, the completion can use up the rest of the context
+  const estimatedTokens = maxTokens ? fitted.promptTokens + maxTokens : modelInfo.context;
+  await ensureBalance(consumerId, modelInfo, estimatedTokens, pricing, priority);
+
+  const messages = hasImages ?
+    await VisionService.prepareMessages(fitted.messages, { signal }) :
+    fitted.messages;
+
+  const onChunk = onDispatch ? onDispatch({ selectedModel, modelInfo }) : null;
+
+  const response = await processLLMRequest(
+    selectedModel,
+    // Without max_tokens the completion gets whatever the prompt leaves of the context
+    { ...body, messages, max_tokens: maxTokens || modelInfo.context - fitted.promptTokens },
+    modelInfo,
+    { onChunk, signal, idleOnly, preferredSocketId: socketId || preferredSocketId, onQueued, consumerId, priority }
+  );
+
+  const usage = calculateUsage(response, modelInfo, {
+    model: selectedModel,
+    messages: fitted.messages,
+    tools: body.tools
+  });
+  const timing = RequestTimer.endRequest(requestId, usage.total_tokens);
+
+  const { userId, attempts } = response.routing || {};
+
+  // Only log usage if we have valid IDs
+  if (consumerId && userId) {
+    await logUsage({
+      consumerId,
+      providerId: userId,
+      model: selectedModel,
+      modelInfo,
+      usage,
+      timing,
+      pricing,
+      priority
+    });
+  }
+
+  const isSelfService = consumerId && userId ? consumerId.toString() === userId.toString() : false;
+  const muleAmount = TokenCalculator.calculateMules(usage.total_tokens, modelInfo.tier, pricing, priority);
+
+  return {
+    selectedModel,
+    socketId: response.routing?.socketId,
+    modelInfo,
+    response,
+    usage,
+    timing,
+    isSelfService,
+    muleAmount,
+    attempts,
+    removedMessages: fitted.removedMessages
+  };
+}
+
+const handleTextCompletion = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) return;
+
+  const requestId = `req_${Date.now()}`;
+  RequestTimer.startRequest(requestId);
+  const signal = watchClientDisconnect(res);
+
+  try {
+    const { selectedModel, socketId } = await selectModel(req.body.model, {
+      requires: providerManager._getRequirements({ ...req.body, type: 'text_completion' }),
+      routing: req.body.routing,
+      consumerId: req.user._id
+    });
+    const modelInfo = ModelManager.getModelInfo(selectedModel);
+    const prompts = Array.isArray(req.body.prompt) ? req.body.prompt : [req.body.prompt];
+    const maxTokens = parseInt(req.body.max_tokens) || null;
+
+    const promptTokens = prompts.map(prompt => TokenizerService.fitPrompt({
+      prompt,
+      model: selectedModel,
+      context: modelInfo.context,
+      maxTokens
+    }));
+
+    // Every prompt is a separate completion with best_of (or n) generations,
+    // reserve balance for all of them
+    const n = parseInt(req.body.n) || 1;
+    const generations = parseInt(req.body.best_of) || n;
+    const estimatedTokens = promptTokens.reduce((total, tokens) =>
+      total + (maxTokens ? tokens + maxTokens * generations : modelInfo.context * generations), 0);
+    const priority = req.body.priority || null;
+    await ensureBalance(req.user._id, modelInfo, estimatedTokens, null, priority);
+
+    // Prompts fan out across providers, each one is billed to whoever served it.
+    // One failed prompt fails the request, the providers still working on the others are stopped.
+    // A single prompt goes to the provider the tier was resolved with, several are spread out.
+    const siblings = new AbortController();
+    const outcomes = await Promise.allSettled(prompts.map(prompt =>
+      processTextCompletion(selectedModel, prompt, req.body, modelInfo, {
+        signal: AbortSignal.any([signal, siblings.signal]),
+        preferredSocketId: prompts.length === 1 ? socketId : null,
+        consumerId: req.user._id,
+        priority,
+        onQueued: reportQueuePosition(res)
+      }).catch(error => {
+        siblings.abort('sibling_failed');
+        throw error;
+      })
+    ));
+    const served = outcomes
+      .map((outcome, index) => ({ prompt: prompts[index], response: outcome.value }))
+      .filter(({ response }) => response);
+
+    // best_of completions are generated and billed but only n come back
+    const completionScale = generations / n;
+    const usages = served.map(({ prompt, response }) => calculateUsage(response, modelInfo, {
+      model: selectedModel,
+      prompt,
+      completionScale
+    }));
+    const usage = usages.reduce((total, current) => ({
+      prompt_tokens: total.prompt_tokens + current.prompt_tokens,
+      completion_tokens: total.completion_tokens + current.completion_tokens,
+      total_tokens: total.total_tokens + current.total_tokens
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+    const timing = RequestTimer.endRequest(requestId, usage.total_tokens);
+
+    // Completions that finished are paid for even when another prompt failed
+    let muleAmount = 0;
+    let transactionCost = 0;
+    for (const [index, { response }] of served.entries()) {
+      const { userId } = response.routing || {};
+      const amount = TokenCalculator.calculateMules(usages[index].total_tokens, modelInfo.tier, null, priority);
+      const isSelfService = userId ? req.user._id.toString() === userId.toString() : false;
+
+      if (req.user._id && userId) {
+        await logUsage({
+          consumerId: req.user._id,
+          providerId: userId,
+          model: selectedModel,
+          modelInfo,
+          usage: usages[index],
+          timing,
+          priority
+        });
+      }
+
+      muleAmount += amount;
+      transactionCost += isSelfService ? 0 : amount;
+    }
+
+    // Report the failure itself rather than the siblings it cancelled
+    const failures = outcomes.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason);
+    if (failures.length > 0) {
+      throw failures.find(error => error.code !== 'REQUEST_CANCELLED') || failures[0];
+    }
+    const responses = served.map(({ response }) => response);
 
-    res.json(formattedResponse);
+    // OpenAI numbers choices prompt by prompt
+    const choices = responses.flatMap((response, promptIndex) =>
+      response.choices.slice(0, n).map((choice, choiceIndex) => ({
+        text: req.body.echo ? prompts[promptIndex] + (choice.text || '') : (choice.text || ''),
+        index: promptIndex * n + choiceIndex,
+        logprobs: choice.logprobs || null,
+        finish_reason: choice.finish_reason || 'stop'
+      }))
+    );
+
+    res.json({
+      id: `cmpl-${Date.now()}`,
+      object: "text_completion",
+      created: Math.floor(Date.now() / 1000),
+      model: selectedModel,
+      model_tier: modelInfo.tier,
+      attempts: Math.max(...responses.map(response => response.routing?.attempts || 1)),
+      choices,
+      usage: {
+        ...formatUsage({ usage, timing, isSelfService: false, muleAmount }),
+        transaction_mule_cost: Number(transactionCost.toFixed(6))
+      }
+    });
 
   } catch (error) {
     handleError(error, res);
   }
 };
 
-async function selectModelAndProvider(requestedModel) {
-  const providers = await providerManager.getProvidersInfo();
-  
+function rejectInvalidRequest(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  const [firstError] = errors.array();
+  handleError({
+    code: 'INVALID_REQUEST',
+    param: firstError.path,
+    message: firstError.msg
+  }, res);
+  return true;
+}
+
+// Cancel provider work if the consumer disconnects before we answer.
+// req 'close' fires as soon as the body is consumed, so watch the response side.
+function watchClientDisconnect(res) {
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+  return abortController.signal;
+}
+
+// estimatedAmount is in the tier's metric: tokens, images or audio seconds
+async function ensureBalance(userId, modelInfo, estimatedAmount, pricing = null, priority = null) {
+  const userBalance = await TokenService.getBalance(userId);
+  const estimatedCost = TokenCalculator.calculateMules(estimatedAmount, modelInfo.tier, pricing, priority);
+
+  if (userBalance.balance < estimatedCost) {
+    throw {
+      code: 'INSUFFICIENT_BALANCE',
+      message: `Insufficient balance. Required: ${estimatedCost.toFixed(6)} MULE, Available: ${userBalance.balance.toFixed(6)} MULE`
+    };
+  }
+}
+
+// Resolve the requested model or tier to the model to run. For a tier the routing strategy
+// picks the provider right here, among those that support everything the request needs
+// (tools, sampling parameters, image input), busy ones included since the request can wait
+// for them. The request then goes to that provider (socketId) while it has a free slot.
+async function selectModel(requestedModel, { requires = {}, routing = null, consumerId = null, preferredSocketId = null } = {}) {
   if (['small', 'medium', 'large', 'xl'].includes(requestedModel)) {
-    const availableModels = providers
-      .filter(p => p.status === 'active')
-      .map(provider => {
-        const matchingModels = provider.models.filter(model => {
-          const info = ModelManager.getModelInfo(model);
-          return info?.tier === requestedModel;
-        });
-        
-        return {
-          socketId: provider.id,
-          userId: provider.userId,
-          models: matchingModels
-        };
-      })
-      .filter(p => p.models.length > 0);
+    const provider = await providerManager.findAvailableProvider(requestedModel, {
+      requires,
+      ignoreLoad: true,
+      routing,
+      consumerId,
+      preferredSocketId
+    });
 
-    if (availableModels.length === 0) {
+    if (!provider && providerManager.hasCandidate(requestedModel, { ignoreLoad: true })) {
+      throw providerManager._noProviderError(requestedModel, requires);
+    }
+
+    if (!provider) {
       const error = new Error('No models available');
       error.code = 'NO_MODELS_AVAILABLE';
       error.tier = requestedModel;
       throw error;
     }
-    
-    const selected = availableModels[Math.floor(Math.random() * availableModels.length)];
-    return {
-      selectedModel: selected.models[0],
-      socketId: selected.socketId,
-      userId: selected.userId
-    };
+
+    return { selectedModel: provider.model, socketId: provider.socketId };
   }
 
   // Handle specific model request
   const modelInfo = ModelManager.getModelInfo(requestedModel);
-  if (!modelInfo) {
+  if (!modelInfo || modelInfo.type !== 'llm') {
     const error = new Error("Invalid model");
     error.code = "INVALID_MODEL";
     throw error;
   }
 
+  const providers = await providerManager.getProvidersInfo();
   const eligibleProviders = providers.filter(p => {
     return p.status === 'active' && p.models.some(m => {
       const info = ModelManager.getModelInfo(m);
@@ -158,24 +734,59 @@ async function selectModelAndProvider(requestedModel) {
     throw error;
   }
 
-  const selected = eligibleProviders[Math.floor(Math.random() * eligibleProviders.length)];
-  
-  return {
-    selectedModel: requestedModel,
-    socketId: selected.id,
-    userId: selected.userId
-  };
+  if (requires.vision && !providerManager.supportsVision(requestedModel)) {
+    const error = new Error(`Model ${requestedModel} does not accept image input, use a vision-capable model`);
+    error.code = 'UNSUPPORTED_CAPABILITY';
+    error.param = 'messages';
+    throw error;
+  }
+
+  return { selectedModel: requestedModel, socketId: null };
+}
+
+function pickSamplingParameters(requestData) {
+  return [...SAMPLING_PARAMETERS, ...BEST_EFFORT_PARAMETERS].reduce((parameters, name) => {
+    if (requestData[name] !== undefined) {
+      parameters[name] = requestData[name];
+    }
+    return parameters;
+  }, {});
 }
 
-async function processLLMRequest(model, providerId, requestData, modelInfo) {
+async function processLLMRequest(model, requestData, modelInfo, {
+  onChunk = null,
+  signal,
+  idleOnly = false,
+  preferredSocketId = null,
+  onQueued = null,
+  consumerId = null,
+  priority = null
+} = {}) {
   try {
+    // Output is checked against response_format before anyone gets billed
+    const validateResponse = StructuredOutputService.createValidator(requestData.response_format);
+
     const response = await providerManager.routeRequest({
       model,
       messages: requestData.messages,
-      temperature: parseFloat(requestData.temperature) || 0.7,
+      temperature: requestData.temperature !== undefined ? parseFloat(requestData.temperature) : 0.7,
       max_tokens: parseInt(requestData.max_tokens) || modelInfo.context,
-      stream: false,
-      providerId
+      ...pickSamplingParameters(requestData),
+      tools: requestData.tools,
+      tool_choice: requestData.tool_choice,
+      parallel_tool_calls: requestData.parallel_tool_calls,
+      response_format: requestData.response_format,
+      validateResponse,
+      retryInvalidOutput: config.structured_output.retry_on_invalid,
+      stream: Boolean(onChunk),
+      onChunk,
+      signal,
+      idleOnly,
+      preferredSocketId,
+      onQueued,
+      consumerId,
+      priority,
+      routing: requestData.routing
     });
 
     // Enhanced response validation
@@ -191,7 +802,10 @@ async function processLLMRequest(model, providerId, requestData, modelInfo) {
       throw new Error('Invalid response format: missing or empty choices array');
     }
 
-    if (!response.choices[0].message || !response.choices[0].message.content) {
+    // A tool call turn is valid without any text content
+    const message = response.choices[0].message;
+    const hasToolCalls = Array.isArray(message?.tool_calls) && message.tool_calls.length > 0;
+    if (!message || (!message.content && !hasToolCalls)) {
       throw new Error('Invalid response format: missing message content');
     }
 
@@ -208,29 +822,85 @@ async function processLLMRequest(model, providerId, requestData, modelInfo) {
 
   } catch (error) {
     console.error('Error processing request:', error);
-    
-    // Enhanced error handling
-    const errorResponse = {
-      error: {
-        message: error.message,
-        type: error.code || 'provider_error',
-        code: 'completion_failed'
-      }
-    };
 
     // Log detailed error info
     console.error('Request failed:', {
       model,
-      providerId,
       error: error.message,
       stack: error.stack
     });
 
-    throw errorResponse;
+    throw toProviderError(error);
+  }
+}
+
+async function processTextCompletion(model, prompt, requestData, modelInfo, {
+  signal,
+  preferredSocketId = null,
+  consumerId = null,
+  priority = null,
+  onQueued = null
+} = {}) {
+  try {
+    const response = await providerManager.routeRequest({
+      type: 'text_completion',
+      model,
+      prompt,
+      temperature: requestData.temperature !== undefined ? parseFloat(requestData.temperature) : 0.7,
+      max_tokens: parseInt(requestData.max_tokens) || modelInfo.context,
+      ...pickSamplingParameters(requestData),
+      signal,
+      preferredSocketId,
+      consumerId,
+      priority,
+      onQueued,
+      routing: requestData.routing
+    });
+
+    if (response.error) {
+      throw new Error(response.error.message || 'Provider error');
+    }
+
+    if (!response.usage) {
+      response.usage = {
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0
+      };
+    }
+
+    return response;
+
+  } catch (error) {
+    console.error('Text completion failed:', {
+      model,
+      error: error.message,
+      stack: error.stack
+    });
+
+    throw toProviderError(error);
   }
 }
 
-function calculateUsage(response, modelInfo) {
+function toProviderError(error) {
+  // Enhanced error handling
+  return {
+    code: error.code,
+    message: error.message,
+    param: error.param,
+    attempts: error.attempts,
+    error: {
+      message: error.message,
+      type: error.code || 'provider_error',
+      code: 'completion_failed'
+    }
+  };
+}
+
+// Provider-reported usage, checked against the server's own estimate of the prompt
+// (`messages` or a text `prompt`) and the returned content. `completionScale` covers
+// completions generated but not returned (best_of).
+function calculateUsage(response, modelInfo, { model, messages, tools, prompt, completionScale = 1 } = {}) {
   const usage = {
     prompt_tokens: response.usage?.prompt_tokens || 0,
     completion_tokens: response.usage?.completion_tokens || 0,
@@ -241,7 +911,66 @@ function calculateUsage(response, modelInfo) {
     usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
   }
 
-  return usage;
+  // Nothing claimed, nothing to verify
+  if (!model || usage.total_tokens === 0) return usage;
+
+  let promptEstimate = null;
+  if (prompt !== undefined) {
+    promptEstimate = TokenizerService.countText(prompt, model);
+  } else if (!VisionService.hasImageParts(messages)) {
+    // Image tokens depend on each model's vision encoder, only text prompts are checked
+    promptEstimate = TokenizerService.countMessages(messages, model, tools);
+  }
+
+  return UsageVerificationService.verify(usage, {
+    prompt_tokens: promptEstimate,
+    completion_tokens: Math.ceil(TokenizerService.countChoices(response.choices, model) * completionScale)
+  });
+}
+
+// Route a request for another model type (embeddings, images, audio) and bill the provider
+// that served it. measure(response) returns the usage to bill: tokens, `images` or `seconds`
+// depending on the tier's metric.
+async function routeAndBill(consumerId, requestData, { modelInfo, measure }) {
+  const requestId = `req_${uuidv4()}`;
+  RequestTimer.startRequest(requestId);
+
+  let response;
+  try {
+    response = await providerManager.routeRequest({ ...requestData, consumerId });
+  } catch (error) {
+    console.error('Provider request failed:', {
+      type: requestData.type,
+      model: requestData.model,
+      error: error.message,
+      stack: error.stack
+    });
+    throw toProviderError(error);
+  }
+
+  const usage = measure(response);
+  const timing = RequestTimer.endRequest(requestId, usage.total_tokens);
+
+  // Only the provider that actually served the request gets paid
+  const { userId, attempts } = response.routing || {};
+  if (consumerId && userId) {
+    await logUsage({
+      consumerId,
+      providerId: userId,
+      model: requestData.model,
+      modelInfo,
+      usage,
+      timing
+    });
+  }
+
+  const isSelfService = consumerId && userId ? consumerId.toString() === userId.toString() : false;
+  const muleAmount = TokenCalculator.calculateMules(
+    usage.images ?? usage.seconds ?? usage.total_tokens,
+    modelInfo.tier
+  );
+
+  return { response, usage, timing, attempts: attempts || 1, isSelfService, muleAmount };
 }
 
 async function logUsage({ 
@@ -250,11 +979,14 @@ async function logUsage({
   model, 
   modelInfo, 
   usage, 
-  timing 
+  timing,
+  pricing = null,
+  priority = null,
+  cacheHit = false // Served from the response cache, no provider to pay
 }) {
   try {
     // Validate IDs first
-    if (!consumerId || !providerId) {
+    if (!consumerId || (!providerId && !cacheHit)) {
       throw new Error('Missing required IDs');
     }
 
@@ -263,22 +995,32 @@ async function logUsage({
       new mongoose.Types.ObjectId(consumerId) : consumerId;
       
     const providerObjectId = typeof providerId === 'string' ? 
-      new mongoose.Types.ObjectId(providerId) : providerId;
+      new mongoose.Types.ObjectId(providerId) : (providerId || null);
 
     // Log after validation
     console.log('Logging usage:', { 
       consumerId: consumerObjectId.toString(),
-      providerId: providerObjectId.toString(),
+      providerId: providerObjectId?.toString(),
       model,
       usage,
       timing,
       modelInfo 
     });
 
+    if (usage.verification) {
+      console.warn('Provider usage outside tolerance, billing the lower figure:', {
+        providerId: providerObjectId?.toString(),
+        model,
+        ...usage.verification
+      });
+    }
+
     const validatedUsage = {
       prompt_tokens: Math.max(0, usage.prompt_tokens || 0),
       completion_tokens: Math.max(0, usage.completion_tokens || 0),
-      total_tokens: Math.max(0, usage.total_tokens || 0)
+      total_tokens: Math.max(0, usage.total_tokens || 0),
+      images: Math.max(0, usage.images || 0),
+      seconds: Math.max(0, usage.seconds || 0)
     };
 
     // Process usage through TokenService
@@ -286,24 +1028,30 @@ async function logUsage({
       consumerId: consumerObjectId,
       providerId: providerObjectId,
       model: typeof model === 'object' ? model.name : model,
-      modelType: 'llm',
+      modelType: modelInfo.type || 'llm',
       modelTier: modelInfo.tier,
       usage: {
         promptTokens: validatedUsage.prompt_tokens,
         completionTokens: validatedUsage.completion_tokens,
-        totalTokens: validatedUsage.total_tokens
+        totalTokens: validatedUsage.total_tokens,
+        images: validatedUsage.images,
+        seconds: validatedUsage.seconds
       },
       performance: {
         duration_seconds: timing.duration_seconds,
         tokens_per_second: timing.tokens_per_second
-      }
+      },
+      pricing,
+      priority,
+      usageVerification: usage.verification,
+      cacheHit
     });
 
     // Log successful transaction only if result exists
     if (result && result._id) {
       console.log('Usage logged successfully:', {
         consumerId: consumerObjectId.toString(),
-        providerId: providerObjectId.toString(),
+        providerId: providerObjectId?.toString(),
         transactionId: result._id.toString(),
         muleAmount: result.muleAmount
       });
@@ -335,7 +1083,10 @@ function formatResponse({
   usage, 
   timing,
   isSelfService,
-  muleAmount
+  muleAmount,
+  attempts,
+  removedMessages = 0,
+  fallback = null
 }) {
   return {
     id: `chatcmpl-${Date.now()}`,
@@ -344,35 +1095,146 @@ function formatResponse({
     model: selectedModel,
     model_tier: modelInfo.tier,
     provider_id: selectedProvider,
+    attempts: attempts || 1,
     system_fingerprint: `fp_${Math.random().toString(36).substr(2, 9)}`,
-    choices: response.choices?.map(choice => ({
+    choices: response.choices?.map(choice => formatChoice(choice)) || [],
+    // Which entry of a fallback chain served the request
+    ...(fallback && { fallback }),
+    // Messages dropped by the requested truncation strategy to fit the context
+    ...(removedMessages > 0 && { truncated_messages: removedMessages }),
+    usage: formatUsage({ usage, timing, isSelfService, muleAmount })
+  };
+}
+
+function formatChoice(choice) {
+  const toolCalls = choice.message?.tool_calls;
+  const hasToolCalls = Array.isArray(toolCalls) && toolCalls.length > 0;
+
+  const message = {
+    role: choice.message?.role || 'assistant',
+    content: choice.message?.content || (hasToolCalls ? null : '')
+  };
+  if (hasToolCalls) {
+    message.tool_calls = toolCalls;
+  }
+
+  const formatted = {
+    index: choice.index || 0,
+    message,
+    finish_reason: choice.finish_reason || (hasToolCalls ? 'tool_calls' : 'stop')
+  };
+  if (choice.logprobs) {
+    formatted.logprobs = choice.logprobs;
+  }
+
+  return formatted;
+}
+
+function formatUsage({ usage, timing, isSelfService, muleAmount }) {
+  return {
+    prompt_tokens: usage.prompt_tokens,
+    completion_tokens: usage.completion_tokens,
+    total_tokens: usage.total_tokens,
+    mule_amount: Number(muleAmount.toFixed(6)),
+    duration_seconds: timing.duration_seconds,
+    tokens_per_second: timing.tokens_per_second,
+    transaction_mule_cost: isSelfService ? 0 : Number(muleAmount.toFixed(6)),
+    ...(usage.cached && { cached: true })
+  };
+}
+
+function formatChunk({ completionId, created, selectedModel, modelInfo, chunk }) {
+  return {
+    id: completionId,
+    object: "chat.completion.chunk",
+    created,
+    model: selectedModel,
+    model_tier: modelInfo.tier,
+    choices: (chunk?.choices || []).map(choice => ({
       index: choice.index || 0,
-      message: {
-        role: choice.message?.role || 'assistant',
-        content: choice.message?.content || ''
-      },
-      finish_reason: choice.finish_reason || 'stop'
-    })) || [],
-    usage: {
-      prompt_tokens: usage.prompt_tokens,
-      completion_tokens: usage.completion_tokens,
-      total_tokens: usage.total_tokens,
-      mule_amount: Number(muleAmount.toFixed(6)),
-      duration_seconds: timing.duration_seconds,
-      tokens_per_second: timing.tokens_per_second,
-      transaction_mule_cost: isSelfService ? 0 : Number(muleAmount.toFixed(6))
-    }
+      delta: choice.delta || {},
+      ...(choice.logprobs && { logprobs: choice.logprobs }),
+      finish_reason: choice.finish_reason || null
+    }))
+  };
+}
+
+// A complete answer as the delta of one chunk
+function toDeltaChoices(choices) {
+  return (choices || []).map(choice => ({
+    index: choice.index || 0,
+    delta: {
+      role: 'assistant',
+      content: choice.message?.content ?? null,
+      ...(choice.message?.tool_calls && {
+        tool_calls: choice.message.tool_calls.map((toolCall, index) => ({ index, ...toolCall }))
+      })
+    },
+    ...(choice.logprobs && { logprobs: choice.logprobs }),
+    finish_reason: choice.finish_reason || null
+  }));
+}
+
+function initStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+}
+
+// Tell the consumer where its request waits while all providers are busy.
+// Only possible until the first byte of the response is written.
+function reportQueuePosition(res) {
+  return ({ position }) => {
+    if (!res.headersSent) res.setHeader('X-Queue-Position', String(position));
   };
 }
 
+function writeStreamEvent(res, payload) {
+  if (res.writableEnded || res.destroyed) return;
+  const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  res.write(`data: ${data}\n\n`);
+}
+
 function handleError(error, res) {
+  // The consumer is gone, there is nobody left to answer
+  if (error.code === 'REQUEST_CANCELLED' || res.destroyed) {
+    console.log('LLM request cancelled by client:', error.message);
+    return;
+  }
+
   console.error('LLM Request Error:', error);
 
+  const { status, errorResponse } = toAPIError(error);
+
+  // Headers are already out once a stream has started, report the error as an event
+  if (res.headersSent) {
+    res.locals.failed = true; // Status is already 200, let middleware know it wasn't a success
+    writeStreamEvent(res, errorResponse);
+    writeStreamEvent(res, '[DONE]');
+    return res.end();
+  }
+
+  // A stream that failed before its first chunk only set its headers, answer as JSON
+  res.status(status).type('json').json(errorResponse);
+}
+
+// Maps an internal `{ code, message, param }` error to its HTTP status and OpenAI error body
+function toAPIError(error) {
   // Map error codes to API responses
   const errorResponses = {
+    INVALID_REQUEST: APIErrors.INVALID_REQUEST,
     NO_MODELS_AVAILABLE: APIErrors.NO_MODELS_AVAILABLE,
     INSUFFICIENT_BALANCE: APIErrors.INSUFFICIENT_BALANCE,
-    INVALID_MODEL: APIErrors.INVALID_MODEL
+    INVALID_MODEL: APIErrors.INVALID_MODEL,
+    INVALID_RESPONSE_FORMAT: APIErrors.INVALID_RESPONSE_FORMAT,
+    INVALID_STRUCTURED_OUTPUT: APIErrors.INVALID_STRUCTURED_OUTPUT,
+    UNSUPPORTED_CAPABILITY: APIErrors.UNSUPPORTED_CAPABILITY,
+    CONTEXT_LENGTH_EXCEEDED: APIErrors.CONTEXT_LENGTH_EXCEEDED,
+    INVALID_IMAGE: APIErrors.INVALID_IMAGE,
+    QUEUE_FULL: APIErrors.QUEUE_FULL,
+    QUEUE_TIMEOUT: APIErrors.QUEUE_TIMEOUT,
+    NOT_FOUND: APIErrors.NOT_FOUND
   };
 
   // Get the appropriate error response or use a generic one
@@ -389,6 +1251,9 @@ function handleError(error, res) {
   const errorResponse = {
     error: {
       ...apiError.error,
+      ...(error.param && { param: error.param, message: error.message }),
+      ...(error.attempts && { attempts: error.attempts }),
+      ...(error.fallback && { fallback: error.fallback }),
       request_id: `req_${Date.now()}`,
       timestamp: new Date().toISOString()
     }
@@ -401,7 +1266,28 @@ function handleError(error, res) {
     originalError: error
   });
 
-  res.status(apiError.status).json(errorResponse);
+  return { status: apiError.status, errorResponse };
 }
 
-module.exports = { handleLLMRequest };
\ No newline at end of file
+module.exports = {
+  validateChatCompletion,
+  validateTextCompletion,
+  validateChatModel,
+  validateChatOptions,
+  handleLLMRequest,
+  handleTextCompletion,
+  sendChatCompletion,
+  runChatCompletion,
+  formatResponse,
+  // Shared with the other /v1 controllers
+  rejectInvalidRequest,
+  watchClientDisconnect,
+  ensureBalance,
+  logUsage,
+  routeAndBill,
+  toProviderError,
+  toAPIError,
+  initStream,
+  reportQueuePosition,
+  handleError
+};
\ No newline at end of file
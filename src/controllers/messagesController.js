@@ -0,0 +1,406 @@
+// src/controllers/messagesController.js
+// Anthropic Messages API (/v1/messages) on top of the chat completion pipeline
+const { body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const {
+  runChatCompletion,
+  watchClientDisconnect,
+  toAPIError,
+  initStream,
+  reportQueuePosition
+} = require('./llmController');
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+// Anthropic error types by HTTP status
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  402: 'billing_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  503: 'overloaded_error',
+  529: 'overloaded_error'
+};
+
+const isTextBlock = block => block?.type === 'text' && typeof block.text === 'string';
+
+function isValidImageSource(source) {
+  if (source?.type === 'base64') {
+    return typeof source.media_type === 'string' && typeof source.data === 'string';
+  }
+  return source?.type === 'url' && typeof source.url === 'string';
+}
+
+function isValidBlock(block, role) {
+  switch (block?.type) {
+    case 'text':
+      return typeof block.text === 'string';
+    case 'image':
+      return role === 'user' && isValidImageSource(block.source);
+    case 'tool_use':
+      return role === 'assistant' && typeof block.id === 'string' && typeof block.name === 'string';
+    case 'tool_result': {
+      if (role !== 'user' || typeof block.tool_use_id !== 'string') return false;
+      const content = block.content ?? '';
+      return typeof content === 'string' || (Array.isArray(content) &&
+        content.every(part => isTextBlock(part) || (part?.type === 'image' && isValidImageSource(part.source))));
+    }
+    default:
+      return false;
+  }
+}
+
+// Request schema for /v1/messages
+const validateMessages = [
+  body('model').isString().withMessage('model is required'),
+  body('max_tokens').isInt({ min: 1 }).withMessage('max_tokens must be a positive integer'),
+  body('messages').isArray({ min: 1 }).withMessage('messages must be a non-empty array'),
+  body('messages.*.role').isIn(['user', 'assistant']).withMessage("role must be 'user' or 'assistant'"),
+  body('messages.*.content').custom((value, { req, path }) => {
+    if (typeof value === 'string') return true;
+    const index = parseInt(path.match(/\d+/)[0]);
+    const role = req.body.messages[index]?.role;
+    return Array.isArray(value) && value.every(block => isValidBlock(block, role));
+  }).withMessage('content must be a string or an array of content blocks'),
+  body('system').optional().custom(value => {
+    return typeof value === 'string' || (Array.isArray(value) && value.every(isTextBlock));
+  }).withMessage('system must be a string or an array of text blocks'),
+  body('stop_sequences').optional().custom(value => {
+    return Array.isArray(value) && value.length <= 4 && value.every(stop => typeof stop === 'string');
+  }).withMessage('stop_sequences must be an array of up to 4 strings'),
+  body('temperature').optional().isFloat({ min: 0, max: 1 }).withMessage('temperature must be between 0 and 1'),
+  body('top_p').optional().isFloat({ min: 0, max: 1 }).withMessage('top_p must be between 0 and 1'),
+  body('top_k').optional().isInt({ min: 0 }).withMessage('top_k must be a non-negative integer'),
+  body('stream').optional().isBoolean().withMessage('stream must be a boolean'),
+  body('tools').optional().isArray().withMessage('tools must be an array'),
+  body('tools.*.name').isString().withMessage('tool name is required'),
+  body('tools.*.input_schema').isObject().withMessage('tool input_schema must be an object'),
+  body('tool_choice.type').optional().isIn(['auto', 'any', 'tool', 'none'])
+    .withMessage("tool_choice.type must be one of: auto, any, tool, none"),
+  body('tool_choice.name').if(body('tool_choice.type').equals('tool')).isString()
+    .withMessage('tool_choice.name is required when type is tool')
+];
+
+const handleMessages = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const [firstError] = errors.array();
+    return sendError(res, { code: 'INVALID_REQUEST', param: firstError.path, message: firstError.msg });
+  }
+
+  const isStreaming = req.body.stream === true;
+  const signal = watchClientDisconnect(res);
+  const messageId = `msg_${uuidv4().replace(/-/g, '')}`;
+  let stream = null;
+
+  try {
+    const result = await runChatCompletion(req.user._id, toChatCompletion(req.body), {
+      signal,
+      onQueued: reportQueuePosition(res),
+      onDispatch: ({ selectedModel }) => {
+        if (!isStreaming) return null;
+        initStream(res);
+        stream = createEventStream(res, messageId, selectedModel);
+        return chunk => stream.relay(chunk);
+      }
+    });
+
+    const message = formatMessage(messageId, result);
+
+    if (isStreaming) {
+      stream.finish(message);
+      return res.end();
+    }
+
+    res.json(message);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Anthropic request -> OpenAI chat completion request
+function toChatCompletion(request) {
+  const messages = [];
+
+  if (request.system) {
+    const system = typeof request.system === 'string' ?
+      request.system :
+      request.system.map(block => block.text).join('\n');
+    messages.push({ role: 'system', content: system });
+  }
+
+  for (const message of request.messages) {
+    if (typeof message.content === 'string') {
+      messages.push({ role: message.role, content: message.content });
+      continue;
+    }
+    if (message.role === 'assistant') {
+      messages.push(toAssistantMessage(message.content));
+    } else {
+      messages.push(...toUserMessages(message.content));
+    }
+  }
+
+  const completion = {
+    model: request.model,
+    messages,
+    max_tokens: request.max_tokens,
+    stream: request.stream === true
+  };
+  if (request.temperature !== undefined) completion.temperature = request.temperature;
+  if (request.top_p !== undefined) completion.top_p = request.top_p;
+  if (request.top_k !== undefined) completion.top_k = request.top_k; // Dropped for providers without it
+  if (request.stop_sequences?.length > 0) completion.stop = request.stop_sequences;
+
+  const toolChoice = request.tool_choice?.type;
+  if (Array.isArray(request.tools) && request.tools.length > 0 && toolChoice !== 'none') {
+    completion.tools = request.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        ...(tool.description && { description: tool.description }),
+        parameters: tool.input_schema
+      }
+    }));
+    if (toolChoice === 'any') completion.tool_choice = 'required';
+    if (toolChoice === 'tool') {
+      completion.tool_choice = { type: 'function', function: { name: request.tool_choice.name } };
+    }
+  }
+
+  return completion;
+}
+
+function toAssistantMessage(blocks) {
+  const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+  const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+    id: block.id,
+    type: 'function',
+    function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+  }));
+
+  return {
+    role: 'assistant',
+    content: text || (toolCalls.length > 0 ? null : ''),
+    ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+  };
+}
+
+// Tool results become tool messages, which have to come right after the assistant turn
+function toUserMessages(blocks) {
+  const messages = blocks.filter(block => block.type === 'tool_result').map(block => ({
+    role: 'tool',
+    tool_call_id: block.tool_use_id,
+    content: typeof block.content === 'string' ?
+      block.content :
+      (block.content || []).filter(isTextBlock).map(part => part.text).join('\n')
+  }));
+
+  const parts = blocks.filter(block => block.type !== 'tool_result').map(toContentPart);
+  if (parts.length === 0) return messages;
+
+  // Plain text stays a string, text-only providers don't all understand parts
+  const content = parts.every(part => part.type === 'text') ?
+    parts.map(part => part.text).join('\n') :
+    parts;
+  return [...messages, { role: 'user', content }];
+}
+
+function toContentPart(block) {
+  if (block.type === 'image') {
+    const url = block.source.type === 'base64' ?
+      `data:${block.source.media_type};base64,${block.source.data}` :
+      block.source.url;
+    return { type: 'image_url', image_url: { url } };
+  }
+  return { type: 'text', text: block.text };
+}
+
+// Chat completion result -> Anthropic message
+function formatMessage(messageId, { selectedModel, response, usage, timing, isSelfService, muleAmount }) {
+  const choice = response.choices?.[0] || {};
+  const content = [];
+
+  if (choice.message?.content) {
+    content.push({ type: 'text', text: choice.message.content });
+  }
+  for (const toolCall of choice.message?.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id,
+      name: toolCall.function?.name,
+      input: parseToolInput(toolCall.function?.arguments)
+    });
+  }
+
+  const hasToolCalls = content.some(block => block.type === 'tool_use');
+  return {
+    id: messageId,
+    type: 'message',
+    role: 'assistant',
+    model: selectedModel,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason] || (hasToolCalls ? 'tool_use' : 'end_turn'),
+    stop_sequence: null,
+    usage: {
+      input_tokens: usage.prompt_tokens,
+      output_tokens: usage.completion_tokens,
+      mule_amount: Number(muleAmount.toFixed(6)),
+      duration_seconds: timing.duration_seconds,
+      tokens_per_second: timing.tokens_per_second,
+      transaction_mule_cost: isSelfService ? 0 : Number(muleAmount.toFixed(6))
+    }
+  };
+}
+
+function parseToolInput(value) {
+  try {
+    return JSON.parse(value || '{}');
+  } catch {
+    return {};
+  }
+}
+
+// Turns OpenAI chunks into message_start / content_block_* / message_delta events.
+// Text and every tool call are separate content blocks, opened as they first show up.
+function createEventStream(res, messageId, model) {
+  let blockIndex = -1;
+  let openBlock = null; // 'text' or the tool call index
+  let started = false;
+
+  const start = () => {
+    if (started) return;
+    started = true;
+    writeEvent(res, 'message_start', {
+      type: 'message_start',
+      message: {
+        id: messageId,
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      }
+    });
+  };
+
+  const closeBlock = () => {
+    if (openBlock === null) return;
+    writeEvent(res, 'content_block_stop', { type: 'content_block_stop', index: blockIndex });
+    openBlock = null;
+  };
+
+  const openNewBlock = (key, contentBlock) => {
+    closeBlock();
+    blockIndex += 1;
+    openBlock = key;
+    writeEvent(res, 'content_block_start', {
+      type: 'content_block_start',
+      index: blockIndex,
+      content_block: contentBlock
+    });
+  };
+
+  const delta = payload => {
+    writeEvent(res, 'content_block_delta', { type: 'content_block_delta', index: blockIndex, delta: payload });
+  };
+
+  return {
+    relay(chunk) {
+      start();
+      const choiceDelta = chunk?.choices?.[0]?.delta || {};
+
+      if (typeof choiceDelta.content === 'string' && choiceDelta.content) {
+        if (openBlock !== 'text') openNewBlock('text', { type: 'text', text: '' });
+        delta({ type: 'text_delta', text: choiceDelta.content });
+      }
+
+      for (const fragment of choiceDelta.tool_calls || []) {
+        const key = `tool_${fragment.index || 0}`;
+        if (openBlock !== key) {
+          openNewBlock(key, {
+            type: 'tool_use',
+            id: fragment.id,
+            name: fragment.function?.name || '',
+            input: {}
+          });
+        }
+        if (fragment.function?.arguments) {
+          delta({ type: 'input_json_delta', partial_json: fragment.function.arguments });
+        }
+      }
+    },
+
+    finish(message) {
+      // Providers that ignore `stream` answer in one piece, replay it as blocks
+      if (!started) {
+        start();
+        for (const block of message.content) {
+          if (block.type === 'text') {
+            openNewBlock('text', { type: 'text', text: '' });
+            delta({ type: 'text_delta', text: block.text });
+          } else {
+            openNewBlock(block.id, { ...block, input: {} });
+            delta({ type: 'input_json_delta', partial_json: JSON.stringify(block.input) });
+          }
+        }
+      }
+      closeBlock();
+
+      writeEvent(res, 'message_delta', {
+        type: 'message_delta',
+        delta: { stop_reason: message.stop_reason, stop_sequence: message.stop_sequence },
+        usage: message.usage
+      });
+      writeEvent(res, 'message_stop', { type: 'message_stop' });
+    }
+  };
+}
+
+function writeEvent(res, event, payload) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+// Same status mapping as the OpenAI endpoints, Anthropic error envelope
+function sendError(res, error) {
+  if (error.code === 'REQUEST_CANCELLED' || res.destroyed) {
+    console.log('Messages request cancelled by client:', error.message);
+    return;
+  }
+
+  console.error('Messages Request Error:', error);
+
+  const { status, errorResponse } = toAPIError(error);
+  const payload = {
+    type: 'error',
+    error: {
+      type: ERROR_TYPES[status] || 'api_error',
+      message: errorResponse.error.message
+    }
+  };
+
+  if (res.headersSent) {
+    res.locals.failed = true;
+    writeEvent(res, 'error', payload);
+    return res.end();
+  }
+
+  res.status(status).type('json').json(payload); // Replaces the stream's Content-Type
+}
+
+module.exports = {
+  validateMessages,
+  handleMessages
+};
@@ -0,0 +1,403 @@
+// src/controllers/ollamaController.js
+// Ollama REST API (/api/*) on top of the chat pipeline, so local apps can use the network
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const { ModelManager } = require('../config/models');
+const { buildModelsList } = require('./modelController');
+const {
+  runChatCompletion,
+  watchClientDisconnect,
+  toAPIError,
+  reportQueuePosition
+} = require('./llmController');
+
+// Reported by /api/version, some clients refuse servers older than what they were built for
+const OLLAMA_VERSION = '0.5.0';
+
+const DONE_REASONS = {
+  stop: 'stop',
+  length: 'length',
+  tool_calls: 'stop'
+};
+
+// Ollama sends raw base64 without a media type
+const IMAGE_SIGNATURES = [
+  ['iVBOR', 'image/png'],
+  ['/9j/', 'image/jpeg'],
+  ['R0lG', 'image/gif'],
+  ['UklGR', 'image/webp']
+];
+
+const isImageList = value => Array.isArray(value) && value.every(image => typeof image === 'string');
+
+// Options shared by /api/chat and /api/generate, unknown runner options
+// (num_ctx, repeat_penalty, ...) are ignored like Ollama does for unsupported ones
+const validateOptions = [
+  body('options').optional().isObject().withMessage('options must be an object'),
+  body('options.num_predict').optional().isInt().withMessage('num_predict must be an integer'),
+  body('options.temperature').optional().isFloat({ min: 0, max: 2 }).withMessage('temperature must be between 0 and 2'),
+  body('options.top_p').optional().isFloat({ min: 0, max: 1 }).withMessage('top_p must be between 0 and 1'),
+  body('options.top_k').optional().isInt({ min: 0 }).withMessage('top_k must be a non-negative integer'),
+  body('options.seed').optional().isInt().withMessage('seed must be an integer'),
+  body('options.stop').optional().custom(value => {
+    return Array.isArray(value) && value.length <= 4 && value.every(stop => typeof stop === 'string');
+  }).withMessage('stop must be an array of up to 4 strings'),
+  body('options.presence_penalty').optional().isFloat({ min: -2, max: 2 }).withMessage('presence_penalty must be between -2 and 2'),
+  body('options.frequency_penalty').optional().isFloat({ min: -2, max: 2 }).withMessage('frequency_penalty must be between -2 and 2'),
+  body('format').optional().custom(value => value === 'json' || (value && typeof value === 'object'))
+    .withMessage("format must be 'json' or a JSON schema object"),
+  body('stream').optional().isBoolean().withMessage('stream must be a boolean')
+];
+
+// Request schema for /api/chat
+const validateChat = [
+  body('model').isString().withMessage('model is required'),
+  body('messages').isArray({ min: 1 }).withMessage('messages must be a non-empty array'),
+  body('messages.*.role').isIn(['system', 'user', 'assistant', 'tool']).withMessage('invalid message role'),
+  body('messages.*.content').optional().isString().withMessage('content must be a string'),
+  body('messages.*.images').optional().custom(isImageList).withMessage('images must be an array of base64 strings'),
+  body('tools').optional().isArray().withMessage('tools must be an array'),
+  ...validateOptions
+];
+
+// Request schema for /api/generate
+const validateGenerate = [
+  body('model').isString().withMessage('model is required'),
+  body('prompt').optional().isString().withMessage('prompt must be a string'),
+  body('system').optional().isString().withMessage('system must be a string'),
+  body('images').optional().custom(isImageList).withMessage('images must be an array of base64 strings'),
+  body('raw').optional().custom(value => value !== true).withMessage('raw mode is not supported'),
+  body('suffix').optional().custom(value => !value).withMessage('suffix is not supported'),
+  ...validateOptions
+];
+
+// Request schema for /api/show
+const validateShow = [
+  body().custom(value => typeof (value.model || value.name) === 'string').withMessage('model is required')
+];
+
+const handleVersion = (req, res) => {
+  res.json({ version: OLLAMA_VERSION });
+};
+
+// Installed models, here every model some provider is serving
+const handleTags = async (req, res) => {
+  try {
+    const models = await listModels(req.app.locals.providerManager);
+    res.json({ models: models.map(formatTag) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const handleShow = async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  try {
+    const name = req.body.model || req.body.name;
+    const models = await listModels(req.app.locals.providerManager);
+    const model = models.find(entry => entry.name === name);
+    if (!model) {
+      throw { code: 'NOT_FOUND', param: 'model', message: `model '${name}' not found` };
+    }
+
+    const { tier, type, context } = ModelManager.getModelInfo(model.name);
+    const { family } = formatDetails(model.name);
+    res.json({
+      license: '',
+      modelfile: '',
+      parameters: '',
+      template: '',
+      details: formatDetails(model.name),
+      model_info: {
+        'general.architecture': family,
+        'general.basename': model.name,
+        [`${family}.context_length`]: context
+      },
+      capabilities: type === 'embedding' ? ['embedding'] :
+        ['completion', ...(model.vision ? ['vision'] : [])],
+      modified_at: model.modifiedAt.toISOString(),
+      llmule: { tier, type, providers: model.providers }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const handleChat = async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  await respond(req, res, {
+    body: {
+      model: req.body.model,
+      messages: toChatMessages(req.body.messages),
+      ...(Array.isArray(req.body.tools) && req.body.tools.length > 0 && { tools: req.body.tools })
+    },
+    // Every line carries the assistant message delta
+    format: (content, extra = {}) => ({ message: { role: 'assistant', content, ...extra } })
+  });
+};
+
+const handleGenerate = async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  // An empty prompt is how clients ask Ollama to load a model, nothing to run here
+  if (!req.body.prompt) {
+    return res.json({
+      model: req.body.model,
+      created_at: new Date().toISOString(),
+      response: '',
+      done: true,
+      done_reason: 'load'
+    });
+  }
+
+  const messages = [];
+  if (req.body.system) messages.push({ role: 'system', content: req.body.system });
+  messages.push(toChatMessage({ role: 'user', content: req.body.prompt, images: req.body.images }));
+
+  await respond(req, res, {
+    body: { model: req.body.model, messages },
+    format: content => ({ response: content })
+  });
+};
+
+// Runs the translated request and answers as NDJSON lines (stream, Ollama's default)
+// or one JSON object. `format` shapes the content-bearing part of each line.
+async function respond(req, res, { body, format }) {
+  const isStreaming = req.body.stream !== false;
+  const signal = watchClientDisconnect(res);
+  let streamed = false;
+
+  try {
+    const result = await runChatCompletion(req.user._id, {
+      ...body,
+      ...toSamplingOptions(req.body.options),
+      ...toResponseFormat(req.body.format),
+      stream: isStreaming
+    }, {
+      signal,
+      onQueued: reportQueuePosition(res),
+      onDispatch: ({ selectedModel }) => {
+        if (!isStreaming) return null;
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+        return (chunk) => {
+          const content = chunk?.choices?.[0]?.delta?.content;
+          if (typeof content !== 'string' || !content) return;
+          streamed = true;
+          writeLine(res, { model: selectedModel, created_at: new Date().toISOString(), ...format(content), done: false });
+        };
+      }
+    });
+
+    const message = result.response.choices?.[0]?.message || {};
+    const toolCalls = toOllamaToolCalls(message.tool_calls);
+    const line = (fields) => ({ model: result.selectedModel, created_at: new Date().toISOString(), ...fields });
+
+    if (!isStreaming) {
+      return res.json(line({
+        ...format(message.content || '', toolCalls ? { tool_calls: toolCalls } : {}),
+        ...formatStats(result)
+      }));
+    }
+
+    // Providers that ignore `stream` answer in one piece
+    if (!streamed && message.content) {
+      writeLine(res, line({ ...format(message.content), done: false }));
+    }
+    // Ollama hands over tool calls whole rather than as fragments
+    if (toolCalls) {
+      writeLine(res, line({ ...format('', { tool_calls: toolCalls }), done: false }));
+    }
+    writeLine(res, line({ ...format(''), ...formatStats(result) }));
+    res.end();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+function toChatMessages(messages) {
+  // Ollama tool results don't reference a call id, pair them with the calls in order
+  const pendingCallIds = [];
+  let callCount = 0;
+
+  return messages.map(message => {
+    const converted = toChatMessage(message);
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+      converted.tool_calls = message.tool_calls.map(toolCall => {
+        const id = `call_${callCount++}`;
+        pendingCallIds.push(id);
+        return {
+          id,
+          type: 'function',
+          function: {
+            name: toolCall.function?.name,
+            arguments: typeof toolCall.function?.arguments === 'string' ?
+              toolCall.function.arguments :
+              JSON.stringify(toolCall.function?.arguments ?? {})
+          }
+        };
+      });
+      if (!converted.content) converted.content = null;
+    }
+    if (message.role === 'tool') {
+      converted.tool_call_id = message.tool_call_id || pendingCallIds.shift() || `call_${callCount++}`;
+    }
+    return converted;
+  });
+}
+
+function toChatMessage({ role, content, images }) {
+  if (!Array.isArray(images) || images.length === 0) {
+    return { role, content: content || '' };
+  }
+  return {
+    role,
+    content: [
+      ...(content ? [{ type: 'text', text: content }] : []),
+      ...images.map(image => ({ type: 'image_url', image_url: { url: toDataUrl(image) } }))
+    ]
+  };
+}
+
+function toDataUrl(image) {
+  const [, mediaType] = IMAGE_SIGNATURES.find(([signature]) => image.startsWith(signature)) || [null, 'image/jpeg'];
+  return `data:${mediaType};base64,${image}`;
+}
+
+function toSamplingOptions(options = {}) {
+  const sampling = {};
+  // num_predict -1 (infinite) and -2 (fill context) leave the limit to the model
+  if (options.num_predict > 0) sampling.max_tokens = options.num_predict;
+  for (const name of ['temperature', 'top_p', 'top_k', 'seed', 'stop', 'presence_penalty', 'frequency_penalty']) {
+    if (options[name] !== undefined) sampling[name] = options[name];
+  }
+  return sampling;
+}
+
+function toResponseFormat(format) {
+  if (!format) return {};
+  if (format === 'json') return { response_format: { type: 'json_object' } };
+  return { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: format } } };
+}
+
+function toOllamaToolCalls(toolCalls) {
+  if (!Array.isArray(toolCalls) || toolCalls.length === 0) return null;
+  return toolCalls.map(toolCall => {
+    let args = toolCall.function?.arguments;
+    try {
+      args = typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+    } catch {
+      args = {};
+    }
+    return { function: { name: toolCall.function?.name, arguments: args } };
+  });
+}
+
+// Ollama reports durations in nanoseconds
+function formatStats({ response, usage, timing, isSelfService, muleAmount }) {
+  const finishReason = response.choices?.[0]?.finish_reason;
+  const totalDuration = Math.round((timing.duration_seconds || 0) * 1e9);
+  return {
+    done: true,
+    done_reason: DONE_REASONS[finishReason] || 'stop',
+    total_duration: totalDuration,
+    load_duration: 0,
+    prompt_eval_count: usage.prompt_tokens,
+    prompt_eval_duration: 0,
+    eval_count: usage.completion_tokens,
+    eval_duration: totalDuration,
+    mule_amount: Number(muleAmount.toFixed(6)),
+    transaction_mule_cost: isSelfService ? 0 : Number(muleAmount.toFixed(6))
+  };
+}
+
+// /v1/models lists every provider instance, Ollama clients want one entry per model
+async function listModels(providerManager) {
+  const models = new Map();
+  for (const entry of await buildModelsList(providerManager)) {
+    const modifiedAt = new Date(Date.now() - entry.provider.last_active_seconds_ago * 1000);
+    const model = models.get(entry.root);
+    if (!model) {
+      models.set(entry.root, { name: entry.root, vision: entry.vision, providers: 1, modifiedAt });
+      continue;
+    }
+    model.providers += 1;
+    model.vision = model.vision || entry.vision;
+    if (modifiedAt > model.modifiedAt) model.modifiedAt = modifiedAt;
+  }
+  return Array.from(models.values());
+}
+
+function formatTag(model) {
+  return {
+    name: model.name,
+    model: model.name,
+    modified_at: model.modifiedAt.toISOString(),
+    size: 0, // Weights live with the providers
+    digest: crypto.createHash('sha256').update(model.name).digest('hex'),
+    details: formatDetails(model.name)
+  };
+}
+
+function formatDetails(name) {
+  const family = name.toLowerCase().split(/[-:./]/)[0] || name;
+  const parameterSize = name.match(/(\d+(?:\.\d+)?)([bm])\b/i);
+  return {
+    parent_model: '',
+    format: 'gguf',
+    family,
+    families: [family],
+    parameter_size: parameterSize ? `${parameterSize[1]}${parameterSize[2].toUpperCase()}` : '',
+    quantization_level: ''
+  };
+}
+
+function writeLine(res, payload) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`${JSON.stringify(payload)}\n`);
+}
+
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  const [firstError] = errors.array();
+  sendError(res, { code: 'INVALID_REQUEST', param: firstError.path, message: firstError.msg });
+  return true;
+}
+
+// Same status mapping as the OpenAI endpoints, Ollama's `{ error }` body
+function sendError(res, error) {
+  if (error.code === 'REQUEST_CANCELLED' || res.destroyed) {
+    console.log('Ollama request cancelled by client:', error.message);
+    return;
+  }
+
+  console.error('Ollama Request Error:', error);
+
+  const { status, errorResponse } = toAPIError(error);
+  const message = errorResponse.error.message;
+
+  // Mid-stream errors go out as a final line, the status is already sent
+  if (res.headersSent) {
+    res.locals.failed = true;
+    writeLine(res, { error: message });
+    return res.end();
+  }
+
+  res.status(status).type('json').json({ error: message }); // Replaces the stream's Content-Type
+}
+
+module.exports = {
+  validateChat,
+  validateGenerate,
+  validateShow,
+  handleVersion,
+  handleTags,
+  handleShow,
+  handleChat,
+  handleGenerate
+};
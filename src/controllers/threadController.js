@@ -0,0 +1,287 @@
+// src/controllers/threadController.js
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const { Thread, ThreadMessage, THREAD_MESSAGE_ROLES } = require('../models/threadModels');
+const VisionService = require('../services/visionService');
+const {
+  validateChatModel,
+  validateChatOptions,
+  sendChatCompletion,
+  rejectInvalidRequest,
+  handleError
+} = require('./llmController');
+
+const THREAD_ID_PREFIX = 'thread_';
+const MESSAGE_ID_PREFIX = 'msg_';
+const MAX_MESSAGES_PER_REQUEST = 100;
+
+// Rules for an array of messages stored on a thread
+const messageRules = field => [
+  body(field).optional().isArray({ min: 1, max: MAX_MESSAGES_PER_REQUEST })
+    .withMessage(`${field} must be an array of 1 to ${MAX_MESSAGES_PER_REQUEST} messages`),
+  body(`${field}.*.role`).isIn(THREAD_MESSAGE_ROLES)
+    .withMessage(`role must be one of: ${THREAD_MESSAGE_ROLES.join(', ')}`),
+  body(`${field}.*.content`).optional({ values: 'null' }).custom(VisionService.isValidContent)
+    .withMessage('content must be a string or an array of text and image_url parts'),
+  body(`${field}.*.tool_calls`).optional().isArray().withMessage('tool_calls must be an array'),
+  body(`${field}.*.tool_call_id`).optional().isString().withMessage('tool_call_id must be a string')
+];
+
+// Request schema for POST /v1/threads
+const validateCreateThread = [
+  ...messageRules('messages'),
+  body('metadata').optional().isObject().withMessage('metadata must be an object')
+];
+
+// Request schema for POST /v1/threads/:threadId/messages
+const validateAddMessages = [
+  body('messages').exists().withMessage('messages is required'),
+  ...messageRules('messages')
+];
+
+// Request schema for POST /v1/threads/:threadId/runs, a chat request without `messages`
+const validateRun = [
+  ...validateChatModel,
+  body('instructions').optional().isString().withMessage('instructions must be a string'),
+  ...messageRules('additional_messages'),
+  body('sticky').optional().isBoolean().withMessage('sticky must be a boolean'),
+  ...validateChatOptions
+];
+
+const createThread = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) return;
+
+  try {
+    const thread = await Thread.create({
+      userId: req.user._id,
+      metadata: req.body.metadata
+    });
+    if (req.body.messages) {
+      await saveMessages(thread._id, req.body.messages);
+    }
+    res.json(formatThread(thread));
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const getThread = async (req, res) => {
+  try {
+    res.json(formatThread(await findOwnThread(req)));
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const deleteThread = async (req, res) => {
+  try {
+    const thread = await findOwnThread(req);
+    await ThreadMessage.deleteMany({ threadId: thread._id });
+    await Thread.deleteOne({ _id: thread._id });
+    res.json({ id: toThreadId(thread._id), object: 'thread.deleted', deleted: true });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const addMessages = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) return;
+
+  try {
+    const thread = await findOwnThread(req);
+    const messages = await saveMessages(thread._id, req.body.messages);
+    res.json({
+      object: 'list',
+      data: messages.map(formatMessage)
+    });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+const listMessages = async (req, res) => {
+  try {
+    const thread = await findOwnThread(req);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const ascending = req.query.order === 'asc';
+    const query = { threadId: thread._id };
+
+    // Cursor pagination, `after` is the last message id of the previous page
+    const after = parseMessageId(req.query.after);
+    if (after) {
+      query._id = ascending ? { $gt: after } : { $lt: after };
+    }
+
+    const direction = ascending ? 1 : -1;
+    const messages = await ThreadMessage.find(query)
+      .sort({ createdAt: direction, _id: direction })
+      .limit(limit + 1);
+    const page = messages.slice(0, limit);
+    res.json({
+      object: 'list',
+      data: page.map(formatMessage),
+      first_id: page.length > 0 ? toMessageId(page[0]._id) : null,
+      last_id: page.length > 0 ? toMessageId(page[page.length - 1]._id) : null,
+      has_more: messages.length > limit
+    });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// Run a chat completion over the stored history and append the reply to the thread.
+// The history is trimmed oldest first to fit the context unless the request says otherwise.
+const runThread = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) return;
+
+  let thread;
+  let messages;
+  try {
+    thread = await findOwnThread(req);
+    if (req.body.additional_messages) {
+      await saveMessages(thread._id, req.body.additional_messages);
+    }
+
+    const history = await ThreadMessage.find({ threadId: thread._id }).sort({ createdAt: 1, _id: 1 });
+    if (history.length === 0) {
+      throw { code: 'INVALID_REQUEST', param: 'thread_id', message: 'The thread has no messages to run on' };
+    }
+    messages = history.map(toChatMessage);
+  } catch (error) {
+    return handleError(error, res);
+  }
+
+  const { instructions, additional_messages, sticky, ...options } = req.body;
+  const completionBody = {
+    ...options,
+    messages: instructions ? [{ role: 'system', content: instructions }, ...messages] : messages,
+    truncation: options.truncation || 'oldest_first'
+  };
+
+  // Go back to the provider of the previous run while it's around, it may still have
+  // the conversation in its KV cache. A tier is pinned to the model that provider served
+  // with the tier itself as fallback.
+  const previous = sticky !== false && thread.provider?.socketId ? thread.provider : null;
+  if (previous && typeof options.model === 'string' && options.model === previous.requestedModel &&
+      previous.model && previous.model !== options.model && !options.models) {
+    completionBody.model = [previous.model, options.model];
+  }
+
+  await sendChatCompletion(req, res, completionBody, {
+    preferredSocketId: previous?.socketId || null,
+    // sticky: false routes like a fresh conversation
+    affinity: sticky !== false,
+    onResult: async result => {
+      const reply = result.response.choices?.[0]?.message || {};
+      const hasToolCalls = Array.isArray(reply.tool_calls) && reply.tool_calls.length > 0;
+      const [message] = await ThreadMessage.insertMany([{
+        threadId: thread._id,
+        role: 'assistant',
+        content: reply.content || (hasToolCalls ? null : ''),
+        toolCalls: hasToolCalls ? reply.tool_calls : undefined,
+        model: result.selectedModel
+      }]);
+
+      await Thread.updateOne({ _id: thread._id }, {
+        provider: {
+          socketId: result.response.routing?.socketId || result.socketId,
+          model: result.selectedModel,
+          requestedModel: typeof options.model === 'string' ? options.model : result.selectedModel
+        },
+        lastRunAt: new Date()
+      });
+
+      return { thread_id: toThreadId(thread._id), message_id: toMessageId(message._id) };
+    }
+  });
+};
+
+async function findOwnThread(req) {
+  const id = parseThreadId(req.params.threadId);
+  const thread = id && await Thread.findOne({ _id: id, userId: req.user._id });
+  if (!thread) {
+    throw { code: 'NOT_FOUND', param: 'thread_id', message: `No thread found with id ${req.params.threadId}` };
+  }
+  return thread;
+}
+
+// Messages of one request share a timestamp, the _id keeps their order
+function saveMessages(threadId, messages) {
+  const createdAt = new Date();
+  return ThreadMessage.insertMany(messages.map(message => ({
+    threadId,
+    role: message.role,
+    content: message.content ?? null,
+    name: message.name,
+    toolCalls: message.tool_calls,
+    toolCallId: message.tool_call_id,
+    createdAt
+  })));
+}
+
+function toChatMessage(message) {
+  return {
+    role: message.role,
+    content: message.content,
+    ...(message.name && { name: message.name }),
+    ...(message.toolCalls && { tool_calls: message.toolCalls }),
+    ...(message.toolCallId && { tool_call_id: message.toolCallId })
+  };
+}
+
+function toThreadId(id) {
+  return `${THREAD_ID_PREFIX}${id}`;
+}
+
+function parseThreadId(threadId) {
+  const id = String(threadId || '').replace(THREAD_ID_PREFIX, '');
+  return mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : null;
+}
+
+function toMessageId(id) {
+  return `${MESSAGE_ID_PREFIX}${id}`;
+}
+
+function parseMessageId(messageId) {
+  const id = String(messageId || '').replace(MESSAGE_ID_PREFIX, '');
+  return mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : null;
+}
+
+const toUnix = date => (date ? Math.floor(date.getTime() / 1000) : null);
+
+function formatThread(thread) {
+  return {
+    id: toThreadId(thread._id),
+    object: 'thread',
+    created_at: toUnix(thread.createdAt),
+    last_run_at: toUnix(thread.lastRunAt),
+    metadata: thread.metadata || {}
+  };
+}
+
+function formatMessage(message) {
+  return {
+    id: toMessageId(message._id),
+    object: 'thread.message',
+    thread_id: toThreadId(message.threadId),
+    role: message.role,
+    content: message.content,
+    ...(message.name && { name: message.name }),
+    ...(message.toolCalls && { tool_calls: message.toolCalls }),
+    ...(message.toolCallId && { tool_call_id: message.toolCallId }),
+    ...(message.model && { model: message.model }),
+    created_at: toUnix(message.createdAt)
+  };
+}
+
+module.exports = {
+  validateCreateThread,
+  validateAddMessages,
+  validateRun,
+  createThread,
+  getThread,
+  deleteThread,
+  addMessages,
+  listMessages,
+  runThread
+};
@@ -0,0 +1,59 @@
+// src/controllers/tokenizeController.js
+const { body } = require('express-validator');
+const { ModelManager } = require('../config/models');
+const TokenizerService = require('../services/tokenizerService');
+const { rejectInvalidRequest, handleError } = require('./llmController');
+
+// Request schema for /v1/tokenize, either raw text or chat messages
+const validateTokenize = [
+  body('model').isString().withMessage('model is required'),
+  body().custom(value => (value.input === undefined) !== (value.messages === undefined))
+    .withMessage('Provide either input or messages'),
+  body('input').optional().custom(value => {
+    if (typeof value === 'string') return true;
+    return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+  }).withMessage('input must be a string or a non-empty array of strings'),
+  body('messages').optional().isArray({ min: 1 }).withMessage('messages must be a non-empty array'),
+  body('tools').optional().isArray().withMessage('tools must be an array')
+];
+
+// Counts are estimates, the provider that ends up serving the request tokenizes for real
+const handleTokenize = async (req, res) => {
+  if (rejectInvalidRequest(req, res)) return;
+
+  try {
+    const { model, input, messages, tools } = req.body;
+    // Null when a type|model or tier|model filter doesn't match the model
+    const modelInfo = ModelManager.getModelInfo(model);
+    if (!modelInfo) {
+      throw { code: 'NOT_FOUND', param: 'model', message: `No model found matching ${model}` };
+    }
+    const { context } = modelInfo;
+
+    let tokenCount;
+    let counts = null;
+    if (messages) {
+      tokenCount = TokenizerService.countMessages(messages, model, tools);
+    } else {
+      counts = (Array.isArray(input) ? input : [input]).map(text => TokenizerService.countText(text, model));
+      tokenCount = counts.reduce((sum, count) => sum + count, 0);
+    }
+
+    res.json({
+      object: 'tokenize',
+      model,
+      approximate: true,
+      token_count: tokenCount,
+      ...(Array.isArray(input) && { counts }),
+      context_length: context,
+      remaining_tokens: Math.max(0, context - tokenCount)
+    });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+module.exports = {
+  validateTokenize,
+  handleTokenize
+};
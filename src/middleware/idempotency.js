@@ -0,0 +1,152 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const config = require('../config');
+const IdempotencyKey = require('../models/idempotencyModel');
+const canonicalJson = require('../utils/canonicalJson');
+
+const MAX_KEY_LENGTH = 255;
+
+// Replays the stored response for a repeated Idempotency-Key instead of
+// routing and billing the request again
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return sendError(res, 400, 'invalid_idempotency_key',
+      `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+  }
+
+  const userId = req.user._id;
+  const requestHash = hashRequest(req);
+
+  try {
+    const record = await claimKey(userId, key, requestHash);
+
+    if (record) {
+      if (record.requestHash !== requestHash) {
+        return sendError(res, 422, 'idempotency_key_reused',
+          'This Idempotency-Key was already used with a different request body');
+      }
+      if (record.status === 'in_progress') {
+        return sendError(res, 409, 'idempotency_key_in_use',
+          'A request with this Idempotency-Key is still being processed');
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      if (record.contentType) res.type(record.contentType);
+      return res.status(record.statusCode).send(record.body);
+    }
+  } catch (error) {
+    console.error('Idempotency check failed:', { key, error: error.message });
+    return sendError(res, 500, 'internal_error', 'Failed to check the Idempotency-Key');
+  }
+
+  captureResponse(res, async ({ body, ended, truncated }) => {
+    const succeeded = res.statusCode >= 200 && res.statusCode < 300 && !res.locals.failed;
+    try {
+      // A finished response may have been billed even if the client is gone, keep it
+      if (ended && succeeded && !truncated) {
+        await IdempotencyKey.updateOne({ userId, key }, {
+          status: 'completed',
+          statusCode: res.statusCode,
+          contentType: res.get('Content-Type'),
+          body
+        });
+      } else {
+        // Failed or abandoned requests weren't billed, the key can be retried
+        await IdempotencyKey.deleteOne({ userId, key, status: 'in_progress' });
+      }
+    } catch (error) {
+      console.error('Failed to store idempotent response:', { key, error: error.message });
+    }
+  });
+
+  next();
+};
+
+// Returns null when the key is new and now held by this request,
+// otherwise the existing record
+async function claimKey(userId, key, requestHash) {
+  try {
+    await IdempotencyKey.create({ userId, key, requestHash });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key });
+  if (!existing) return claimKey(userId, key, requestHash); // Expired in between
+
+  // The request holding the key died without cleaning up (e.g. server restart)
+  const staleAfter = config.failover.deadline_ms + 60000;
+  if (existing.status === 'in_progress' && Date.now() - existing.createdAt.getTime() > staleAfter) {
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'in_progress', createdAt: existing.createdAt },
+      { requestHash, createdAt: new Date() }
+    );
+    if (taken) return null;
+  }
+
+  return existing;
+}
+
+function hashRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body)}`)
+    .digest('hex');
+}
+
+// Collect everything written to the response (JSON or SSE) and hand it over once it's done
+function captureResponse(res, onDone) {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  let ended = false;
+
+  const capture = (chunk, encoding) => {
+    if (!chunk || typeof chunk === 'function' || truncated) return;
+    const buffer = Buffer.isBuffer(chunk) ? chunk :
+      Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    size += buffer.length;
+    if (size > config.idempotency.max_response_bytes) {
+      truncated = true;
+      chunks.length = 0;
+      return;
+    }
+    chunks.push(buffer);
+  };
+
+  const write = res.write.bind(res);
+  const end = res.end.bind(res);
+  res.write = (chunk, ...args) => {
+    capture(chunk, args[0]);
+    return write(chunk, ...args);
+  };
+  res.end = (chunk, ...args) => {
+    capture(chunk, args[0]);
+    ended = true;
+    return end(chunk, ...args);
+  };
+
+  res.on('close', () => {
+    onDone({
+      body: Buffer.concat(chunks).toString('utf8'),
+      ended,
+      truncated
+    });
+  });
+}
+
+function sendError(res, status, code, message) {
+  return res.status(status).json({
+    error: {
+      message,
+      type: 'invalid_request_error',
+      param: 'Idempotency-Key',
+      code
+    }
+  });
+}
+
+module.exports = idempotency;
@@ -0,0 +1,11 @@
+// src/middleware/jsonBody.js
+const express = require('express');
+const config = require('../config');
+
+// JSON body parsers. jsonBody is the app-wide default; routes that accept base64 image parts
+// are mounted ahead of it and parse with imageJsonBody once authenticateApiKey has passed, so
+// anonymous requests can't make the server buffer hundreds of megabytes.
+const jsonBody = express.json({ limit: config.max_body_bytes });
+const imageJsonBody = express.json({ limit: config.max_image_body_bytes });
+
+module.exports = { jsonBody, imageJsonBody };
@@ -0,0 +1,123 @@
+// src/models/batchModels.js
+const mongoose = require('mongoose');
+
+const BATCH_STATUSES = [
+  'in_progress', 'finalizing', 'completed', 'failed', 'expired', 'cancelling', 'cancelled'
+];
+
+const batchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  inputFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  outputFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  errorFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  completionWindow: {
+    type: String,
+    default: '24h'
+  },
+  status: {
+    type: String,
+    enum: BATCH_STATUSES,
+    default: 'in_progress',
+    index: true
+  },
+  // Validation errors that failed the whole batch
+  validationErrors: [{
+    code: String,
+    message: String,
+    line: Number,
+    param: String
+  }],
+  requestCounts: {
+    total: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: { type: Date, default: Date.now },
+  inProgressAt: Date,
+  expiresAt: Date,
+  finalizingAt: Date,
+  completedAt: Date,
+  failedAt: Date,
+  expiredAt: Date,
+  cancellingAt: Date,
+  cancelledAt: Date
+});
+
+batchSchema.index({ userId: 1, createdAt: -1 });
+
+// One line of a batch input file
+const batchRequestSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  customId: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'in_progress', 'completed', 'failed', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+batchRequestSchema.index({ batchId: 1, index: 1 }, { unique: true });
+batchRequestSchema.index({ status: 1, nextAttemptAt: 1, createdAt: 1 });
+
+const Batch = mongoose.model('Batch', batchSchema);
+const BatchRequest = mongoose.model('BatchRequest', batchRequestSchema);
+
+module.exports = { Batch, BatchRequest, BATCH_STATUSES };
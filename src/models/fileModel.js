@@ -0,0 +1,39 @@
+// src/models/fileModel.js
+const mongoose = require('mongoose');
+
+// Metadata for files uploaded through /v1/files, the content lives in GridFS
+const fileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['batch', 'batch_output'],
+    required: true
+  },
+  bytes: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  storageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fileSchema.index({ userId: 1, createdAt: -1 });
+
+const File = mongoose.model('File', fileSchema);
+module.exports = File;
@@ -0,0 +1,40 @@
+// src/models/idempotencyModel.js
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Stored outcome of a request made with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Hash of method, path and body, a reused key must come with the same request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  statusCode: Number,
+  contentType: String,
+  body: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: config.idempotency.ttl_seconds
+  }
+});
+
+// Keys are scoped per user
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+module.exports = IdempotencyKey;
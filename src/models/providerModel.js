@@ -16,7 +16,11 @@ const providerSchema = new mongoose.Schema({
       },
       tokens_per_second: Number,
       duration_seconds: Number,
-      success: Boolean
+      success: Boolean,
+      outcome: {
+        type: String,
+        enum: ['success', 'failed', 'timeout', 'cancelled']
+      }
     }],
     total_requests: {
       type: Number,
@@ -30,6 +34,10 @@ const providerSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    cancelled_requests: {
+      type: Number,
+      default: 0
+    },
     total_tokens: {
       type: Number,
       default: 0
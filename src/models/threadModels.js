@@ -0,0 +1,67 @@
+// src/models/threadModels.js
+const mongoose = require('mongoose');
+
+const THREAD_MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+// A conversation whose history is kept on the server
+const threadSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Provider that served the last run, later runs go back to it while it's available
+  provider: {
+    socketId: String,
+    model: String, // Concrete model it served
+    requestedModel: String // What the run asked for (may be a tier)
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRunAt: Date
+}, { minimize: false });
+
+threadSchema.index({ userId: 1, createdAt: -1 });
+
+const threadMessageSchema = new mongoose.Schema({
+  threadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thread',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: THREAD_MESSAGE_ROLES,
+    required: true
+  },
+  // A string or OpenAI content parts, null on tool call turns
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  name: String,
+  toolCalls: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  toolCallId: String,
+  // Model that wrote an assistant message
+  model: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+threadMessageSchema.index({ threadId: 1, createdAt: 1, _id: 1 });
+
+const Thread = mongoose.model('Thread', threadSchema);
+const ThreadMessage = mongoose.model('ThreadMessage', threadMessageSchema);
+
+module.exports = { Thread, ThreadMessage, THREAD_MESSAGE_ROLES };
@@ -10,7 +10,7 @@ const transactionSchema = new mongoose.Schema({
     },
     transactionType: {
         type: String,
-        enum: ['consumption', 'provision', 'self_service', 'deposit', 'withdrawal', 'consumption_anonymous'],
+        enum: ['consumption', 'provision', 'self_service', 'deposit', 'withdrawal', 'consumption_anonymous', 'cache_hit'],
         required: true,
         index: true
     },
@@ -36,9 +36,18 @@ const transactionSchema = new mongoose.Schema({
     },
     modelTier: {
         type: String,
-        enum: Object.keys(tokenConfig.conversion_rates),
+        enum: [
+            ...Object.keys(tokenConfig.conversion_rates),
+            ...Object.keys(tokenConfig.unit_rates)
+        ],
         required: true
     },
+    // rawAmount is counted in this metric (see tokenConfig.model_types)
+    metric: {
+        type: String,
+        enum: ['tokens', 'images', 'seconds'],
+        default: 'tokens'
+    },
     rawAmount: {
         type: Number,
         required: true,
@@ -71,6 +80,17 @@ const transactionSchema = new mongoose.Schema({
             required: true,
             min: 0
         },
+        images: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Input audio duration for time-metered models
+        seconds: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
         duration_seconds: {
             type: Number,
             required: true,
@@ -0,0 +1,34 @@
+// routes/batchRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey } = require('../middleware/auth');
+const {
+  validateFileUpload,
+  uploadFile,
+  listFiles,
+  getFile,
+  getFileContent,
+  deleteFile
+} = require('../controllers/fileController');
+const {
+  validateBatch,
+  createBatch,
+  listBatches,
+  getBatch,
+  cancelBatch
+} = require('../controllers/batchController');
+
+// File routes (batch input and output JSONL)
+router.post('/files', authenticateApiKey, validateFileUpload, uploadFile);
+router.get('/files', authenticateApiKey, listFiles);
+router.get('/files/:fileId', authenticateApiKey, getFile);
+router.get('/files/:fileId/content', authenticateApiKey, getFileContent);
+router.delete('/files/:fileId', authenticateApiKey, deleteFile);
+
+// Batch routes
+router.post('/batches', authenticateApiKey, validateBatch, createBatch);
+router.get('/batches', authenticateApiKey, listBatches);
+router.get('/batches/:batchId', authenticateApiKey, getBatch);
+router.post('/batches/:batchId/cancel', authenticateApiKey, cancelBatch);
+
+module.exports = router;
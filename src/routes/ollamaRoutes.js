@@ -0,0 +1,25 @@
+// routes/ollamaRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey } = require('../middleware/auth');
+const { jsonBody, imageJsonBody } = require('../middleware/jsonBody');
+const {
+  validateChat,
+  validateGenerate,
+  validateShow,
+  handleVersion,
+  handleTags,
+  handleShow,
+  handleChat,
+  handleGenerate
+} = require('../controllers/ollamaController');
+
+// Ollama-compatible routes, same API key as /v1. Mounted ahead of the app-wide JSON parser,
+// chat and generate take base64 images.
+router.get('/version', authenticateApiKey, handleVersion);
+router.get('/tags', authenticateApiKey, handleTags);
+router.post('/show', authenticateApiKey, jsonBody, validateShow, handleShow);
+router.post('/chat', authenticateApiKey, imageJsonBody, validateChat, handleChat);
+router.post('/generate', authenticateApiKey, imageJsonBody, validateGenerate, handleGenerate);
+
+module.exports = router;
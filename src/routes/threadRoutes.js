@@ -0,0 +1,28 @@
+// routes/threadRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { imageJsonBody } = require('../middleware/jsonBody');
+const {
+  validateCreateThread,
+  validateAddMessages,
+  validateRun,
+  createThread,
+  getThread,
+  deleteThread,
+  addMessages,
+  listMessages,
+  runThread
+} = require('../controllers/threadController');
+
+// Threads, conversations whose history lives on the server. Mounted ahead of the app-wide
+// JSON parser, messages may carry base64 images.
+router.post('/threads', authenticateApiKey, imageJsonBody, validateCreateThread, createThread);
+router.get('/threads/:threadId', authenticateApiKey, getThread);
+router.delete('/threads/:threadId', authenticateApiKey, deleteThread);
+router.post('/threads/:threadId/messages', authenticateApiKey, imageJsonBody, validateAddMessages, addMessages);
+router.get('/threads/:threadId/messages', authenticateApiKey, listMessages);
+router.post('/threads/:threadId/runs', authenticateApiKey, imageJsonBody, validateRun, idempotency, runThread);
+
+module.exports = router;
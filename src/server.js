@@ -7,15 +7,36 @@ const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
 const config = require('./config');
 const { authenticateApiKey, authenticateAdmin } = require('./middleware/auth');
-const { handleLLMRequest } = require('./controllers/llmController');
+const idempotency = require('./middleware/idempotency');
+const { jsonBody, imageJsonBody } = require('./middleware/jsonBody');
+const {
+  validateChatCompletion,
+  validateTextCompletion,
+  handleLLMRequest,
+  handleTextCompletion
+} = require('./controllers/llmController');
 const authRoutes = require('./routes/auth');
 const { providerManager } = require('./services/providerManager');
 const { handleModelsList } = require('./controllers/modelController');
+const { validateEmbedding, handleEmbeddingRequest } = require('./controllers/embeddingController');
+const { validateImageGeneration, handleImageGeneration } = require('./controllers/imageController');
+const { validateMessages, handleMessages } = require('./controllers/messagesController');
+const { validateTokenize, handleTokenize } = require('./controllers/tokenizeController');
+const {
+  validateTranscription,
+  validateTranslation,
+  handleTranscription,
+  handleTranslation
+} = require('./controllers/audioController');
 const DebugController = require('./controllers/debugController');
 const logger = require('./utils/logger');
 const requestLoggerMiddleware = require('./middleware/requestLogger');
 
 const balanceRoutes = require('./routes/balanceRoutes');
+const batchRoutes = require('./routes/batchRoutes');
+const ollamaRoutes = require('./routes/ollamaRoutes');
+const threadRoutes = require('./routes/threadRoutes');
+const { batchService } = require('./services/batchService');
 
 const app = express();
 const server = createServer(app);
@@ -25,7 +46,12 @@ global.providerManager = providerManager;
 
 // MongoDB Connection
 mongoose.connect(config.mongodb_uri)
-  .then(() => logger.info('Connected to MongoDB'))
+  .then(() => {
+    logger.info('Connected to MongoDB');
+    batchService.start().catch(error => {
+      logger.error('Failed to start batch scheduler:', { error: error.message, stack: error.stack });
+    });
+  })
   .catch(err => {
     logger.error('MongoDB connection error:', { error: err.message, stack: err.stack });
     process.exit(1);
@@ -35,20 +61,35 @@ mongoose.connect(config.mongodb_uri)
 app.use(cors());
 
 // Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
 app.use(requestLoggerMiddleware);
 
 // Make providerManager available to routes
 app.locals.providerManager = providerManager;
 
+// Routes that take base64 images parse their own, larger, bodies after authentication,
+// so they go ahead of the app-wide parser
+app.post('/v1/chat/completions', authenticateApiKey, imageJsonBody, validateChatCompletion, idempotency, handleLLMRequest);
+app.post('/v1/messages', authenticateApiKey, imageJsonBody, validateMessages, idempotency, handleMessages);
+app.use('/v1', threadRoutes);
+app.use('/api', ollamaRoutes);
+
+// Long prompts go past body-parser's 100kb default
+app.use(jsonBody);
+app.use(express.urlencoded({ extended: true }));
+
 // Add auth routes
 app.use('/auth', authRoutes);
 
 // API Routes
-app.post('/v1/chat/completions', authenticateApiKey, handleLLMRequest);
+app.post('/v1/completions', authenticateApiKey, validateTextCompletion, handleTextCompletion);
+app.post('/v1/embeddings', authenticateApiKey, validateEmbedding, handleEmbeddingRequest);
+app.post('/v1/images/generations', authenticateApiKey, validateImageGeneration, handleImageGeneration);
+app.post('/v1/audio/transcriptions', authenticateApiKey, validateTranscription, handleTranscription);
+app.post('/v1/audio/translations', authenticateApiKey, validateTranslation, handleTranslation);
 app.get('/v1/models', authenticateApiKey, handleModelsList);
+app.post('/v1/tokenize', authenticateApiKey, validateTokenize, handleTokenize);
 app.use('/v1', balanceRoutes);
+app.use('/v1', batchRoutes);
 
 // Debug routes
 app.get('/debug/users', authenticateAdmin, async (req, res) => {
@@ -149,6 +190,7 @@ async function handleProviderMessage(ws, providerId, data) {
 
         const registrationData = {
           models: data.models,
+          capabilities: data.capabilities,
           ws,
           apiKey: data.apiKey
         };
@@ -182,6 +224,46 @@ async function handleProviderMessage(ws, providerId, data) {
         providerManager.handleCompletionResponse(data.requestId, data.response);
         break;
 
+      case 'embedding_response':
+        logger.debug('Handling embedding response', {
+          providerId,
+          requestId: data.requestId
+        });
+        providerManager.handleCompletionResponse(data.requestId, data.response);
+        break;
+
+      case 'transcription_response':
+        logger.debug('Handling transcription response', {
+          providerId,
+          requestId: data.requestId
+        });
+        providerManager.handleCompletionResponse(data.requestId, data.response);
+        break;
+
+      case 'image_chunk':
+        providerManager.handleImageChunk(data.requestId, data.chunk);
+        break;
+
+      case 'image_response':
+        logger.debug('Handling image response', {
+          providerId,
+          requestId: data.requestId
+        });
+        providerManager.handleImageResponse(data.requestId, data.response);
+        break;
+
+      case 'completion_chunk':
+        providerManager.handleCompletionChunk(data.requestId, data.chunk);
+        break;
+
+      case 'completion_done':
+        logger.debug('Handling completion done', {
+          providerId,
+          requestId: data.requestId
+        });
+        providerManager.handleCompletionDone(data.requestId, data.response);
+        break;
+
       default:
         logger.warn('Unknown message type received', {
           providerId,
@@ -265,11 +347,14 @@ wss.on('connection', (ws, req) => {
         return;
       }
       
-      logger.info('Processing WebSocket message', {
-        providerId,
-        type: data.type,
-        isRegistered
-      });
+      // Streaming and image chunks arrive in bursts, keep them out of the info log
+      if (!['completion_chunk', 'image_chunk'].includes(data.type)) {
+        logger.info('Processing WebSocket message', {
+          providerId,
+          type: data.type,
+          isRegistered
+        });
+      }
       
       if (data.type === 'register') {
         logger.debug('Processing registration', {
@@ -343,6 +428,7 @@ server.listen(PORT, HOST, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('Received SIGTERM. Performing graceful shutdown...');
+  batchService.stop();
   mongoose.connection.close();
   server.close();
   process.exit(0);
@@ -0,0 +1,389 @@
+// src/services/batchService.js
+const { validationResult } = require('express-validator');
+const config = require('../config');
+const { Batch, BatchRequest } = require('../models/batchModels');
+const File = require('../models/fileModel');
+const FileService = require('./fileService');
+const { providerManager } = require('./providerManager');
+const {
+  validateChatCompletion,
+  runChatCompletion,
+  formatResponse
+} = require('../controllers/llmController');
+
+const SUPPORTED_ENDPOINTS = ['/v1/chat/completions'];
+const COMPLETION_WINDOWS = { '24h': 24 * 60 * 60 * 1000 };
+
+// Nothing can serve the line right now, try again later without using up an attempt
+const WAIT_CODES = ['NO_IDLE_PROVIDER', 'NO_MODELS_AVAILABLE'];
+// Provider-side failures that get another attempt after failover was exhausted
+const TRANSIENT_CODES = ['PROVIDER_TIMEOUT', 'INVALID_RESPONSE', 'PROVIDER_SEND_FAILED'];
+
+// Batches run their lines through the regular chat pipeline, but only on providers
+// with nothing else in flight, so interactive traffic always goes first
+class BatchService {
+  constructor() {
+    this.interval = null;
+    this.ticking = false;
+    this.inFlight = new Set();
+  }
+
+  async start() {
+    if (this.interval) return;
+
+    // Lines that were running when the server went down start over
+    await BatchRequest.updateMany({ status: 'in_progress' }, { status: 'pending' });
+    const cancelling = await Batch.find({ status: 'cancelling' }).select('_id');
+    for (const { _id } of cancelling) {
+      await this._finalizeIfDone(_id);
+    }
+
+    this.interval = setInterval(() => this._tick(), config.batch.poll_interval_ms);
+    console.log('Batch scheduler started, polling every', config.batch.poll_interval_ms, 'ms');
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  async createBatch(userId, { inputFileId, endpoint, completionWindow = '24h', metadata = {} }) {
+    if (!SUPPORTED_ENDPOINTS.includes(endpoint)) {
+      throw this._error('INVALID_REQUEST', `Unsupported endpoint, must be one of: ${SUPPORTED_ENDPOINTS.join(', ')}`, 'endpoint');
+    }
+    if (!COMPLETION_WINDOWS[completionWindow]) {
+      throw this._error('INVALID_REQUEST', `completion_window must be one of: ${Object.keys(COMPLETION_WINDOWS).join(', ')}`, 'completion_window');
+    }
+
+    const file = await File.findOne({ _id: inputFileId, userId, purpose: 'batch' });
+    if (!file) {
+      throw this._error('NOT_FOUND', 'No batch input file found with that id', 'input_file_id');
+    }
+
+    const content = (await FileService.read(file)).toString('utf8');
+    const { requests, errors } = await this._parseInput(content, endpoint);
+    const now = new Date();
+
+    const batch = await Batch.create({
+      userId,
+      endpoint,
+      inputFileId: file._id,
+      completionWindow,
+      metadata,
+      ...(errors.length > 0 ?
+        { status: 'failed', failedAt: now, validationErrors: errors.slice(0, 100) } :
+        {
+          status: 'in_progress',
+          inProgressAt: now,
+          expiresAt: new Date(now.getTime() + COMPLETION_WINDOWS[completionWindow]),
+          requestCounts: { total: requests.length, completed: 0, failed: 0 }
+        })
+    });
+
+    if (errors.length > 0) return batch;
+
+    try {
+      for (let start = 0; start < requests.length; start += 1000) {
+        await BatchRequest.insertMany(
+          requests.slice(start, start + 1000).map(request => ({ ...request, batchId: batch._id })),
+          { ordered: false }
+        );
+      }
+    } catch (error) {
+      console.error('Failed to queue batch requests:', { batchId: batch._id, error: error.message });
+      await BatchRequest.deleteMany({ batchId: batch._id });
+      batch.status = 'failed';
+      batch.failedAt = new Date();
+      batch.validationErrors = [{ code: 'internal_error', message: 'Failed to queue the batch requests' }];
+      await batch.save();
+    }
+
+    return batch;
+  }
+
+  async cancelBatch(userId, batchId) {
+    const batch = await Batch.findOne({ _id: batchId, userId });
+    if (!batch) {
+      throw this._error('NOT_FOUND', 'No batch found with that id', 'batch_id');
+    }
+    if (batch.status !== 'in_progress') {
+      throw this._error('INVALID_REQUEST', `Cannot cancel a batch with status ${batch.status}`, 'batch_id');
+    }
+
+    const cancelled = await Batch.findOneAndUpdate(
+      { _id: batchId, status: 'in_progress' },
+      { status: 'cancelling', cancellingAt: new Date() },
+      { new: true }
+    );
+
+    // Lines already running finish and keep their results
+    await BatchRequest.updateMany({ batchId, status: 'pending' }, {
+      status: 'cancelled',
+      error: { code: 'batch_cancelled', message: 'The batch was cancelled before this request ran' }
+    });
+    await this._finalizeIfDone(batchId);
+
+    return (await Batch.findById(batchId)) || cancelled;
+  }
+
+  async _parseInput(content, endpoint) {
+    const lines = content.split('\n')
+      .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+      .filter(({ text }) => text.length > 0);
+
+    if (lines.length === 0) {
+      return { requests: [], errors: [{ code: 'empty_file', message: 'The input file contains no requests' }] };
+    }
+    if (lines.length > config.batch.max_requests) {
+      return {
+        requests: [],
+        errors: [{ code: 'too_many_requests', message: `A batch can contain at most ${config.batch.max_requests} requests` }]
+      };
+    }
+
+    const requests = [];
+    const errors = [];
+    const customIds = new Set();
+
+    for (const { text, line } of lines) {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        errors.push({ code: 'invalid_json_line', message: `Line is not valid JSON: ${error.message}`, line });
+        continue;
+      }
+
+      if (typeof parsed?.custom_id !== 'string' || parsed.custom_id.length === 0) {
+        errors.push({ code: 'missing_required_parameter', message: 'custom_id is required', line, param: 'custom_id' });
+        continue;
+      }
+      if (customIds.has(parsed.custom_id)) {
+        errors.push({ code: 'duplicate_custom_id', message: `custom_id ${parsed.custom_id} is used more than once`, line, param: 'custom_id' });
+        continue;
+      }
+      customIds.add(parsed.custom_id);
+
+      if (parsed.method !== 'POST' || parsed.url !== endpoint) {
+        errors.push({ code: 'mismatched_endpoint', message: `Every line must be a POST to ${endpoint}`, line, param: 'url' });
+        continue;
+      }
+      if (!parsed.body || typeof parsed.body !== 'object' || Array.isArray(parsed.body)) {
+        errors.push({ code: 'invalid_request', message: 'body must be an object', line, param: 'body' });
+        continue;
+      }
+      if (parsed.body.stream === true) {
+        errors.push({ code: 'invalid_request', message: 'stream is not supported in batches', line, param: 'body.stream' });
+        continue;
+      }
+
+      // Same request schema as the synchronous endpoint
+      const req = { body: parsed.body };
+      await Promise.all(validateChatCompletion.map(chain => chain.run(req)));
+      const validation = validationResult(req);
+      if (!validation.isEmpty()) {
+        const [first] = validation.array();
+        errors.push({ code: 'invalid_request', message: first.msg, line, param: `body.${first.path}` });
+        continue;
+      }
+
+      requests.push({ index: requests.length, customId: parsed.custom_id, body: parsed.body });
+    }
+
+    return { requests, errors };
+  }
+
+  async _tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this._expireBatches();
+
+      const capacity = Math.min(
+        providerManager.getIdleProviderCount(),
+        config.batch.max_concurrency - this.inFlight.size
+      );
+      if (capacity <= 0) return;
+
+      const candidates = await BatchRequest.find({
+        status: 'pending',
+        nextAttemptAt: { $lte: new Date() }
+      }).sort({ createdAt: 1, index: 1 }).limit(capacity).select('_id');
+
+      for (const { _id } of candidates) {
+        const item = await BatchRequest.findOneAndUpdate(
+          { _id, status: 'pending' },
+          { status: 'in_progress', $inc: { attempts: 1 } },
+          { new: true }
+        );
+        if (!item) continue;
+
+        const key = item._id.toString();
+        this.inFlight.add(key);
+        this._runRequest(item)
+          .catch(error => console.error('Batch request failed unexpectedly:', { requestId: key, error }))
+          .finally(() => this.inFlight.delete(key));
+      }
+    } catch (error) {
+      console.error('Batch scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async _runRequest(item) {
+    const batch = await Batch.findById(item.batchId);
+    if (!batch || batch.status !== 'in_progress') {
+      await BatchRequest.updateOne({ _id: item._id }, {
+        status: 'cancelled',
+        error: { code: 'batch_cancelled', message: 'The batch was cancelled before this request ran' }
+      });
+      return this._finalizeIfDone(item.batchId);
+    }
+
+    try {
+      const result = await runChatCompletion(batch.userId, item.body, {
+        pricing: 'batch',
+        idleOnly: true
+      });
+
+      await BatchRequest.updateOne({ _id: item._id }, {
+        status: 'completed',
+        response: {
+          status_code: 200,
+          request_id: `req_${item._id}`,
+          body: formatResponse(result)
+        }
+      });
+      await Batch.updateOne({ _id: batch._id }, { $inc: { 'requestCounts.completed': 1 } });
+
+    } catch (error) {
+      const wait = WAIT_CODES.includes(error.code);
+      if (wait || (TRANSIENT_CODES.includes(error.code) && item.attempts < config.batch.max_attempts)) {
+        await BatchRequest.updateOne({ _id: item._id }, {
+          status: 'pending',
+          nextAttemptAt: new Date(Date.now() + config.batch.retry_delay_ms),
+          ...(wait && { $inc: { attempts: -1 } })
+        });
+        return;
+      }
+
+      console.warn('Batch request failed:', { batchId: batch._id, customId: item.customId, code: error.code, message: error.message });
+      await BatchRequest.updateOne({ _id: item._id }, {
+        status: 'failed',
+        error: {
+          code: (error.code || 'internal_error').toLowerCase(),
+          message: error.message || 'Request failed'
+        }
+      });
+      await Batch.updateOne({ _id: batch._id }, { $inc: { 'requestCounts.failed': 1 } });
+    }
+
+    await this._finalizeIfDone(batch._id);
+  }
+
+  async _expireBatches() {
+    const expired = await Batch.find({
+      status: 'in_progress',
+      expiresAt: { $lte: new Date() }
+    }).select('_id');
+
+    for (const { _id } of expired) {
+      await BatchRequest.updateMany({ batchId: _id, status: 'pending' }, {
+        status: 'expired',
+        error: { code: 'batch_expired', message: 'This request could not be executed before the completion window expired' }
+      });
+      await this._finalizeIfDone(_id);
+    }
+  }
+
+  async _finalizeIfDone(batchId) {
+    const remaining = await BatchRequest.countDocuments({
+      batchId,
+      status: { $in: ['pending', 'in_progress'] }
+    });
+    if (remaining > 0) return;
+
+    // Claim the batch so only one caller writes the results
+    const batch = await Batch.findOneAndUpdate(
+      { _id: batchId, status: { $in: ['in_progress', 'cancelling'] } },
+      { status: 'finalizing', finalizingAt: new Date() }
+    );
+    if (!batch) return;
+
+    let status = 'completed';
+    if (batch.status === 'cancelling') status = 'cancelled';
+    else if (await BatchRequest.exists({ batchId, status: 'expired' })) status = 'expired';
+
+    try {
+      await this._writeResults(batch, status);
+    } catch (error) {
+      console.error('Failed to write batch results:', { batchId, error });
+      await Batch.updateOne({ _id: batchId }, {
+        status: 'failed',
+        failedAt: new Date(),
+        validationErrors: [{ code: 'internal_error', message: 'Failed to write the batch results' }]
+      });
+    }
+  }
+
+  async _writeResults(batch, status) {
+    const resultLines = async function* (statuses) {
+      const cursor = BatchRequest.find({ batchId: batch._id, status: { $in: statuses } })
+        .sort({ index: 1 })
+        .cursor();
+      for await (const item of cursor) {
+        yield JSON.stringify({
+          id: `batch_req_${item._id}`,
+          custom_id: item.customId,
+          response: item.response,
+          error: item.error
+        }) + '\n';
+      }
+    };
+
+    const writeFile = async (statuses, suffix) => {
+      if (!await BatchRequest.exists({ batchId: batch._id, status: { $in: statuses } })) return null;
+      const file = await FileService.create({
+        userId: batch.userId,
+        filename: `batch_${batch._id}_${suffix}.jsonl`,
+        purpose: 'batch_output',
+        content: resultLines(statuses)
+      });
+      return file._id;
+    };
+
+    const outputFileId = await writeFile(['completed'], 'output');
+    const errorFileId = await writeFile(['failed', 'cancelled', 'expired'], 'error');
+
+    await Batch.updateOne({ _id: batch._id }, {
+      status,
+      [`${status}At`]: new Date(),
+      ...(outputFileId && { outputFileId }),
+      ...(errorFileId && { errorFileId })
+    });
+
+    // Results live in the output files now
+    await BatchRequest.deleteMany({ batchId: batch._id });
+
+    console.log('Batch finalized:', {
+      batchId: batch._id.toString(),
+      status,
+      requestCounts: batch.requestCounts
+    });
+  }
+
+  _error(code, message, param) {
+    const error = new Error(message);
+    error.code = code;
+    error.param = param;
+    return error;
+  }
+}
+
+module.exports = {
+  BatchService,
+  SUPPORTED_ENDPOINTS,
+  batchService: new BatchService()
+};
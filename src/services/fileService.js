@@ -0,0 +1,58 @@
+// src/services/fileService.js
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const File = require('../models/fileModel');
+
+// File contents go to GridFS, batch files easily exceed the 16MB document limit
+class FileService {
+  static _bucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'files' });
+  }
+
+  // content is a Buffer or an (async) iterable of strings, e.g. JSONL lines
+  static async create({ userId, filename, purpose, content }) {
+    const uploadStream = this._bucket().openUploadStream(filename, {
+      metadata: { userId, purpose }
+    });
+
+    let bytes = 0;
+    const source = Buffer.isBuffer(content) ? Readable.from([content]) : Readable.from(content);
+    source.on('data', chunk => {
+      bytes += Buffer.byteLength(chunk);
+    });
+    await pipeline(source, uploadStream);
+
+    return File.create({
+      userId,
+      filename,
+      purpose,
+      bytes,
+      storageId: uploadStream.id
+    });
+  }
+
+  static openReadStream(file) {
+    return this._bucket().openDownloadStream(file.storageId);
+  }
+
+  static async read(file) {
+    const chunks = [];
+    for await (const chunk of this.openReadStream(file)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  static async remove(file) {
+    try {
+      await this._bucket().delete(file.storageId);
+    } catch (error) {
+      // Content already gone, still drop the metadata
+      console.warn('File content missing from storage:', { fileId: file._id, error: error.message });
+    }
+    await File.deleteOne({ _id: file._id });
+  }
+}
+
+module.exports = FileService;
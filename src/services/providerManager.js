@@ -4,6 +4,40 @@ const User = require('../models/userModel');
 const { ModelManager } = require('../config/models');
 const { Provider } = require('../models/providerModel');
 const WebSocket = require('ws');
+const config = require('../config');
+const VisionService = require('./visionService');
+const WaitQueue = require('./waitQueue');
+const { routingStrategies } = require('./routingStrategies');
+
+// OpenAI sampling parameters forwarded to providers as-is
+const SAMPLING_PARAMETERS = [
+  'top_p', 'stop', 'presence_penalty', 'frequency_penalty',
+  'seed', 'n', 'logit_bias', 'logprobs', 'top_logprobs',
+  'suffix', 'best_of' // Text completions only
+];
+
+// Sampling parameters some backends lack (top_k isn't part of the OpenAI API). They only go to
+// providers that declared them and are dropped for the rest instead of limiting routing.
+const BEST_EFFORT_PARAMETERS = ['top_k'];
+
+const CHAT_TIERS = ['small', 'medium', 'large', 'xl'];
+
+// Model names that stand for "any model of this type"
+const GENERIC_MODEL_TYPES = ['embedding', 'image', 'whisper'];
+
+// Request types whose latency is comparable between providers (images and audio take far longer)
+const LATENCY_TRACKED_TYPES = ['completion_request', 'text_completion'];
+
+// Request types a provider has to opt into at registration
+const FEATURES = ['tools', 'text_completion'];
+
+// Parameters every OpenAI-compatible backend (Ollama, LM Studio) honors.
+// Providers that register an explicit list only get what they declare.
+const BASE_PARAMETERS = ['temperature', 'max_tokens'];
+const DEFAULT_PARAMETERS = [
+  ...BASE_PARAMETERS, 'top_p', 'stop', 'seed', 'presence_penalty', 'frequency_penalty'
+];
+
 class ProviderManager {
   constructor() {
     this.providers = new Map();
@@ -15,8 +49,17 @@ class ProviderManager {
     this.pingIntervals = new Map(); // Track ping intervals per provider
     this.requestQueue = new Map(); // Track pending requests per provider
     this.performanceCache = new Map(); // Cache provider performance metrics
+    this.latencyStats = new Map(); // socketId -> EWMAs of ttft_ms, latency_ms and rtt_ms
     this.loadBalancingThreshold = 5; // Max requests before load balancing kicks in
     this.requestTimeout = process.env.REQUEST_TIMEOUT_MS || 180000; // 3 minutes default timeout
+    this.failover = config.failover; // Retry policy for timeouts and invalid responses
+    this.waitQueue = new WaitQueue(config.request_queue); // Requests waiting for a free slot
+    this.routing = config.routing; // Default strategy for picking among eligible providers
+
+    if (!routingStrategies.has(this.routing.strategy)) {
+      console.warn(`Unknown routing strategy ${this.routing.strategy}, using least-loaded`);
+      this.routing = { ...this.routing, strategy: 'least-loaded' };
+    }
 
     console.log('ProviderManager initialized with heartbeat monitoring and request timeout:', this.requestTimeout, 'ms');
   }
@@ -43,6 +86,7 @@ class ProviderManager {
       }
 
       try {
+        provider.lastPingAt = Date.now(); // The pong tells the round trip time
         provider.ws.ping();
         //console.log(`Ping sent to provider ${socketId}`);
       } catch (error) {
@@ -73,6 +117,10 @@ class ProviderManager {
       if (provider) {
         provider.lastHeartbeat = Date.now();
         provider.status = 'active';
+        if (provider.lastPingAt) {
+          this._recordLatency(socketId, 'rtt_ms', provider.lastHeartbeat - provider.lastPingAt);
+          provider.lastPingAt = null;
+        }
       }
     });
 
@@ -134,6 +182,7 @@ class ProviderManager {
       if (existingProvider && existingProvider.status === 'active') {
         // Just update the existing provider's models
         existingProvider.models = [...new Set(providerInfo.models)];
+        existingProvider.capabilities = this._normalizeCapabilities(providerInfo.capabilities);
         existingProvider.lastHeartbeat = Date.now();
         
         providerInfo.ws.send(JSON.stringify({
@@ -195,6 +244,7 @@ class ProviderManager {
       const providerData = {
         ...providerInfo,
         models: uniqueModels,
+        capabilities: this._normalizeCapabilities(providerInfo.capabilities),
         userId: user._id,
         lastHeartbeat: Date.now(),
         status: 'active',
@@ -209,6 +259,9 @@ class ProviderManager {
 
       // Setup WebSocket handlers
       this.setupWebSocketHandlers(socketId, providerData.ws);
+
+      // A new provider can take requests that were waiting for capacity
+      this._wakeWaitingRequests(socketId, this.loadBalancingThreshold);
       
       // Start heartbeat monitoring
       this.startHeartbeatMonitor(socketId);
@@ -221,6 +274,7 @@ class ProviderManager {
         wsState: providerData.ws.readyState,
         models: providerData.models,
         modelCount: providerData.models.length,
+        capabilities: providerData.capabilities,
         authMethod: apiKey ? 'apiKey' : 'userId'
       });
 
@@ -256,6 +310,87 @@ class ProviderManager {
     }
   }
 
+  // Features a provider advertises at registration, anything not declared is unsupported
+  _normalizeCapabilities(capabilities = {}) {
+    return {
+      features: FEATURES.filter(feature => capabilities?.[feature] === true),
+      parameters: Array.isArray(capabilities?.parameters) ?
+        [...new Set([...BASE_PARAMETERS, ...capabilities.parameters])] :
+        DEFAULT_PARAMETERS,
+      // Models the provider tagged as accepting images, null falls back to name patterns
+      visionModels: Array.isArray(capabilities?.vision_models) ? capabilities.vision_models : null
+    };
+  }
+
+  _isVisionModel(provider, model) {
+    const tagged = provider.capabilities?.visionModels;
+    if (tagged) {
+      return tagged.some(visionModel => this._isExactModelMatch(model, visionModel));
+    }
+    return ModelManager.isVisionModel(model);
+  }
+
+  // Models of this provider that can serve the request
+  _servableModels(provider, requires = {}) {
+    if (!requires.vision) return provider.models;
+    return provider.models.filter(model => this._isVisionModel(provider, model));
+  }
+
+  // Whether any active provider serves this model with image input
+  supportsVision(model) {
+    return Array.from(this.providers.values()).some(provider =>
+      provider.status === 'active' &&
+      this._checkModelCompatibility(this._servableModels(provider, { vision: true }), model)
+    );
+  }
+
+  // Capabilities a request needs from the provider that serves it
+  _getRequirements(requestData) {
+    // Sampling parameters only apply to text generation, image requests reuse `n` for the image count
+    if (['image_request', 'embedding_request', 'transcription_request'].includes(requestData.type)) {
+      return { features: [], parameters: [] };
+    }
+
+    const parameters = SAMPLING_PARAMETERS.filter(parameter => {
+      const value = requestData[parameter];
+      if (value === undefined || value === null) return false;
+      // Defaults that any backend already behaves like
+      if (parameter === 'n') return value > 1;
+      if (parameter === 'logprobs') return value === true;
+      if (parameter === 'logit_bias') return Object.keys(value).length > 0;
+      if (parameter === 'best_of') return value > 1;
+      return true;
+    });
+
+    // top_logprobs only makes sense together with logprobs
+    if (parameters.includes('top_logprobs') && !parameters.includes('logprobs')) {
+      parameters.push('logprobs');
+    }
+
+    const features = [];
+    if (Array.isArray(requestData.tools) && requestData.tools.length > 0) {
+      features.push('tools');
+    }
+    if (requestData.type === 'text_completion') {
+      features.push('text_completion');
+    }
+
+    // Image input is a property of the model, not the provider, see _servableModels
+    const vision = VisionService.hasImageParts(requestData.messages);
+
+    return { features, parameters, vision };
+  }
+
+  _meetsRequirements(provider, requires = {}) {
+    const features = provider.capabilities?.features || [];
+    if ((requires.features || []).some(feature => !features.includes(feature))) return false;
+
+    const supported = provider.capabilities?.parameters || DEFAULT_PARAMETERS;
+    if ((requires.parameters || []).some(parameter => !supported.includes(parameter))) return false;
+
+    return true;
+  }
+
   // Add helper method to get userId from socketId
   getUserIdFromSocketId(socketId) {
     return this.providerUserIds.get(socketId);
@@ -299,6 +434,7 @@ class ProviderManager {
     this.providerUserIds.delete(socketId);
     this.requestCounts.delete(socketId);
     this.performanceCache.delete(socketId);
+    this.latencyStats.delete(socketId);
     this.requestQueue.delete(socketId);
 
     this.logProvidersState();
@@ -323,32 +459,95 @@ class ProviderManager {
     return number.toString();
   }
 
-  async findAvailableProvider(requestedModel) {
-    let targetModel = requestedModel;
-    let filterInfo = null;
-    let specificProviderId = null;
+  // idleOnly restricts the pick to providers with nothing in flight (background work like batches),
+  // ignoreLoad also counts providers at their load threshold.
+  // routing names the strategy that picks among the eligible providers (config.routing by default).
+  async findAvailableProvider(requestedModel, {
+    preferredSocketId = null,
+    routing = null,
+    consumerId = null,
+    ...filters
+  } = {}) {
+    const eligibleProviders = this._eligibleProviders(requestedModel, filters);
+    if (eligibleProviders.length === 0) return null;
+
+    const { requires = {} } = filters;
+    let { targetModel, filterInfo } = this._parseRequestedModel(requestedModel);
+
+    // A provider that served the conversation before still holds its KV cache,
+    // keep using it as long as it is eligible (connected, ready, under the load threshold)
+    const preferred = preferredSocketId &&
+      eligibleProviders.find(([socketId]) => socketId === preferredSocketId);
+    const selected = preferred ?
+      { socketId: preferred[0], provider: preferred[1] } :
+      await this._selectProvider(eligibleProviders, { model: requestedModel, requires, routing, consumerId });
+    const selectedModels = this._servableModels(selected.provider, requires);
+    
+    if (filterInfo) {
+      targetModel = selectedModels.find(model => {
+        const info = ModelManager.getModelInfo(model);
+        return info.tier === filterInfo.tier && 
+               model.toLowerCase().includes(filterInfo.modelType);
+      });
+    }
+
+    // A tier or "image"/"embedding"/"whisper" mean any model of that kind, send the provider's own model name
+    if ([...CHAT_TIERS, ...GENERIC_MODEL_TYPES].includes(targetModel)) {
+      targetModel = selectedModels.find(model =>
+        ModelManager.getModelInfo(model).tier === targetModel
+      );
+    }
    
+    return {
+      socketId: selected.socketId,
+      provider: selected.provider,
+      userId: selected.provider.userId,
+      model: targetModel 
+    };
+  }
+
+  // Whether findAvailableProvider would find a provider, without running the routing
+  // strategy (round-robin positions, performance lookups). Takes the same filters.
+  hasCandidate(requestedModel, filters = {}) {
+    return this._eligibleProviders(requestedModel, filters).length > 0;
+  }
+
+  _parseRequestedModel(requestedModel) {
     // Handle specific provider model requests
     if (requestedModel.includes('@')) {
       const [modelName, providerId] = requestedModel.split('@');
-      targetModel = modelName;
       // Extract the number from user_XXXXXX format
-      specificProviderId = providerId.startsWith('user_') ? 
+      const specificProviderId = providerId.startsWith('user_') ? 
         providerId.substring(5) : providerId;
+      return { targetModel: modelName, filterInfo: null, specificProviderId };
     }
     // Handle tier|model format
-    else if (requestedModel.includes('|')) {
+    if (requestedModel.includes('|')) {
       const [tier, modelType] = requestedModel.split('|');
-      filterInfo = { tier, modelType };
+      return { targetModel: requestedModel, filterInfo: { tier, modelType }, specificProviderId: null };
     }
+    return { targetModel: requestedModel, filterInfo: null, specificProviderId: null };
+  }
+
+  _eligibleProviders(requestedModel, {
+    excludeSocketIds = [],
+    requires = {},
+    idleOnly = false,
+    ignoreLoad = false
+  } = {}) {
+    const { targetModel, filterInfo, specificProviderId } = this._parseRequestedModel(requestedModel);
    
-    const eligibleProviders = Array.from(this.providers.entries())
+    return Array.from(this.providers.entries())
       .filter(([socketId, provider]) => {
+        // Skip providers that already failed this request
+        if (excludeSocketIds.includes(socketId)) return false;
+
         const isActive = provider.status === 'active';
         const isReady = provider.readyForRequests === true;
         const hasWebSocket = provider.ws && provider.ws.readyState === WebSocket.OPEN;
         const currentLoad = this.requestQueue.get(socketId) || 0;
-        const isAvailable = currentLoad < this.loadBalancingThreshold;
+        const isAvailable = ignoreLoad ||
+          (idleOnly ? currentLoad === 0 : currentLoad < this.loadBalancingThreshold);
         
         // If specific provider requested, check provider ID
         if (specificProviderId) {
@@ -360,36 +559,21 @@ class ProviderManager {
         }
    
         if (!isActive || !isReady || !hasWebSocket || !isAvailable) return false;
+
+        if (!this._meetsRequirements(provider, requires)) return false;
+
+        const models = this._servableModels(provider, requires);
    
         if (filterInfo) {
-          return provider.models.some(model => {
+          return models.some(model => {
             const info = ModelManager.getModelInfo(model);
             return info.tier === filterInfo.tier && 
                    model.toLowerCase().includes(filterInfo.modelType);
           });
         }
    
-        return this._checkModelCompatibility(provider.models, targetModel);
-      });
-   
-    if (eligibleProviders.length === 0) return null;
-   
-    const selected = await this._selectOptimalProvider(eligibleProviders);
-    
-    if (filterInfo) {
-      targetModel = selected.provider.models.find(model => {
-        const info = ModelManager.getModelInfo(model);
-        return info.tier === filterInfo.tier && 
-               model.toLowerCase().includes(filterInfo.modelType);
+        return this._checkModelCompatibility(models, targetModel);
       });
-    }
-   
-    return {
-      socketId: selected.socketId,
-      provider: selected.provider,
-      userId: selected.provider.userId,
-      model: targetModel 
-    };
   }
 
   _checkModelCompatibility(providerModels, requestedModel) {
@@ -415,7 +599,7 @@ class ProviderManager {
     }
   
     // Rest of existing compatibility logic
-    if (['small', 'medium', 'large', 'xl'].includes(requestedModel)) {
+    if ([...CHAT_TIERS, ...GENERIC_MODEL_TYPES].includes(requestedModel)) {
       return providerModels.some(model => {
         const info = ModelManager.getModelInfo(model);
         return info.tier === requestedModel;
@@ -438,69 +622,28 @@ class ProviderManager {
     return normalizedProvider === normalizedRequested;
   }
 
-  _calculateProviderScore(load, tokensPerSecond) {
-    // Normalize load (0-1 where 0 is best)
-    const normalizedLoad = load / this.loadBalancingThreshold;
-
-    // Normalize performance (0-1 where 1 is best)
-    const normalizedPerformance = Math.min(tokensPerSecond / 100, 1);
-
-    // Weight factors (adjust these based on priorities)
-    const loadWeight = 0.6;
-    const performanceWeight = 0.4;
-
-    // Calculate final score (0-1 where 1 is best)
-    return (1 - normalizedLoad) * loadWeight + normalizedPerformance * performanceWeight;
-  }
-
-  async _selectOptimalProvider(providers) {
-    // Get performance metrics for providers
-    const scoredProviders = await Promise.all(
-      providers.map(async ([socketId, provider]) => {
-        const performance = await this._getProviderPerformance(provider.userId);
-        const load = this.requestQueue.get(socketId) || 0;
-        const score = this._calculateProviderScore(load, performance.tokens_per_second);
-        
-        return {
-          socketId,
-          provider,
-          load,
-          performance,
-          score
-        };
-      })
-    );
-  
-    // Select the provider with the best score
-    return scoredProviders.reduce((best, current) => 
-      current.score > best.score ? current : best
-    );
-  }
-
-  async _rankProviders(providers) {
-    const providerScores = await Promise.all(
-      providers.map(async ([socketId, provider]) => {
-        const performance = this.performanceCache.get(socketId) ||
-          await this._getProviderPerformance(provider.userId);
-        const currentLoad = this.requestQueue.get(socketId) || 0;
-
-        // Calculate score based on performance and load
-        const performanceScore = performance.tokens_per_second || 0;
-        const loadScore = 1 / (currentLoad + 1); // Lower load = higher score
-        const totalScore = (performanceScore * 0.7) + (loadScore * 0.3);
-
-        return {
-          socketId,
-          provider,
-          score: totalScore
-        };
-      })
+  // Let the routing strategy (from the request, or the configured default) pick one of the eligible providers
+  async _selectProvider(providers, { model, requires = {}, routing = null, consumerId = null }) {
+    const strategy = routingStrategies.get(routing) || routingStrategies.get(this.routing.strategy);
+    const candidates = await Promise.all(
+      providers.map(async ([socketId, provider]) => ({
+        socketId,
+        provider,
+        load: this.requestQueue.get(socketId) || 0,
+        performance: {
+          ...await this._getProviderPerformance(provider.userId),
+          ...this.getLatencyStats(socketId)
+        },
+        models: this._servableModels(provider, requires)
+          .filter(servable => this._checkModelCompatibility([servable], model))
+      }))
     );
 
-    // Sort by score (higher is better)
-    return providerScores
-      .sort((a, b) => b.score - a.score)
-      .map(({ socketId, provider }) => ({ socketId, provider }));
+    return strategy.select(candidates, {
+      model,
+      consumerId,
+      loadBalancingThreshold: this.loadBalancingThreshold
+    });
   }
 
   async _getProviderPerformance(userId) {
@@ -546,7 +689,9 @@ class ProviderManager {
       }
 
       // Calculate weighted average giving more importance to recent entries
-      const recentPerformance = provider.performance.history || [];
+      // Cancelled requests are left out, the consumer stopped them, not the provider
+      const recentPerformance = (provider.performance.history || [])
+        .filter(entry => entry.outcome !== 'cancelled');
       let totalWeight = 0;
       const avgTokensPerSecond = recentPerformance.length > 0 ? 
         recentPerformance.reduce((acc, curr, idx) => {
@@ -582,30 +727,207 @@ class ProviderManager {
 
 
   async routeRequest(requestData) {
-    const providerInfo = await this.findAvailableProvider(requestData.model);
-   
-    if (!providerInfo) throw new Error('No available providers');
-   
+    const maxAttempts = requestData.maxAttempts || this.failover.max_attempts;
+    const deadline = Date.now() + (requestData.deadline || this.failover.deadline_ms);
+    const excludeSocketIds = [];
+    const requires = this._getRequirements(requestData);
+    let lastError = null;
+    let attempts = 0;
+    let queuedAt = null;
+    let queueTag = null;
+
+    while (attempts < maxAttempts) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) break;
+
+      const providerInfo = await this.findAvailableProvider(requestData.model, {
+        excludeSocketIds,
+        requires,
+        idleOnly: requestData.idleOnly,
+        preferredSocketId: requestData.preferredSocketId,
+        routing: requestData.routing,
+        consumerId: requestData.consumerId
+      });
+      if (!providerInfo) {
+        if (lastError) break;
+        // Background work waits for a provider that is merely busy, but still
+        // learns right away when no provider could ever serve the request
+        if (requestData.idleOnly && (
+          this.hasCandidate(requestData.model, { requires }) ||
+          !this.hasCandidate(requestData.model)
+        )) {
+          const error = new Error(`No idle provider for model ${requestData.model}`);
+          error.code = 'NO_IDLE_PROVIDER';
+          throw error;
+        }
+
+        // Every provider that could serve the request is at its load threshold,
+        // wait for one of them to release a slot instead of failing.
+        // Consumers get a fair share of the slots, weighted by priority.
+        if (this.hasCandidate(requestData.model, { excludeSocketIds, requires, ignoreLoad: true })) {
+          queuedAt = queuedAt || Date.now();
+          queueTag = await this.waitQueue.wait(requestData.model, {
+            consumerId: requestData.consumerId,
+            priority: requestData.priority,
+            requires,
+            tag: queueTag,
+            signal: requestData.signal,
+            timeoutMs: Math.min(remaining, queuedAt + this.waitQueue.maxWaitMs - Date.now()),
+            onQueued: requestData.onQueued
+          });
+          continue;
+        }
+        throw this._noProviderError(requestData.model, requires);
+      }
+
+      attempts++;
+
+      // Once chunks reached the consumer the request can't be replayed elsewhere
+      let hasRelayedChunks = false;
+      const onChunk = requestData.onChunk ? (chunk) => {
+        hasRelayedChunks = true;
+        requestData.onChunk(chunk);
+      } : null;
+
+      try {
+        const response = await this._dispatchRequest(providerInfo, {
+          ...requestData,
+          onChunk,
+          timeout: Math.min(parseInt(requestData.timeout || this.requestTimeout), remaining)
+        });
+
+        // Let the caller reject output it can't use (e.g. schema mismatch)
+        if (requestData.validateResponse) {
+          requestData.validateResponse(response);
+        }
+
+        response.routing = {
+          socketId: providerInfo.socketId,
+          userId: providerInfo.userId,
+          model: providerInfo.model,
+          attempts
+        };
+        return response;
+      } catch (error) {
+        lastError = error;
+        if (!this._isRetriableError(error, requestData) || hasRelayedChunks) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        console.warn('Provider attempt failed, failing over:', {
+          socketId: providerInfo.socketId,
+          provider: providerInfo.userId?.toString(),
+          attempt: attempts,
+          maxAttempts,
+          error: error.message
+        });
+        excludeSocketIds.push(providerInfo.socketId);
+      }
+    }
+
+    if (!lastError) {
+      lastError = new Error(`Request deadline of ${(requestData.deadline || this.failover.deadline_ms) / 1000} seconds exceeded`);
+      lastError.code = 'PROVIDER_TIMEOUT';
+    }
+    lastError.attempts = attempts;
+    throw lastError;
+  }
+
+  // Tell "nobody serves this model" apart from "nobody serves it with these features".
+  // Busy providers count, they can serve the request once a slot frees up.
+  _noProviderError(model, requires) {
+    const exists = single => this.hasCandidate(model, { requires: single, ignoreLoad: true });
+
+    if (requires.vision && exists({}) && !exists({ vision: true })) {
+      const error = new Error(`Model ${model} does not accept image input, use a vision-capable model`);
+      error.code = 'UNSUPPORTED_CAPABILITY';
+      error.param = 'messages';
+      return error;
+    }
+
+    const checks = [];
+    for (const feature of requires.features || []) {
+      checks.push([feature, { features: [feature] }]);
+    }
+    for (const parameter of requires.parameters || []) {
+      checks.push([parameter, { parameters: [parameter] }]);
+    }
+
+    if (checks.length > 0 && exists({})) {
+      // Name the first feature no provider of this model can honor
+      const unsupported = checks.find(([, single]) => !exists(single))?.[0] || null;
+
+      const names = checks.map(([name]) => name);
+      const error = new Error(unsupported ?
+        `No available provider for model ${model} supports '${unsupported}'` :
+        `No available provider for model ${model} supports ${names.join(', ')} together`);
+      error.code = 'UNSUPPORTED_CAPABILITY';
+      error.param = unsupported || names[0];
+      return error;
+    }
+    return new Error('No available providers');
+  }
+
+  _isRetriableError(error, requestData = {}) {
+    if (error?.code === 'INVALID_STRUCTURED_OUTPUT') {
+      return Boolean(requestData.retryInvalidOutput);
+    }
+    return ['PROVIDER_TIMEOUT', 'INVALID_RESPONSE', 'PROVIDER_SEND_FAILED'].includes(error?.code);
+  }
+
+  async _dispatchRequest(providerInfo, requestData) {
     const provider = this.providers.get(providerInfo.socketId);
     if (!provider?.ws) throw new Error('Provider WebSocket not available');
    
     const requestId = uuidv4();
+    const { signal } = requestData;
+    const RequestTimer = require('../utils/requestTimer');
+
+    if (signal?.aborted) {
+      const error = new Error('Request cancelled by client');
+      error.code = 'REQUEST_CANCELLED';
+      throw error;
+    }
     
     return new Promise((resolve, reject) => {
+      // Cancel provider work as soon as the consumer goes away (or the caller gives a reason)
+      const onAbort = () => this.cancelRequest(requestId,
+        typeof signal.reason === 'string' ? signal.reason : undefined);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const settle = (fn) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      const fail = (message, code) => {
+        const error = new Error(message);
+        error.code = code;
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+
       // Set timeout (use configured timeout or default to 60 seconds)
       const timeoutDuration = requestData.timeout || this.requestTimeout;
       const timeout = setTimeout(() => {
         this._handleRequestTimeout(requestId, providerInfo.socketId);
-        reject(new Error(`Request timeout after ${timeoutDuration/1000} seconds`)); 
+        fail(`Request timeout after ${timeoutDuration/1000} seconds`, 'PROVIDER_TIMEOUT');
       }, timeoutDuration);
    
       this.pendingRequests.set(requestId, {
-        resolve,
-        reject, 
+        resolve: settle(resolve),
+        reject: settle(reject),
         timeout,
         socketId: providerInfo.socketId,
         providerId: providerInfo.userId,
-        startTime: Date.now() // Record exact start time when request is about to be sent
+        startTime: Date.now(), // Record exact start time when request is about to be sent
+        type: requestData.type || 'completion_request',
+        onChunk: requestData.stream ? requestData.onChunk : null,
+        streamedContent: '',
+        streamedToolCalls: [],
+        finishReason: null,
+        imageChunks: new Map(), // Image index -> base64 slices
+        imageBytes: 0,
+        imageCount: parseInt(requestData.n) || 1 // Images requested, more are neither kept nor billed
       });
    
       try {
@@ -613,35 +935,125 @@ class ProviderManager {
         const currentQueue = this.requestQueue.get(providerInfo.socketId) || 0;
         this.requestQueue.set(providerInfo.socketId, currentQueue + 1);
 
-        const message = {
-          type: 'completion_request',
-          requestId,
-          model: providerInfo.model,
-          messages: requestData.messages,
-          temperature: requestData.temperature,
-          max_tokens: requestData.max_tokens
-        };
+        const message = this._buildRequestMessage(requestId, providerInfo, requestData);
+        const frames = [message, ...this._buildAudioChunks(requestId, requestData)];
    
         // Start timing just before sending the request
-        const RequestTimer = require('../utils/requestTimer');
         RequestTimer.startRequest(requestId);
    
-        provider.ws.send(JSON.stringify(message), (error) => {
-          if (error) {
-            RequestTimer.endRequest(requestId, 0); // End timing on error
-            this._handleRequestTimeout(requestId, providerInfo.socketId);
-            reject(new Error('Failed to send request to provider'));
-          }
-        });
+        let sendFailed = false;
+        const onSent = (error) => {
+          if (!error || sendFailed) return;
+          sendFailed = true;
+          RequestTimer.endRequest(requestId, 0); // End timing on error
+          this._handleRequestTimeout(requestId, providerInfo.socketId, 'failed');
+          fail('Failed to send request to provider', 'PROVIDER_SEND_FAILED');
+        };
+        for (const frame of frames) {
+          provider.ws.send(JSON.stringify(frame), onSent);
+        }
       } catch (error) {
         RequestTimer.endRequest(requestId, 0); // End timing on error
-        this._handleRequestTimeout(requestId, providerInfo.socketId);
-        reject(error); 
+        this._handleRequestTimeout(requestId, providerInfo.socketId, 'failed');
+        fail(error.message, 'PROVIDER_SEND_FAILED');
       }
     });
   }
 
-  _handleRequestTimeout(requestId, socketId) {
+  // Build the WebSocket message for the provider, its shape depends on the request type
+  _buildRequestMessage(requestId, providerInfo, requestData) {
+    const type = requestData.type || 'completion_request';
+
+    if (type === 'transcription_request') {
+      const message = {
+        type,
+        requestId,
+        model: providerInfo.model,
+        task: requestData.task,
+        filename: requestData.audio.filename,
+        mime_type: requestData.audio.mimeType,
+        bytes: requestData.audio.buffer.length,
+        chunks: Math.ceil(requestData.audio.buffer.length / config.audio.chunk_bytes)
+      };
+      if (requestData.language) message.language = requestData.language;
+      if (requestData.prompt) message.prompt = requestData.prompt;
+      if (requestData.temperature !== undefined) message.temperature = requestData.temperature;
+      return message;
+    }
+
+    if (type === 'image_request') {
+      const message = {
+        type,
+        requestId,
+        model: providerInfo.model,
+        prompt: requestData.prompt,
+        n: requestData.n,
+        size: requestData.size
+      };
+      if (requestData.negative_prompt) message.negative_prompt = requestData.negative_prompt;
+      if (requestData.seed !== undefined) message.seed = requestData.seed;
+      return message;
+    }
+
+    if (type === 'embedding_request') {
+      const message = {
+        type,
+        requestId,
+        model: providerInfo.model,
+        input: requestData.input
+      };
+      if (requestData.encoding_format) message.encoding_format = requestData.encoding_format;
+      if (requestData.dimensions) message.dimensions = requestData.dimensions;
+      return message;
+    }
+    const message = {
+      type,
+      requestId,
+      model: providerInfo.model,
+      temperature: requestData.temperature,
+      max_tokens: requestData.max_tokens,
+      stream: Boolean(requestData.stream)
+    };
+
+    for (const parameter of SAMPLING_PARAMETERS) {
+      if (requestData[parameter] !== undefined && requestData[parameter] !== null) {
+        message[parameter] = requestData[parameter];
+      }
+    }
+
+    const supported = providerInfo.provider?.capabilities?.parameters || DEFAULT_PARAMETERS;
+    for (const parameter of BEST_EFFORT_PARAMETERS) {
+      if (requestData[parameter] !== undefined && requestData[parameter] !== null && supported.includes(parameter)) {
+        message[parameter] = requestData[parameter];
+      }
+    }
+
+    if (type === 'text_completion') {
+      message.prompt = requestData.prompt;
+      return message;
+    }
+
+    message.messages = requestData.messages;
+
+    if (requestData.response_format) {
+      message.response_format = requestData.response_format;
+    }
+
+    // Tool definitions only go to providers that advertised tool support
+    if (requestData.tools) {
+      message.tools = requestData.tools;
+      if (requestData.tool_choice !== undefined) {
+        message.tool_choice = requestData.tool_choice;
+      }
+      if (requestData.parallel_tool_calls !== undefined) {
+        message.parallel_tool_calls = requestData.parallel_tool_calls;
+      }
+    }
+
+    return message;
+  }
+
+  _handleRequestTimeout(requestId, socketId, outcome = 'timeout') {
     const pendingRequest = this.pendingRequests.get(requestId);
     if (!pendingRequest) return;
 
@@ -649,16 +1061,24 @@ class ProviderManager {
     clearTimeout(pendingRequest.timeout);
     
     // Update request queue count
-    const currentQueue = this.requestQueue.get(socketId) || 1;
-    this.requestQueue.set(socketId, Math.max(0, currentQueue - 1));
+    this._releaseRequestSlot(socketId);
+
+    // The provider may still be generating, stop it before the request moves on
+    if (outcome === 'timeout') {
+      this._sendCancel(socketId, requestId, 'timeout');
+    }
     
     // Calculate duration and update provider performance with failed request
     const duration = (Date.now() - pendingRequest.startTime) / 1000;
+    if (outcome === 'timeout' && LATENCY_TRACKED_TYPES.includes(pendingRequest.type)) {
+      this._recordLatency(socketId, 'latency_ms', duration * 1000);
+    }
     const performance = {
       tokens_per_second: 0,
       duration_seconds: duration,
       total_tokens: 0,
-      success: false
+      success: false,
+      outcome
     };
 
     // Log timeout for debugging
@@ -675,6 +1095,99 @@ class ProviderManager {
     this.pendingRequests.delete(requestId);
   }
 
+  cancelRequest(requestId, reason = 'client_disconnected') {
+    const pendingRequest = this.pendingRequests.get(requestId);
+    if (!pendingRequest) return false;
+
+    const { socketId } = pendingRequest;
+    clearTimeout(pendingRequest.timeout);
+    this.pendingRequests.delete(requestId);
+
+    // Free the provider slot right away instead of waiting for the response
+    this._releaseRequestSlot(socketId);
+
+    // Tell the provider to stop generating
+    const provider = this.providers.get(socketId);
+    this._sendCancel(socketId, requestId, reason);
+
+    const RequestTimer = require('../utils/requestTimer');
+    RequestTimer.endRequest(requestId, 0);
+
+    const duration = (Date.now() - pendingRequest.startTime) / 1000;
+    console.log('Request cancelled:', {
+      requestId,
+      socketId,
+      reason,
+      duration_seconds: duration,
+      provider: provider?.userId?.toString()
+    });
+
+    this.updateProviderPerformance(socketId, {
+      tokens_per_second: 0,
+      duration_seconds: duration,
+      total_tokens: 0,
+      success: false,
+      outcome: 'cancelled'
+    });
+
+    const error = new Error('Request cancelled by client');
+    error.code = 'REQUEST_CANCELLED';
+    pendingRequest.reject(error);
+    return true;
+  }
+
+  _sendCancel(socketId, requestId, reason) {
+    const provider = this.providers.get(socketId);
+    if (!provider?.ws || provider.ws.readyState !== WebSocket.OPEN) return;
+
+    try {
+      provider.ws.send(JSON.stringify({
+        type: 'cancel_request',
+        requestId,
+        reason
+      }));
+    } catch (error) {
+      console.error(`Error sending cancel_request to provider ${socketId}:`, error);
+    }
+  }
+
+  // Exponentially weighted moving average per socket, recent samples weigh the most
+  _recordLatency(socketId, metric, valueMs) {
+    if (!this.providers.has(socketId) || !Number.isFinite(valueMs) || valueMs < 0) return;
+
+    const alpha = this.routing.latency_ewma_alpha;
+    const stats = this.latencyStats.get(socketId) || {};
+    stats[metric] = stats[metric] === undefined ? valueMs : alpha * valueMs + (1 - alpha) * stats[metric];
+    this.latencyStats.set(socketId, stats);
+  }
+
+  // Time to first token and total latency of chat/text completions, WebSocket ping round trip.
+  // null until measured.
+  getLatencyStats(socketId) {
+    const stats = this.latencyStats.get(socketId) || {};
+    const round = value => (value === undefined ? null : Math.round(value));
+    return {
+      ttft_ms: round(stats.ttft_ms),
+      latency_ms: round(stats.latency_ms),
+      rtt_ms: round(stats.rtt_ms)
+    };
+  }
+
+  _releaseRequestSlot(socketId) {
+    const currentQueue = this.requestQueue.get(socketId) || 1;
+    this.requestQueue.set(socketId, Math.max(0, currentQueue - 1));
+    this._wakeWaitingRequests(socketId);
+  }
+
+  // Hand free slots of a provider to requests waiting for a model it serves
+  _wakeWaitingRequests(socketId, slots = 1) {
+    const provider = this.providers.get(socketId);
+    if (!provider) return;
+    this.waitQueue.wake((model, requires) =>
+      this._meetsRequirements(provider, requires) &&
+      this._checkModelCompatibility(this._servableModels(provider, requires), model), slots);
+  }
+
   _matchModelTier(providerModel, requestedModel) {
     // Get model info from ModelManager
     const { ModelManager } = require('../config/models');
@@ -704,17 +1217,22 @@ class ProviderManager {
       if (!provider || !provider.userId) return;
 
       // Validate performance data
+      const success = Boolean(performance.success); // Ensure it's a boolean
       const validatedPerformance = {
         tokens_per_second: Math.max(0, parseInt(performance.tokens_per_second) || 0),
         duration_seconds: Math.max(0, parseFloat(performance.duration_seconds) || 0),
         total_tokens: Math.max(0, parseInt(performance.total_tokens) || 0),
-        success: Boolean(performance.success) // Ensure it's a boolean
+        success,
+        outcome: performance.outcome || (success ? 'success' : 'failed')
       };
+      const isCancelled = validatedPerformance.outcome === 'cancelled';
 
       // Update performance cache with request count
+      // (a cancelled request says nothing about the provider's speed)
       const currentCache = this.performanceCache.get(socketId) || {};
       this.performanceCache.set(socketId, {
-        tokens_per_second: validatedPerformance.tokens_per_second,
+        tokens_per_second: isCancelled ?
+          (currentCache.tokens_per_second || 0) : validatedPerformance.tokens_per_second,
         total_requests: (currentCache.total_requests || 0) + 1,
         last_updated: Date.now()
       });
@@ -738,13 +1256,15 @@ class ProviderManager {
               timestamp: new Date(),
               tokens_per_second: validatedPerformance.tokens_per_second,
               duration_seconds: validatedPerformance.duration_seconds,
-              success: validatedPerformance.success
+              success: validatedPerformance.success,
+              outcome: validatedPerformance.outcome
             }
           },
           $inc: {
             'performance.total_requests': 1,
             'performance.successful_requests': validatedPerformance.success ? 1 : 0,
-            'performance.failed_requests': validatedPerformance.success ? 0 : 1,
+            'performance.failed_requests': validatedPerformance.success || isCancelled ? 0 : 1,
+            'performance.cancelled_requests': isCancelled ? 1 : 0,
             'performance.total_tokens': validatedPerformance.total_tokens
           }
         },
@@ -760,6 +1280,7 @@ class ProviderManager {
         total_requests: result?.performance?.total_requests || 0,
         successful_requests: result?.performance?.successful_requests || 0,
         failed_requests: result?.performance?.failed_requests || 0,
+        cancelled_requests: result?.performance?.cancelled_requests || 0,
         total_tokens: result?.performance?.total_tokens || 0
       });
 
@@ -782,24 +1303,25 @@ class ProviderManager {
 
     try {
       // Update request queue count
-      const currentQueue = this.requestQueue.get(pendingRequest.socketId) || 1;
-      this.requestQueue.set(pendingRequest.socketId, Math.max(0, currentQueue - 1));
+      this._releaseRequestSlot(pendingRequest.socketId);
 
-      // Check if response is valid
-      const isValidResponse = response && 
-        response.choices && 
-        Array.isArray(response.choices) && 
-        response.choices.length > 0 &&
-        response.choices[0].message &&
-        response.choices[0].message.content;
+      // Check if response is valid (tool calls may come with empty content)
+      const isValidResponse = this._isValidResponse(pendingRequest.type, response);
+
+      if (isValidResponse && LATENCY_TRACKED_TYPES.includes(pendingRequest.type)) {
+        this._recordLatency(pendingRequest.socketId, 'latency_ms', Date.now() - pendingRequest.startTime);
+      }
 
       // Get timing from RequestTimer
       const RequestTimer = require('../utils/requestTimer');
-      const timing = RequestTimer.endRequest(requestId, response?.usage?.completion_tokens || 0);
+      // Embeddings generate nothing, their throughput is measured on input tokens
+      const processedTokens = pendingRequest.type === 'embedding_request' ?
+        response?.usage?.prompt_tokens : response?.usage?.completion_tokens;
+      const timing = RequestTimer.endRequest(requestId, processedTokens || 0);
 
       // Calculate tokens per second based only on completion tokens
-      const tokensPerSecond = timing && response?.usage?.completion_tokens ? 
-        Math.round(response.usage.completion_tokens / timing.duration_seconds) : 0;
+      const tokensPerSecond = timing && processedTokens ? 
+        Math.round(processedTokens / timing.duration_seconds) : 0;
 
       // Update performance metrics with accurate timing
       const performance = {
@@ -835,7 +1357,14 @@ class ProviderManager {
       this.pendingRequests.delete(requestId);
 
       if (!isValidResponse) {
-        pendingRequest.reject(new Error('Invalid response format: missing message content'));
+        const error = new Error({
+          text_completion: 'Invalid response format: missing completion text',
+          embedding_request: 'Invalid response format: missing embeddings',
+          image_request: 'Invalid response format: missing image data',
+          transcription_request: 'Invalid response format: missing transcription text'
+        }[pendingRequest.type] || 'Invalid response format: missing message content');
+        error.code = 'INVALID_RESPONSE';
+        pendingRequest.reject(error);
       } else {
         pendingRequest.resolve(response);
       }
@@ -856,6 +1385,207 @@ class ProviderManager {
     }
   }
 
+  _isValidResponse(type, response) {
+    if (type === 'transcription_request') {
+      // Silent audio legitimately transcribes to an empty string
+      return Boolean(response) && typeof response.text === 'string';
+    }
+
+    if (type === 'image_request') {
+      return Boolean(response) &&
+        Array.isArray(response.data) &&
+        response.data.length > 0 &&
+        response.data.every(item => typeof item.b64_json === 'string' && item.b64_json.length > 0);
+    }
+
+    if (type === 'embedding_request') {
+      return Boolean(response) &&
+        Array.isArray(response.data) &&
+        response.data.length > 0 &&
+        response.data.every(item => Array.isArray(item.embedding) || typeof item.embedding === 'string');
+    }
+
+    if (!response || !Array.isArray(response.choices) || response.choices.length === 0) {
+      return false;
+    }
+
+    if (type === 'text_completion') {
+      return typeof response.choices[0].text === 'string' && response.choices[0].text.length > 0;
+    }
+
+    return this._hasMessageOutput(response.choices[0].message);
+  }
+
+  _hasMessageOutput(message) {
+    if (!message) return false;
+    return Boolean(message.content) ||
+      (Array.isArray(message.tool_calls) && message.tool_calls.length > 0);
+  }
+
+  handleCompletionChunk(requestId, chunk) {
+    const pendingRequest = this.pendingRequests.get(requestId);
+    if (!pendingRequest) {
+      console.error('No pending request found for chunk:', requestId);
+      return;
+    }
+
+    if (!pendingRequest.onChunk) {
+      console.warn('Received completion chunk for non-streaming request:', requestId);
+      return;
+    }
+
+    if (!pendingRequest.firstChunkAt) {
+      pendingRequest.firstChunkAt = Date.now();
+      this._recordLatency(pendingRequest.socketId, 'ttft_ms', pendingRequest.firstChunkAt - pendingRequest.startTime);
+    }
+
+    // Keep track of the streamed content so the final response can be rebuilt
+    const choice = chunk?.choices?.[0];
+    if (typeof choice?.delta?.content === 'string') {
+      pendingRequest.streamedContent += choice.delta.content;
+    }
+    if (choice?.finish_reason) {
+      pendingRequest.finishReason = choice.finish_reason;
+    }
+
+    // Tool calls stream as fragments keyed by index, stitch them back together
+    if (Array.isArray(choice?.delta?.tool_calls)) {
+      for (const fragment of choice.delta.tool_calls) {
+        const index = fragment.index || 0;
+        if (!pendingRequest.streamedToolCalls[index]) {
+          pendingRequest.streamedToolCalls[index] = {
+            id: fragment.id,
+            type: fragment.type || 'function',
+            function: { name: '', arguments: '' }
+          };
+        }
+        const toolCall = pendingRequest.streamedToolCalls[index];
+        if (fragment.id) toolCall.id = fragment.id;
+        if (fragment.function?.name) toolCall.function.name += fragment.function.name;
+        if (fragment.function?.arguments) toolCall.function.arguments += fragment.function.arguments;
+      }
+    }
+
+    try {
+      pendingRequest.onChunk(chunk);
+    } catch (error) {
+      console.error('Error relaying completion chunk:', {
+        requestId,
+        error: error.message
+      });
+    }
+  }
+
+  // Audio follows the transcription_request as base64 slices, the provider
+  // starts decoding once it has received `chunks` of them
+  _buildAudioChunks(requestId, requestData) {
+    if (requestData.type !== 'transcription_request') return [];
+
+    const { buffer } = requestData.audio;
+    const chunkBytes = config.audio.chunk_bytes;
+    const total = Math.ceil(buffer.length / chunkBytes);
+    return Array.from({ length: total }, (_, seq) => ({
+      type: 'audio_chunk',
+      requestId,
+      seq,
+      total,
+      data: buffer.subarray(seq * chunkBytes, (seq + 1) * chunkBytes).toString('base64')
+    }));
+  }
+
+  // Images are too large for a single WebSocket frame, providers send them as
+  // base64 slices ({ index, seq, total, data }) ahead of the image_response
+  handleImageChunk(requestId, chunk) {
+    const pendingRequest = this.pendingRequests.get(requestId);
+    if (!pendingRequest) {
+      // Late slices of a request that already failed or was cancelled
+      return;
+    }
+
+    const index = parseInt(chunk?.index) || 0;
+    const seq = parseInt(chunk?.seq);
+    const total = parseInt(chunk?.total);
+    const assembled = pendingRequest.imageChunks.get(index);
+    if (typeof chunk?.data !== 'string' || isNaN(seq) || isNaN(total) || seq < 0 || seq >= total ||
+        index < 0 || index >= pendingRequest.imageCount || (assembled && assembled.total !== total)) {
+      console.warn('Ignoring malformed image chunk:', { requestId, index, seq, total });
+      return;
+    }
+
+    pendingRequest.imageBytes += chunk.data.length;
+    if (pendingRequest.imageBytes > config.images.max_payload_bytes) {
+      console.error('Image payload exceeds limit:', {
+        requestId,
+        socketId: pendingRequest.socketId,
+        bytes: pendingRequest.imageBytes
+      });
+      this.handleCompletionResponse(requestId, null);
+      return;
+    }
+
+    if (!assembled) {
+      pendingRequest.imageChunks.set(index, { total, parts: new Array(total) });
+    }
+    pendingRequest.imageChunks.get(index).parts[seq] = chunk.data;
+  }
+
+  handleImageResponse(requestId, response) {
+    const pendingRequest = this.pendingRequests.get(requestId);
+    if (!pendingRequest) {
+      console.error('No pending request found for ID:', requestId);
+      return;
+    }
+
+    // Stitch the chunked images back into the response, incomplete ones stay
+    // without b64_json and fail validation. Billing counts these entries, so an image
+    // listed twice counts once and nothing past the requested count is kept.
+    const data = [];
+    const indexes = new Set();
+    for (const [position, item] of (response?.data || []).entries()) {
+      const index = item.index ?? position;
+      if (indexes.has(index) || data.length >= pendingRequest.imageCount) continue;
+      indexes.add(index);
+
+      const assembled = pendingRequest.imageChunks.get(index);
+      const received = assembled?.parts.filter(part => part !== undefined).length;
+      data.push(!item.b64_json && assembled && received === assembled.total ?
+        { ...item, b64_json: assembled.parts.join('') } : item);
+    }
+
+    this.handleCompletionResponse(requestId, response ? { ...response, data } : response);
+  }
+
+  handleCompletionDone(requestId, response) {
+    const pendingRequest = this.pendingRequests.get(requestId);
+    if (!pendingRequest) {
+      console.error('No pending request found for ID:', requestId);
+      return;
+    }
+
+    // Providers usually only send the usage block at the end of a stream,
+    // so rebuild the message from the chunks we relayed
+    const hasMessage = response?.choices?.[0]?.message;
+    const toolCalls = pendingRequest.streamedToolCalls.filter(Boolean);
+    const message = {
+      role: 'assistant',
+      content: pendingRequest.streamedContent || (toolCalls.length > 0 ? null : '')
+    };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+
+    const finalResponse = {
+      ...response,
+      choices: hasMessage ? response.choices : [{
+        index: 0,
+        message,
+        finish_reason: pendingRequest.finishReason || (toolCalls.length > 0 ? 'tool_calls' : 'stop')
+      }]
+    };
+
+    this.handleCompletionResponse(requestId, finalResponse);
+  }
+
   logProvidersState() {
     console.log('\n=== Current Providers State ===');
     console.log('Total providers:', this.providers.size);
@@ -883,10 +1613,22 @@ class ProviderManager {
       models: Array.isArray(provider.models) ? provider.models : [],
       status: provider.status || 'unknown',
       lastHeartbeat: provider.lastHeartbeat ? new Date(provider.lastHeartbeat).toISOString() : null,
-      hasWebSocket: !!provider.ws && provider.ws.readyState === WebSocket.OPEN
+      hasWebSocket: !!provider.ws && provider.ws.readyState === WebSocket.OPEN,
+      visionModels: (provider.models || []).filter(model => this._isVisionModel(provider, model)),
+      latency: this.getLatencyStats(id)
     }));
   }
 
+  // Providers that are connected and have nothing in flight
+  getIdleProviderCount() {
+    return Array.from(this.providers.entries()).filter(([socketId, provider]) =>
+      provider.status === 'active' &&
+      provider.readyForRequests === true &&
+      provider.ws?.readyState === WebSocket.OPEN &&
+      (this.requestQueue.get(socketId) || 0) === 0
+    ).length;
+  }
+
   getLoadBalancingStats() {
     return Array.from(this.requestCounts.entries()).map(([id, count]) => ({
       providerId: id,
@@ -898,5 +1640,7 @@ class ProviderManager {
 
 module.exports = {
   ProviderManager,
+  SAMPLING_PARAMETERS,
+  BEST_EFFORT_PARAMETERS,
   providerManager: new ProviderManager()
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+// src/services/responseCache.js
+const crypto = require('crypto');
+const config = require('../config');
+const canonicalJson = require('../utils/canonicalJson');
+
+// Request fields that change what a provider would answer
+const KEY_FIELDS = [
+  'messages', 'tools', 'tool_choice', 'parallel_tool_calls', 'response_format', 'truncation',
+  'top_p', 'top_k', 'presence_penalty', 'frequency_penalty', 'seed', 'n', 'stop',
+  'logit_bias', 'logprobs', 'top_logprobs'
+];
+
+// Opt-in exact-match cache of chat completions, in memory with a TTL and a size cap.
+// Least recently used entries are evicted first.
+class ResponseCache {
+  constructor({ ttl_seconds, max_bytes, max_entry_bytes }) {
+    this.ttlMs = ttl_seconds * 1000;
+    this.maxBytes = max_bytes;
+    this.maxEntryBytes = max_entry_bytes;
+    this.entries = new Map(); // key -> { value, bytes, expiresAt }
+    this.bytes = 0;
+  }
+
+  // Only deterministic requests are cached: greedy sampling (temperature 0) or a fixed
+  // seed, with a single choice. Anything else is meant to vary and always goes to a provider.
+  isCacheable(body) {
+    const greedy = body.temperature !== undefined && parseFloat(body.temperature) === 0;
+    const seeded = body.seed !== undefined && body.seed !== null;
+    return (greedy || seeded) && (parseInt(body.n) || 1) === 1;
+  }
+
+  // Entries are scoped per consumer, one user's traffic says nothing about another's
+  key(consumerId, body) {
+    const normalized = {
+      consumerId: String(consumerId),
+      model: (Array.isArray(body.model) ? body.model : [body.model])
+        .concat(body.models || [])
+        .filter(Boolean)
+        .map(model => String(model).trim().toLowerCase()),
+      // Same defaults the provider request falls back to
+      temperature: body.temperature !== undefined ? parseFloat(body.temperature) : 0.7,
+      max_tokens: parseInt(body.max_tokens) || null
+    };
+    for (const field of KEY_FIELDS) {
+      if (body[field] !== undefined) normalized[field] = body[field];
+    }
+    return crypto.createHash('sha256').update(canonicalJson(normalized)).digest('hex');
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this._delete(key);
+      return null;
+    }
+
+    // Move to the back of the eviction order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    const bytes = Buffer.byteLength(JSON.stringify(value));
+    if (bytes > this.maxEntryBytes) return false;
+
+    this._delete(key);
+    while (this.bytes + bytes > this.maxBytes && this.entries.size > 0) {
+      this._delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, { value, bytes, expiresAt: Date.now() + this.ttlMs });
+    this.bytes += bytes;
+    return true;
+  }
+
+  _delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+  }
+}
+
+const responseCache = new ResponseCache(config.response_cache);
+
+module.exports = { ResponseCache, responseCache };
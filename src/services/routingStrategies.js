@@ -0,0 +1,110 @@
+// src/services/routingStrategies.js
+const { ModelManager } = require('../config/models');
+const { TokenCalculator } = require('../config/tokenomics');
+
+// A routing strategy picks one provider out of the eligible candidates:
+//   select(candidates, context) -> candidate
+// candidates: [{ socketId, provider, load, performance, models }] where models are the
+// ones the provider can serve for this request.
+// context: { model, consumerId, loadBalancingThreshold }
+
+// Sort by the given keys (lower is better) and take the first, ties fall through to the next key
+function pickBy(candidates, ...keys) {
+  return [...candidates].sort((a, b) => {
+    for (const key of keys) {
+      const difference = key(a) - key(b);
+      if (difference) return difference; // NaN when both are Infinity, a tie as well
+    }
+    return 0;
+  })[0];
+}
+
+// Providers that haven't measured a metric yet score as the slowest measured candidate times
+// this, so they rank behind the measured ones without being shut out. Nothing measured is a tie.
+const UNMEASURED_PENALTY = 2;
+
+const load = candidate => candidate.load;
+const slowness = candidate => -(candidate.performance.tokens_per_second || 0);
+
+// Score every candidate on the same metric, unmeasured ones get the penalty
+function measured(candidates, metric) {
+  const values = candidates
+    .map(candidate => candidate.performance[metric])
+    .filter(value => value !== null && value !== undefined);
+  const unmeasured = values.length > 0 ? Math.max(...values) * UNMEASURED_PENALTY : 0;
+  return candidate => candidate.performance[metric] ?? unmeasured;
+}
+
+// Expected wait for the first token: the provider's time to first token plus a full
+// request for everything already in flight
+function latency(candidates) {
+  const firstToken = measured(candidates, 'ttft_ms');
+  const requestTime = measured(candidates, 'latency_ms');
+  return candidate => firstToken(candidate) + candidate.load * requestTime(candidate);
+}
+
+// What the consumer pays for a fixed amount of work on the cheapest model the provider would run,
+// requests served by the consumer's own providers are free
+function price(candidate, { consumerId }) {
+  if (consumerId && candidate.provider.userId?.toString() === consumerId.toString()) return 0;
+  return Math.min(...candidate.models.map(model =>
+    TokenCalculator.calculateMules(1000, ModelManager.getModelInfo(model).tier)
+  ));
+}
+
+function roundRobin() {
+  const positions = new Map(); // requested model -> next index
+  return {
+    select(candidates, { model }) {
+      // Stable order, so the position means the same provider between calls
+      const ordered = [...candidates].sort((a, b) => a.socketId.localeCompare(b.socketId));
+      const position = positions.get(model) || 0;
+      positions.set(model, position + 1);
+      return ordered[position % ordered.length];
+    }
+  };
+}
+
+class RoutingStrategies {
+  constructor() {
+    this.strategies = new Map();
+
+    // Equally loaded providers are told apart by how soon they'd answer, then by throughput
+    this.register('least-loaded', {
+      select: candidates => pickBy(candidates, load, latency(candidates), slowness)
+    });
+    this.register('fastest', { select: candidates => pickBy(candidates, slowness, load) });
+    this.register('round-robin', roundRobin());
+    this.register('cheapest', {
+      select: (candidates, context) => pickBy(candidates, candidate => price(candidate, context), load)
+    });
+    this.register('lowest-latency', { select: candidates => pickBy(candidates, latency(candidates), load) });
+    this.register('random', {
+      select: candidates => candidates[Math.floor(Math.random() * candidates.length)]
+    });
+  }
+
+  // Custom strategies plug in here, a strategy only needs select(candidates, context)
+  register(name, strategy) {
+    if (typeof strategy?.select !== 'function') {
+      throw new Error(`Routing strategy ${name} must implement select(candidates, context)`);
+    }
+    this.strategies.set(name, strategy);
+  }
+
+  get(name) {
+    return this.strategies.get(name) || null;
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  names() {
+    return Array.from(this.strategies.keys());
+  }
+}
+
+const routingStrategies = new RoutingStrategies();
+
+module.exports = { RoutingStrategies, routingStrategies };
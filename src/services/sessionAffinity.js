@@ -0,0 +1,56 @@
+// src/services/sessionAffinity.js
+const crypto = require('crypto');
+const config = require('../config');
+const canonicalJson = require('../utils/canonicalJson');
+
+// Remembers which provider served a conversation so its next turns go back there,
+// Ollama and LM Studio keep the evaluated prefix in their prompt cache.
+// The provider is only reused while findAvailableProvider still considers it eligible.
+class SessionAffinity {
+  constructor({ ttl_seconds, max_sessions }) {
+    this.ttlMs = ttl_seconds * 1000;
+    this.maxSessions = max_sessions;
+    this.sessions = new Map(); // key -> { socketId, expiresAt }
+  }
+
+  // An explicit session_id, or the start of the conversation (system prompt up to the
+  // first user message) which stays the same on every turn. Scoped per consumer.
+  key(consumerId, body) {
+    if (body.session_id) {
+      return `${consumerId}:session:${body.session_id}`;
+    }
+
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const firstUser = messages.findIndex(message => message.role === 'user');
+    if (firstUser === -1) return null;
+
+    const prefix = messages.slice(0, firstUser + 1).map(({ role, content }) => ({ role, content }));
+    return `${consumerId}:prefix:${crypto.createHash('sha256').update(canonicalJson(prefix)).digest('hex')}`;
+  }
+
+  get(key) {
+    const session = key && this.sessions.get(key);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(key);
+      return null;
+    }
+    return session.socketId;
+  }
+
+  // Every turn renews the TTL, the oldest sessions go first once the map is full
+  set(key, socketId) {
+    if (!key || !socketId) return;
+
+    this.sessions.delete(key);
+    while (this.sessions.size >= this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    this.sessions.set(key, { socketId, expiresAt: Date.now() + this.ttlMs });
+  }
+}
+
+const sessionAffinity = new SessionAffinity(config.session_affinity);
+
+module.exports = { SessionAffinity, sessionAffinity };
@@ -0,0 +1,81 @@
+// src/services/structuredOutputService.js
+const Ajv = require('ajv');
+
+class StructuredOutputService {
+  // Build a validator for the request's response_format.
+  // Returns null when the consumer didn't ask for structured output.
+  static createValidator(responseFormat) {
+    if (!responseFormat || responseFormat.type === 'text') return null;
+
+    if (responseFormat.type === 'json_object') {
+      return (response) => {
+        this._parseContent(response);
+      };
+    }
+
+    if (responseFormat.type === 'json_schema') {
+      const schema = responseFormat.json_schema?.schema;
+      if (!schema || typeof schema !== 'object') {
+        throw this._error(
+          'INVALID_RESPONSE_FORMAT',
+          'response_format.json_schema.schema must be a JSON schema object'
+        );
+      }
+
+      // A shared instance keeps every compiled schema for good and rejects a second
+      // schema with the same $id, each request gets its own
+      const ajv = new Ajv({ allErrors: true, strict: false });
+      let validate;
+      try {
+        validate = ajv.compile(schema);
+      } catch (error) {
+        throw this._error('INVALID_RESPONSE_FORMAT', `Invalid JSON schema: ${error.message}`);
+      }
+
+      return (response) => {
+        const parsed = this._parseContent(response);
+        if (!validate(parsed)) {
+          const details = ajv.errorsText(validate.errors, { dataVar: 'output' });
+          throw this._error(
+            'INVALID_STRUCTURED_OUTPUT',
+            `Provider output does not match the requested schema: ${details}`
+          );
+        }
+      };
+    }
+
+    throw this._error(
+      'INVALID_RESPONSE_FORMAT',
+      `Unsupported response_format type: ${responseFormat.type}`
+    );
+  }
+
+  static _parseContent(response) {
+    let content = response?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      throw this._error('INVALID_STRUCTURED_OUTPUT', 'Provider returned no JSON content');
+    }
+
+    // Some local models wrap JSON in a markdown code fence
+    content = content.trim();
+    const fenced = content.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    if (fenced) {
+      content = fenced[1];
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw this._error('INVALID_STRUCTURED_OUTPUT', `Provider output is not valid JSON: ${error.message}`);
+    }
+  }
+
+  static _error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.param = 'response_format';
+    return error;
+  }
+}
+
+module.exports = StructuredOutputService;
@@ -189,7 +189,11 @@ class TokenService {
         modelType,
         modelTier,
         usage,
-        performance
+        performance,
+        pricing = null,
+        priority = null,
+        usageVerification = null,
+        cacheHit = false
     }) {
         try {
             // Validate consumer ID
@@ -197,12 +201,14 @@ class TokenService {
                 throw new Error('Invalid consumer ID');
             }
 
-            // Determine transaction type
+            // Determine transaction type, cache hits have no provider
             const isSelfService = consumerId.toString() === providerId?.toString();
-            const transactionType = isSelfService ? 'self_service' : 'consumption';
+            const transactionType = cacheHit ? 'cache_hit' : (isSelfService ? 'self_service' : 'consumption');
 
-            // Calculate MULE amount
-            const muleAmount = TokenCalculator.tokensToMules(usage.totalTokens, modelTier);
+            // Bill in the model type's metric (tokens for text, images or audio seconds otherwise)
+            const metric = tokenConfig.model_types[modelType]?.metric || 'tokens';
+            const rawAmount = metric === 'tokens' ? usage.totalTokens : (usage[metric] || 0);
+            const muleAmount = TokenCalculator.calculateMules(rawAmount, modelTier, pricing, priority);
             const platformFee = TokenCalculator.calculatePlatformFee(muleAmount);
 
             // Prepare transaction data
@@ -213,18 +219,25 @@ class TokenService {
                 model,
                 modelType,
                 modelTier,
-                rawAmount: usage.totalTokens,
+                metric,
+                rawAmount,
                 muleAmount,
                 platformFee,
                 usage: {
                     promptTokens: usage.promptTokens,
                     completionTokens: usage.completionTokens,
                     totalTokens: usage.totalTokens,
+                    images: usage.images || 0,
+                    seconds: usage.seconds || 0,
                     duration_seconds: performance.duration_seconds,
                     tokens_per_second: performance.tokens_per_second
                 },
                 metadata: {
-                    request_success: usage.totalTokens > 0,
+                    request_success: rawAmount > 0,
+                    ...(pricing && { pricing, discount: tokenConfig.discounts[pricing] }),
+                    ...(priority && { priority, priority_multiplier: tokenConfig.priority_multipliers[priority] }),
+                    // Provider claimed usage outside the tolerance, billed at the lower figure
+                    ...(usageVerification && { usage_verification: usageVerification }),
                     performance_metrics: {
                         tokens_per_second: performance.tokens_per_second,
                         duration_seconds: performance.duration_seconds,
@@ -250,7 +263,7 @@ class TokenService {
                     tokens_per_second: performance.tokens_per_second,
                     duration_seconds: performance.duration_seconds,
                     total_tokens: usage.totalTokens,
-                    success: usage.totalTokens > 0
+                    success: rawAmount > 0
                 });
             }
 
@@ -0,0 +1,202 @@
+// src/services/tokenizerService.js
+// Approximate token counts, providers run their own tokenizers so the server can only estimate.
+// Words are split like a BPE pre-tokenizer and charged by the family's average characters per token.
+const CHARS_PER_TOKEN = [
+  [/llama-?[34]|gemma|qwen|deepseek|command-?r/i, 4.2], // 100k+ vocabularies
+  [/llama|mistral|mixtral|vicuna|tinyllama|openchat|hermes|yi\b/i, 3.6], // 32k SentencePiece
+  [/phi/i, 3.8]
+];
+const DEFAULT_CHARS_PER_TOKEN = 3.8;
+
+// Chat template overhead (role markers and separators)
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3; // Priming of the assistant turn
+
+// Vision encoders turn an image into a fixed grid of patches (e.g. 576 for LLaVA)
+const TOKENS_PER_IMAGE = 576;
+
+// Letters/digits with an optional leading space, a single symbol, or whitespace
+const PRE_TOKENIZER = /\s?[\p{L}\p{M}\p{N}]+|\s?[^\s\p{L}\p{M}\p{N}]|\s+/gu;
+// Scripts without spaces between words, roughly one token per character
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+const TRUNCATION_STRATEGIES = ['middle_out', 'oldest_first'];
+
+class TokenizerService {
+  static TRUNCATION_STRATEGIES = TRUNCATION_STRATEGIES;
+
+  static countText(text, model) {
+    if (!text) return 0;
+    const charsPerToken = this._charsPerToken(model);
+    let tokens = 0;
+
+    for (const piece of String(text).match(PRE_TOKENIZER) || []) {
+      const cjk = (piece.match(CJK) || []).length;
+      const rest = piece.length - cjk;
+      tokens += cjk + (rest > 0 ? Math.max(1, Math.round(rest / charsPerToken)) : 0);
+    }
+    return tokens;
+  }
+
+  // Prompt tokens of a chat request: messages plus tool definitions
+  static countMessages(messages, model, tools = null) {
+    let tokens = TOKENS_PER_REPLY;
+    for (const message of messages || []) {
+      tokens += this._countMessage(message, model);
+    }
+    if (Array.isArray(tools) && tools.length > 0) {
+      tokens += this.countText(JSON.stringify(tools), model);
+    }
+    return tokens;
+  }
+
+  // Generated tokens across all returned choices (chat messages or text completions)
+  static countChoices(choices, model) {
+    let tokens = 0;
+    for (const choice of choices || []) {
+      if (choice.message) {
+        tokens += this.countText(choice.message.content, model);
+        for (const toolCall of choice.message.tool_calls || []) {
+          tokens += this.countText(toolCall.function?.name, model) +
+            this.countText(toolCall.function?.arguments, model);
+        }
+      } else {
+        tokens += this.countText(choice.text, model);
+      }
+    }
+    return tokens;
+  }
+
+  // Make sure the prompt plus the requested completion fits the context window.
+  // Returns the messages to send (trimmed when a truncation strategy is given) and their token count.
+  static fitContext({ messages, tools, model, context, maxTokens, truncation }) {
+    const completionTokens = maxTokens || 0;
+    if (completionTokens >= context) {
+      throw this._error(
+        `max_tokens (${completionTokens}) must be smaller than the context window of ${model} (${context} tokens)`,
+        'max_tokens'
+      );
+    }
+
+    const budget = context - completionTokens;
+    const promptTokens = this.countMessages(messages, model, tools);
+    if (promptTokens <= budget) {
+      return { messages, promptTokens, removedMessages: 0 };
+    }
+
+    if (!TRUNCATION_STRATEGIES.includes(truncation)) {
+      throw this._error(
+        `This model's maximum context length is ${context} tokens, the request needs about ` +
+        `${promptTokens + completionTokens} (${promptTokens} in the messages, ${completionTokens} for the completion). ` +
+        `Shorten the messages or set truncation to one of: ${TRUNCATION_STRATEGIES.join(', ')}`,
+        'messages'
+      );
+    }
+
+    return this._truncate({ messages, tools, model, budget, truncation });
+  }
+
+  // Same check for a raw /v1/completions prompt, nothing to truncate there
+  static fitPrompt({ prompt, model, context, maxTokens }) {
+    const completionTokens = maxTokens || 0;
+    const promptTokens = this.countText(prompt, model);
+    if (promptTokens + completionTokens > context) {
+      throw this._error(
+        `This model's maximum context length is ${context} tokens, the request needs about ` +
+        `${promptTokens + completionTokens} (${promptTokens} in the prompt, ${completionTokens} for the completion)`,
+        'prompt'
+      );
+    }
+    return promptTokens;
+  }
+
+  static _truncate({ messages, tools, model, budget, truncation }) {
+    // System prompts and the latest turn always stay, everything else can go.
+    // An assistant tool call and its tool results are dropped together.
+    const groups = this._groupMessages(messages);
+    const pinned = group => group.system || group === groups[groups.length - 1];
+    const removable = groups.filter(group => !pinned(group));
+
+    const fixedTokens = TOKENS_PER_REPLY +
+      (Array.isArray(tools) && tools.length > 0 ? this.countText(JSON.stringify(tools), model) : 0);
+    const tokensOf = group => group.messages.reduce((sum, message) => sum + this._countMessage(message, model), 0);
+    let promptTokens = fixedTokens + groups.reduce((sum, group) => sum + tokensOf(group), 0);
+
+    const removed = new Set();
+    while (promptTokens > budget && removed.size < removable.length) {
+      const group = truncation === 'oldest_first' ?
+        removable[removed.size] :
+        this._middleOut(removable, removed);
+      removed.add(group);
+      promptTokens -= tokensOf(group);
+    }
+
+    if (promptTokens > budget) {
+      throw this._error(
+        `The system prompt and latest message alone need about ${promptTokens} tokens, ` +
+        `more than the ${budget} available after max_tokens`,
+        'messages'
+      );
+    }
+
+    const kept = groups.filter(group => !removed.has(group)).flatMap(group => group.messages);
+    return { messages: kept, promptTokens, removedMessages: messages.length - kept.length };
+  }
+
+  // The group closest to the middle of what's left, so both the start
+  // of the conversation and the recent turns survive the longest
+  static _middleOut(removable, removed) {
+    const remaining = removable.filter(group => !removed.has(group));
+    return remaining[Math.floor(remaining.length / 2)];
+  }
+
+  static _groupMessages(messages) {
+    const groups = [];
+    for (const message of messages) {
+      const previous = groups[groups.length - 1];
+      if (message.role === 'tool' && previous?.toolCalls) {
+        previous.messages.push(message);
+        continue;
+      }
+      groups.push({
+        messages: [message],
+        system: message.role === 'system' || message.role === 'developer',
+        toolCalls: Array.isArray(message.tool_calls) && message.tool_calls.length > 0
+      });
+    }
+    return groups;
+  }
+
+  static _countMessage(message, model) {
+    let tokens = TOKENS_PER_MESSAGE + this.countText(message.name, model);
+
+    if (typeof message.content === 'string') {
+      tokens += this.countText(message.content, model);
+    } else if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        tokens += part?.type === 'image_url' ? TOKENS_PER_IMAGE : this.countText(part?.text, model);
+      }
+    }
+
+    for (const toolCall of message.tool_calls || []) {
+      tokens += this.countText(toolCall.function?.name, model) +
+        this.countText(toolCall.function?.arguments, model);
+    }
+    return tokens;
+  }
+
+  static _charsPerToken(model) {
+    const name = String(model || '');
+    const match = CHARS_PER_TOKEN.find(([pattern]) => pattern.test(name));
+    return match ? match[1] : DEFAULT_CHARS_PER_TOKEN;
+  }
+
+  static _error(message, param) {
+    const error = new Error(message);
+    error.code = 'CONTEXT_LENGTH_EXCEEDED';
+    error.param = param;
+    return error;
+  }
+}
+
+module.exports = TokenizerService;
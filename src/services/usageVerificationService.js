@@ -0,0 +1,73 @@
+// src/services/usageVerificationService.js
+const config = require('../config');
+
+// Providers report their own usage and are paid by it. Claims that stray too far
+// from the server's estimate are billed at the lower figure and kept for audit.
+class UsageVerificationService {
+  // claimed: the provider's usage block, estimated: TokenizerService counts.
+  // An estimated count of null skips that check (e.g. image prompts, too model specific).
+  static verify(claimed, estimated) {
+    const { tolerance, min_slack_tokens: slack } = config.usage_verification;
+    const billed = { ...claimed };
+    const deviations = {};
+
+    for (const field of ['prompt_tokens', 'completion_tokens']) {
+      const estimate = estimated[field];
+      if (estimate === null || estimate === undefined) continue;
+
+      const allowed = estimate * tolerance + slack;
+      if (Math.abs(claimed[field] - estimate) > allowed) {
+        deviations[field] = claimed[field] - estimate;
+        billed[field] = Math.min(claimed[field], estimate);
+      }
+    }
+
+    // Billing goes by the total, which has to be the sum of the parts checked above
+    const claimedSum = claimed.prompt_tokens + claimed.completion_tokens;
+    if (claimed.total_tokens !== claimedSum) {
+      deviations.total_tokens = claimed.total_tokens - claimedSum;
+    }
+
+    if (Object.keys(deviations).length === 0) {
+      return claimed;
+    }
+
+    billed.total_tokens = billed.prompt_tokens + billed.completion_tokens;
+    return {
+      ...billed,
+      verification: {
+        flagged: true,
+        tolerance,
+        claimed: {
+          prompt_tokens: claimed.prompt_tokens,
+          completion_tokens: claimed.completion_tokens,
+          total_tokens: claimed.total_tokens
+        },
+        estimated: {
+          prompt_tokens: estimated.prompt_tokens ?? null,
+          completion_tokens: estimated.completion_tokens ?? null
+        },
+        deviations
+      }
+    };
+  }
+
+  // Audio is billed by the duration the provider reports, which can't exceed what the
+  // uploaded file holds. Longer claims are billed at that bound and kept for audit.
+  static verifyDuration(claimed, maxSeconds) {
+    if (claimed.seconds <= maxSeconds) return claimed;
+
+    return {
+      ...claimed,
+      seconds: maxSeconds,
+      verification: {
+        flagged: true,
+        claimed: { seconds: claimed.seconds },
+        estimated: { max_seconds: maxSeconds },
+        deviations: { seconds: claimed.seconds - maxSeconds }
+      }
+    };
+  }
+}
+
+module.exports = UsageVerificationService;
@@ -0,0 +1,240 @@
+// src/services/visionService.js
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+
+const MAX_REDIRECTS = 3;
+
+// Addresses a consumer must not make the server fetch from
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved, including broadcast
+];
+
+class VisionService {
+  static hasImageParts(messages) {
+    return Array.isArray(messages) && messages.some(message =>
+      Array.isArray(message?.content) &&
+      message.content.some(part => part?.type === 'image_url')
+    );
+  }
+
+  // Check one message's content: a string, null (tool call turns) or OpenAI content parts
+  static isValidContent(content) {
+    if (content === null || typeof content === 'string') return true;
+    if (!Array.isArray(content) || content.length === 0) return false;
+
+    return content.every(part => {
+      if (part?.type === 'text') return typeof part.text === 'string';
+      if (part?.type === 'image_url') {
+        return typeof part.image_url?.url === 'string' &&
+          (part.image_url.detail === undefined || ['auto', 'low', 'high'].includes(part.image_url.detail));
+      }
+      return false;
+    });
+  }
+
+  // Providers sit behind NAT and can't be trusted to reach arbitrary URLs,
+  // so every image is inlined as a size-checked data URL before routing
+  static async prepareMessages(messages, { signal } = {}) {
+    const imageCount = messages.reduce((count, message) =>
+      count + (Array.isArray(message.content) ?
+        message.content.filter(part => part.type === 'image_url').length : 0), 0);
+
+    if (imageCount > config.vision.max_images) {
+      throw this._error(`A request can contain at most ${config.vision.max_images} images`);
+    }
+
+    return Promise.all(messages.map(async message => {
+      if (!Array.isArray(message.content)) return message;
+
+      const content = await Promise.all(message.content.map(async part => {
+        if (part.type !== 'image_url') return part;
+        return {
+          ...part,
+          image_url: {
+            ...part.image_url,
+            url: await this._resolveImageUrl(part.image_url.url, signal)
+          }
+        };
+      }));
+      return { ...message, content };
+    }));
+  }
+
+  static async _resolveImageUrl(url, signal) {
+    if (url.startsWith('data:')) {
+      const match = url.match(/^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/);
+      if (!match) {
+        throw this._error('image_url data URLs must be base64-encoded images');
+      }
+      // 4 base64 characters carry 3 bytes
+      const bytes = Math.floor(match[2].replace(/\s/g, '').length * 3 / 4);
+      this._checkSize(bytes);
+      return url;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw this._error(`Invalid image_url: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw this._error('image_url must be an http(s) URL or a base64 data URL');
+    }
+
+    return this._fetchImage(parsed, signal);
+  }
+
+  static async _fetchImage(url, signal) {
+    const timeout = AbortSignal.timeout(config.vision.fetch_timeout_ms);
+    const fetchSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+    let current = url;
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      let response;
+      try {
+        // Redirects are followed by hand so every hop gets the host check
+        response = await this._get(current, fetchSignal);
+      } catch (error) {
+        if (signal?.aborted || error.code === 'INVALID_IMAGE') throw error;
+        throw this._error(`Failed to download image from ${current.href}: ${error.message}`);
+      }
+
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        current = new URL(headers.location, current);
+        if (!['http:', 'https:'].includes(current.protocol)) {
+          throw this._error(`image_url redirected to an unsupported URL: ${current.href}`);
+        }
+        continue;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        throw this._error(`Failed to download image from ${current.href}: HTTP ${statusCode}`);
+      }
+
+      const mimeType = (headers['content-type'] || '').split(';')[0].trim();
+      if (!mimeType.startsWith('image/')) {
+        response.resume();
+        throw this._error(`image_url ${current.href} did not return an image`);
+      }
+
+      const declaredSize = parseInt(headers['content-length']);
+      if (!isNaN(declaredSize)) {
+        try {
+          this._checkSize(declaredSize);
+        } catch (error) {
+          response.destroy();
+          throw error;
+        }
+      }
+
+      const buffer = await this._readBody(response, fetchSignal);
+      return `data:${mimeType};base64,${buffer.toString('base64')}`;
+    }
+
+    throw this._error(`Too many redirects fetching image_url ${url.href}`);
+  }
+
+  // GET over a connection whose address passed the host check. The check runs inside the
+  // socket's own DNS lookup, so a second resolution can't swap in an internal address.
+  static _get(url, signal) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && this._isPrivateAddress(host)) {
+      return Promise.reject(this._error(`image_url host ${url.hostname} is not publicly reachable`));
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = client.get(url, {
+        signal,
+        headers: { 'user-agent': 'llmule-server' },
+        lookup: (hostname, options, callback) => this._lookupPublic(hostname, options, callback)
+      }, resolve);
+      request.on('error', reject);
+    });
+  }
+
+  static _lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(this._error(`Could not resolve image_url host ${hostname}`));
+      }
+      if (addresses.some(({ address }) => this._isPrivateAddress(address))) {
+        return callback(this._error(`image_url host ${hostname} is not publicly reachable`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  // Stop reading as soon as the limit is crossed instead of trusting content-length
+  static async _readBody(response, signal) {
+    const chunks = [];
+    let size = 0;
+    try {
+      for await (const chunk of response) {
+        size += chunk.length;
+        this._checkSize(size);
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      if (signal?.aborted || error.code === 'INVALID_IMAGE') throw error;
+      throw this._error(`Failed to download image: ${error.message}`);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  static _isPrivateAddress(address) {
+    // IPv4-mapped IPv6, dotted (::ffff:10.0.0.1) or as URL parsing writes it (::ffff:a00:1)
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (mapped) {
+      address = mapped[1];
+    } else if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      address = [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    }
+
+    if (net.isIPv4(address)) {
+      const toNumber = ip => ip.split('.').reduce((total, octet) => total * 256 + parseInt(octet), 0);
+      const value = toNumber(address);
+      return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+        const size = 2 ** (32 - bits);
+        return Math.floor(value / size) === Math.floor(toNumber(base) / size);
+      });
+    }
+
+    const normalized = address.toLowerCase();
+    return normalized === '::' || normalized === '::1' ||
+      /^f[cd]/.test(normalized) ||   // Unique local fc00::/7
+      /^fe[89ab]/.test(normalized) || // Link local fe80::/10
+      /^ff/.test(normalized);        // Multicast ff00::/8
+  }
+
+  static _checkSize(bytes) {
+    if (bytes > config.vision.max_image_bytes) {
+      throw this._error(
+        `Image exceeds the ${config.vision.max_image_bytes / (1024 * 1024)}MB limit`
+      );
+    }
+  }
+
+  static _error(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_IMAGE';
+    error.param = 'messages';
+    return error;
+  }
+}
+
+module.exports = VisionService;
@@ -0,0 +1,133 @@
+// src/services/waitQueue.js
+
+const PRIORITIES = ['interactive', 'standard', 'batch'];
+
+// Requests waiting for a provider slot, one queue per requested model or tier.
+// Slots are shared between consumers by self-clocked weighted fair queueing: every
+// request gets a finish tag of max(virtual time, the consumer's last tag) + 1 / weight,
+// the lowest tag goes first. A consumer flooding the queue only pushes its own tags
+// out, and higher priorities advance their consumer's tags more slowly.
+// A waiter is only told to try again, it still has to win the slot in findAvailableProvider.
+class WaitQueue {
+  static PRIORITIES = PRIORITIES;
+
+  constructor({ max_depth, max_wait_ms, priority_weights }) {
+    this.maxDepth = max_depth;
+    this.maxWaitMs = max_wait_ms;
+    this.weights = priority_weights;
+    this.queues = new Map(); // key -> waiters sorted by tag
+    this.lastTags = new Map(); // consumer -> finish tag of its latest request
+    this.virtualTime = 0; // Tag of the request served last
+    this.sequence = 0; // Breaks ties in arrival order
+  }
+
+  // Resolves with the request's tag when wake() picks it. A waiter that lost its slot
+  // to another request passes that tag back in to keep its place.
+  // requires is handed to wake()'s canServe as is (e.g. tools or image input).
+  wait(key, {
+    consumerId = null,
+    priority = 'standard',
+    requires = {},
+    tag = null,
+    signal,
+    timeoutMs = this.maxWaitMs,
+    onQueued = null
+  } = {}) {
+    const queue = this.queues.get(key) || [];
+    if (tag === null && queue.length >= this.maxDepth) {
+      return Promise.reject(this._error(
+        `Too many requests are waiting for ${key}, try again later`,
+        'QUEUE_FULL'
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        tag: tag ?? this._nextTag(String(consumerId ?? 'anonymous'), priority),
+        sequence: this.sequence++,
+        requires
+      };
+      const leave = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        const index = queue.indexOf(waiter);
+        if (index !== -1) queue.splice(index, 1);
+        if (queue.length === 0 && this.queues.get(key) === queue) this.queues.delete(key);
+      };
+      const onAbort = () => {
+        leave();
+        reject(this._error('Request cancelled by client', 'REQUEST_CANCELLED'));
+      };
+      const timer = setTimeout(() => {
+        leave();
+        reject(this._error(
+          `No provider for ${key} became available within ${Math.round(this.maxWaitMs / 1000)} seconds`,
+          'QUEUE_TIMEOUT'
+        ));
+      }, Math.max(0, timeoutMs));
+
+      waiter.release = () => {
+        leave();
+        resolve(waiter.tag);
+      };
+
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const index = queue.findIndex(other => this._before(waiter, other));
+      queue.splice(index === -1 ? queue.length : index, 0, waiter);
+      this.queues.set(key, queue);
+      if (onQueued) onQueued({ position: queue.indexOf(waiter) + 1, depth: queue.length, priority });
+    });
+  }
+
+  // Let the request with the lowest tag that the freed provider can serve try again,
+  // canServe(key, requires) decides per waiter
+  wake(canServe, count = 1) {
+    let woken = 0;
+    while (woken < count) {
+      let next = null;
+      for (const [key, queue] of this.queues) {
+        // Sorted by tag, so the first servable waiter is this queue's best
+        const waiter = queue.find(candidate => canServe(key, candidate.requires));
+        if (waiter && (!next || this._before(waiter, next))) {
+          next = waiter;
+        }
+      }
+      if (!next) break;
+
+      this.virtualTime = Math.max(this.virtualTime, next.tag);
+      next.release();
+      woken++;
+    }
+
+    // Consumers whose last tag is behind the virtual time start over from it anyway
+    for (const [consumerId, lastTag] of this.lastTags) {
+      if (lastTag <= this.virtualTime) this.lastTags.delete(consumerId);
+    }
+    return woken;
+  }
+
+  size(key) {
+    return this.queues.get(key)?.length || 0;
+  }
+
+  _nextTag(consumerId, priority) {
+    const weight = this.weights[priority] || this.weights.standard;
+    const tag = Math.max(this.virtualTime, this.lastTags.get(consumerId) || 0) + 1 / weight;
+    this.lastTags.set(consumerId, tag);
+    return tag;
+  }
+
+  _before(waiter, other) {
+    return waiter.tag < other.tag || (waiter.tag === other.tag && waiter.sequence < other.sequence);
+  }
+
+  _error(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = WaitQueue;
@@ -0,0 +1,17 @@
+// utils/canonicalJson.js
+
+// JSON with object keys sorted, so key order doesn't change a hash of the value
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(name => value[name] !== undefined)
+      .map(name => `${JSON.stringify(name)}:${canonicalJson(value[name])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = canonicalJson;
@@ -0,0 +1,138 @@
+// test/controllers/audioController.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 }))
+}));
+
+const TokenService = require('../../src/services/tokenService');
+const { providerManager } = require('../../src/services/providerManager');
+const {
+  validateTranscription,
+  validateTranslation,
+  handleTranscription,
+  handleTranslation
+} = require('../../src/controllers/audioController');
+const { addProvider, stubPerformance } = require('../helpers/fakeProviders');
+const { startApp } = require('../helpers/testApp');
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp((express, authenticate) => {
+    express.post('/v1/audio/transcriptions', authenticate, validateTranscription, handleTranscription);
+    express.post('/v1/audio/translations', authenticate, validateTranslation, handleTranslation);
+  });
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  providerManager.providers.clear();
+  providerManager.requestQueue.clear();
+  stubPerformance(providerManager);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  TokenService.processUsage.mockClear();
+});
+
+// 16 kHz 8-bit mono PCM, `seconds` long
+function wav(seconds) {
+  const byteRate = 16000;
+  const data = Buffer.alloc(byteRate * seconds, 0x80);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(16000, 24); // Sample rate
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(1, 32); // Block align
+  header.writeUInt16LE(8, 34); // Bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function upload(path, audio, fields = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([audio], { type: 'audio/wav' }), 'speech.wav');
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return fetch(`${app.url}${path}`, { method: 'POST', body: form });
+}
+
+function whisperProvider(response) {
+  return addProvider(providerManager, 's1', {
+    models: ['whisper-large-v3'],
+    respond: message => message.type === 'transcription_request' &&
+      providerManager.handleCompletionResponse(message.requestId, response)
+  });
+}
+
+const billedSeconds = () => TokenService.processUsage.mock.calls[0][0].usage.seconds;
+
+describe('/v1/audio', () => {
+  test('transcribes and bills per started second the provider reports', async () => {
+    const sent = whisperProvider({ text: 'hello there', duration: 2.2 });
+
+    const response = await upload('/v1/audio/transcriptions', wav(3), { language: 'en' });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(sent[0]).toMatchObject({ type: 'transcription_request', task: 'transcribe', language: 'en' });
+    expect(body).toMatchObject({ text: 'hello there', usage: { type: 'duration', seconds: 3 } });
+    expect(billedSeconds()).toBe(3);
+  });
+
+  test('caps a claimed duration at what the WAV holds and flags it', async () => {
+    whisperProvider({ text: 'hello there', duration: 600 });
+
+    const response = await upload('/v1/audio/transcriptions', wav(2));
+    const body = await response.json();
+
+    expect(body.usage.seconds).toBe(2);
+    expect(billedSeconds()).toBe(2);
+    expect(TokenService.processUsage.mock.calls[0][0].usageVerification).toMatchObject({
+      claimed: { seconds: 600 },
+      estimated: { max_seconds: 2 }
+    });
+  });
+
+  test('falls back to the end of the last segment', async () => {
+    whisperProvider({ text: 'a b', segments: [{ start: 0, end: 0.5, text: 'a' }, { start: 0.5, end: 1.4, text: 'b' }] });
+
+    const response = await upload('/v1/audio/transcriptions', wav(2), { response_format: 'srt' });
+
+    expect(await response.text()).toBe(
+      '1\n00:00:00,000 --> 00:00:00,500\na\n\n2\n00:00:00,500 --> 00:00:01,400\nb\n'
+    );
+    expect(billedSeconds()).toBe(2);
+  });
+
+  test('translates to English', async () => {
+    const sent = whisperProvider({ text: 'good morning', duration: 1, language: 'german' });
+
+    const response = await upload('/v1/audio/translations', wav(1), { response_format: 'verbose_json' });
+    const body = await response.json();
+
+    expect(sent[0].task).toBe('translate');
+    expect(body).toMatchObject({ task: 'translate', language: 'english', text: 'good morning', duration: 1 });
+  });
+
+  test('requires a file', async () => {
+    const form = new FormData();
+    form.append('model', 'whisper-large-v3');
+
+    const response = await fetch(`${app.url}/v1/audio/transcriptions`, { method: 'POST', body: form });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.param).toBe('file');
+  });
+});
@@ -0,0 +1,215 @@
+// test/controllers/batchController.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 }))
+}));
+jest.mock('../../src/models/batchModels', () => ({
+  Batch: {
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn()
+  },
+  BatchRequest: {
+    updateMany: jest.fn(async () => ({})),
+    countDocuments: jest.fn(async () => 1)
+  }
+}));
+jest.mock('../../src/models/fileModel', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/services/fileService', () => ({
+  create: jest.fn(async ({ userId, filename, purpose, content }) => ({
+    _id: '65f000000000000000000001',
+    userId,
+    filename,
+    purpose,
+    bytes: content.length,
+    createdAt: new Date(1700000000000)
+  })),
+  remove: jest.fn(async () => {})
+}));
+
+const { Batch } = require('../../src/models/batchModels');
+const File = require('../../src/models/fileModel');
+const FileService = require('../../src/services/fileService');
+const { batchService } = require('../../src/services/batchService');
+const { validateFileUpload, uploadFile, getFile, deleteFile } = require('../../src/controllers/fileController');
+const { validateBatch, createBatch, getBatch, cancelBatch } = require('../../src/controllers/batchController');
+const { startApp, CONSUMER_ID } = require('../helpers/testApp');
+
+const FILE_ID = 'file-65f000000000000000000001';
+const BATCH_ID = 'batch_65f0000000000000000000b1';
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp((express, authenticate) => {
+    express.post('/v1/files', authenticate, validateFileUpload, uploadFile);
+    express.get('/v1/files/:fileId', authenticate, getFile);
+    express.delete('/v1/files/:fileId', authenticate, deleteFile);
+    express.post('/v1/batches', authenticate, validateBatch, createBatch);
+    express.get('/v1/batches/:batchId', authenticate, getBatch);
+    express.post('/v1/batches/:batchId/cancel', authenticate, cancelBatch);
+  });
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+function upload(purpose, content = '{"custom_id":"a"}\n') {
+  const form = new FormData();
+  form.append('purpose', purpose);
+  if (content !== null) form.append('file', new Blob([content]), 'input.jsonl');
+  return fetch(`${app.url}/v1/files`, { method: 'POST', body: form });
+}
+
+const storedBatch = (overrides = {}) => ({
+  _id: '65f0000000000000000000b1',
+  userId: CONSUMER_ID,
+  endpoint: '/v1/chat/completions',
+  inputFileId: '65f000000000000000000001',
+  completionWindow: '24h',
+  status: 'in_progress',
+  requestCounts: { total: 2, completed: 1, failed: 0 },
+  createdAt: new Date(1700000000000),
+  inProgressAt: new Date(1700000000000),
+  expiresAt: new Date(1700086400000),
+  ...overrides
+});
+
+describe('/v1/files', () => {
+  test('stores an uploaded batch input file', async () => {
+    const response = await upload('batch');
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toEqual({
+      id: FILE_ID,
+      object: 'file',
+      bytes: 18,
+      created_at: 1700000000,
+      filename: 'input.jsonl',
+      purpose: 'batch'
+    });
+    expect(FileService.create.mock.calls[0][0]).toMatchObject({ userId: CONSUMER_ID, purpose: 'batch' });
+  });
+
+  test('only accepts batch input files', async () => {
+    const response = await upload('fine-tune');
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.param).toBe('purpose');
+    expect(FileService.create).not.toHaveBeenCalled();
+  });
+
+  test('requires a file', async () => {
+    const response = await upload('batch', null);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.param).toBe('file');
+  });
+
+  test('hides other consumers\' files', async () => {
+    File.findOne.mockResolvedValue(null);
+
+    const response = await app.get(`/v1/files/${FILE_ID}`);
+
+    expect(response.status).toBe(404);
+    expect(File.findOne.mock.calls[0][0]).toMatchObject({ userId: CONSUMER_ID });
+  });
+
+  test('deletes a file', async () => {
+    const file = { _id: '65f000000000000000000001', userId: CONSUMER_ID };
+    File.findOne.mockResolvedValue(file);
+
+    const response = await fetch(`${app.url}/v1/files/${FILE_ID}`, { method: 'DELETE' });
+
+    expect(await response.json()).toEqual({ id: FILE_ID, object: 'file', deleted: true });
+    expect(FileService.remove).toHaveBeenCalledWith(file);
+  });
+});
+
+describe('/v1/batches', () => {
+  test('creates a batch from an uploaded file', async () => {
+    jest.spyOn(batchService, 'createBatch').mockResolvedValue(storedBatch({ metadata: { job: 'nightly' } }));
+
+    const response = await app.post('/v1/batches', {
+      input_file_id: FILE_ID,
+      endpoint: '/v1/chat/completions',
+      completion_window: '24h',
+      metadata: { job: 'nightly' }
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(batchService.createBatch.mock.calls[0][1]).toMatchObject({
+      endpoint: '/v1/chat/completions',
+      completionWindow: '24h',
+      metadata: { job: 'nightly' }
+    });
+    expect(body).toMatchObject({
+      id: BATCH_ID,
+      object: 'batch',
+      input_file_id: FILE_ID,
+      status: 'in_progress',
+      errors: null,
+      output_file_id: null,
+      created_at: 1700000000,
+      expires_at: 1700086400,
+      completed_at: null,
+      request_counts: { total: 2, completed: 1, failed: 0 },
+      metadata: { job: 'nightly' }
+    });
+  });
+
+  test.each([
+    ['endpoint', { input_file_id: FILE_ID, endpoint: '/v1/embeddings' }],
+    ['completion_window', { input_file_id: FILE_ID, endpoint: '/v1/chat/completions', completion_window: '1h' }],
+    ['input_file_id', { endpoint: '/v1/chat/completions' }]
+  ])('rejects a bad %s', async (param, request) => {
+    const response = await app.post('/v1/batches', request);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.param).toBe(param);
+  });
+
+  test('lists the validation errors of a failed batch', async () => {
+    Batch.findOne.mockResolvedValue(storedBatch({
+      status: 'failed',
+      validationErrors: [{ code: 'invalid_json_line', message: 'Line is not valid JSON', line: 2 }]
+    }));
+
+    const body = await (await app.get(`/v1/batches/${BATCH_ID}`)).json();
+
+    expect(body.errors).toEqual({
+      object: 'list',
+      data: [{ code: 'invalid_json_line', message: 'Line is not valid JSON', line: 2, param: null }]
+    });
+  });
+
+  test('cancels a running batch', async () => {
+    Batch.findOne.mockResolvedValue(storedBatch());
+    Batch.findOneAndUpdate.mockResolvedValue(storedBatch({ status: 'cancelling' }));
+    Batch.findById.mockResolvedValue(storedBatch({ status: 'cancelling', cancellingAt: new Date(1700000500000) }));
+
+    const body = await (await app.post(`/v1/batches/${BATCH_ID}/cancel`)).json();
+
+    expect(body).toMatchObject({ status: 'cancelling', cancelling_at: 1700000500 });
+  });
+
+  test('refuses to cancel a finished batch', async () => {
+    Batch.findOne.mockResolvedValue(storedBatch({ status: 'completed' }));
+
+    const response = await app.post(`/v1/batches/${BATCH_ID}/cancel`);
+
+    expect(response.status).toBe(400);
+    expect(Batch.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
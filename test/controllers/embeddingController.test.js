@@ -0,0 +1,96 @@
+// test/controllers/embeddingController.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 }))
+}));
+
+const TokenService = require('../../src/services/tokenService');
+const TokenizerService = require('../../src/services/tokenizerService');
+const { providerManager } = require('../../src/services/providerManager');
+const { validateEmbedding, handleEmbeddingRequest } = require('../../src/controllers/embeddingController');
+const { addProvider, stubPerformance } = require('../helpers/fakeProviders');
+const { startApp } = require('../helpers/testApp');
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp((express, authenticate) => {
+    express.post('/v1/embeddings', authenticate, validateEmbedding, handleEmbeddingRequest);
+  });
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  providerManager.providers.clear();
+  providerManager.requestQueue.clear();
+  stubPerformance(providerManager);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  TokenService.processUsage.mockClear();
+});
+
+// Answers with one vector per input and the given usage
+function embeddingProvider(usage) {
+  return addProvider(providerManager, 's1', {
+    models: ['nomic-embed-text'],
+    respond: message => message.type === 'embedding_request' &&
+      providerManager.handleCompletionResponse(message.requestId, {
+        data: (Array.isArray(message.input) ? message.input : [message.input])
+          .map((input, index) => ({ index, embedding: [0.1, 0.2, 0.3] })),
+        usage
+      })
+  });
+}
+
+const billedUsage = () => TokenService.processUsage.mock.calls[0][0].usage;
+
+describe('/v1/embeddings', () => {
+  test('returns one embedding per input and bills the input tokens', async () => {
+    const input = ['first text', 'second text'];
+    const estimate = TokenizerService.countText(input[0], 'nomic-embed-text') +
+      TokenizerService.countText(input[1], 'nomic-embed-text');
+    const sent = embeddingProvider({ prompt_tokens: estimate, total_tokens: estimate });
+
+    const response = await app.post('/v1/embeddings', { model: 'nomic-embed-text', input });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(sent[0]).toMatchObject({ type: 'embedding_request', input });
+    expect(body.data.map(item => item.index)).toEqual([0, 1]);
+    expect(body.usage).toMatchObject({ prompt_tokens: estimate, total_tokens: estimate });
+    expect(billedUsage()).toMatchObject({ promptTokens: estimate, completionTokens: 0, totalTokens: estimate });
+  });
+
+  test('bills an inflated token count at the estimate', async () => {
+    embeddingProvider({ prompt_tokens: 50000, total_tokens: 50000 });
+
+    const response = await app.post('/v1/embeddings', { model: 'nomic-embed-text', input: 'short text' });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.usage.total_tokens).toBeLessThan(20);
+    expect(billedUsage().totalTokens).toBe(body.usage.total_tokens);
+    expect(TokenService.processUsage.mock.calls[0][0].usageVerification).toMatchObject({ flagged: true });
+  });
+
+  test('ignores a completion count the provider slipped in', async () => {
+    embeddingProvider({ prompt_tokens: 3, completion_tokens: 900, total_tokens: 903 });
+
+    await app.post('/v1/embeddings', { model: 'nomic-embed-text', input: 'abc def' });
+
+    expect(billedUsage()).toMatchObject({ promptTokens: 3, completionTokens: 0, totalTokens: 3 });
+  });
+
+  test('rejects models that are not embedding models', async () => {
+    const response = await app.post('/v1/embeddings', { model: 'mistral-7b', input: 'text' });
+
+    expect(response.status).toBe(400);
+    expect(TokenService.processUsage).not.toHaveBeenCalled();
+  });
+});
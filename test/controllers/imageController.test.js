@@ -0,0 +1,131 @@
+// test/controllers/imageController.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 }))
+}));
+
+const config = require('../../src/config');
+const TokenService = require('../../src/services/tokenService');
+const { providerManager } = require('../../src/services/providerManager');
+const { validateImageGeneration, handleImageGeneration } = require('../../src/controllers/imageController');
+const { addProvider, stubPerformance } = require('../helpers/fakeProviders');
+const { startApp } = require('../helpers/testApp');
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp((express, authenticate) => {
+    express.post('/v1/images/generations', authenticate, validateImageGeneration, handleImageGeneration);
+  });
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  providerManager.providers.clear();
+  providerManager.requestQueue.clear();
+  stubPerformance(providerManager);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  TokenService.processUsage.mockClear();
+});
+
+// Sends every image as base64 slices over image_chunk, then the image_response listing
+// `listed` (the image indexes by default)
+function imageProvider({ images, listed = images.map((image, index) => ({ index })) }) {
+  return addProvider(providerManager, 's1', {
+    models: ['sdxl-turbo'],
+    respond: message => {
+      if (message.type !== 'image_request') return;
+      images.forEach((image, index) => {
+        const slices = [image.slice(0, 4), image.slice(4)];
+        slices.forEach((data, seq) => providerManager.handleImageChunk(message.requestId, {
+          index,
+          seq,
+          total: slices.length,
+          data
+        }));
+      });
+      providerManager.handleImageResponse(message.requestId, { data: listed });
+    }
+  });
+}
+
+const billedImages = () => TokenService.processUsage.mock.calls[0][0].usage.images;
+
+describe('/v1/images/generations', () => {
+  test('reassembles chunked images and bills one unit per image', async () => {
+    const sent = imageProvider({ images: ['aGVsbG8gd29ybGQ=', 'c2Vjb25kIGltYWdl'] });
+
+    const response = await app.post('/v1/images/generations', {
+      model: 'sdxl-turbo',
+      prompt: 'a lighthouse',
+      n: 2,
+      response_format: 'b64_json'
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(sent[0]).toMatchObject({ type: 'image_request', n: 2 });
+    expect(body.data).toEqual([{ b64_json: 'aGVsbG8gd29ybGQ=' }, { b64_json: 'c2Vjb25kIGltYWdl' }]);
+    expect(body.usage.images).toBe(2);
+    expect(billedImages()).toBe(2);
+  });
+
+  test('returns data URLs by default', async () => {
+    imageProvider({ images: ['aGVsbG8gd29ybGQ='] });
+
+    const body = await (await app.post('/v1/images/generations', { model: 'sdxl-turbo', prompt: 'a lighthouse' })).json();
+
+    expect(body.data[0].url).toBe('data:image/png;base64,aGVsbG8gd29ybGQ=');
+  });
+
+  test('bills an image listed twice once', async () => {
+    imageProvider({ images: ['aGVsbG8gd29ybGQ='], listed: [{ index: 0 }, { index: 0 }] });
+
+    const response = await app.post('/v1/images/generations', { model: 'sdxl-turbo', prompt: 'a lighthouse', n: 2 });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data).toHaveLength(1);
+    expect(billedImages()).toBe(1);
+  });
+
+  test('neither keeps nor bills images beyond n', async () => {
+    imageProvider({ images: ['aGVsbG8gd29ybGQ=', 'c2Vjb25kIGltYWdl', 'dGhpcmQgaW1hZ2U='] });
+
+    const response = await app.post('/v1/images/generations', { model: 'sdxl-turbo', prompt: 'a lighthouse', n: 1 });
+    const body = await response.json();
+
+    expect(body.data).toHaveLength(1);
+    expect(billedImages()).toBe(1);
+  });
+
+  test('fails an image whose slices are incomplete', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['sdxl-turbo'],
+      respond: message => {
+        if (message.type !== 'image_request') return;
+        providerManager.handleImageChunk(message.requestId, { index: 0, seq: 0, total: 2, data: 'aGVs' });
+        // A later slice claiming another total doesn't complete the image
+        providerManager.handleImageChunk(message.requestId, { index: 0, seq: 0, total: 1, data: 'aGVs' });
+        providerManager.handleImageResponse(message.requestId, { data: [{ index: 0 }] });
+      }
+    });
+    providerManager.failover = { ...providerManager.failover, max_attempts: 1 };
+
+    try {
+      const response = await app.post('/v1/images/generations', { model: 'sdxl-turbo', prompt: 'a lighthouse' });
+
+      expect(response.status).toBeGreaterThanOrEqual(500);
+      expect(TokenService.processUsage).not.toHaveBeenCalled();
+    } finally {
+      providerManager.failover = config.failover;
+    }
+  });
+});
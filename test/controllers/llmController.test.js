@@ -0,0 +1,546 @@
+// test/controllers/llmController.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 }))
+}));
+
+const express = require('express');
+const config = require('../../src/config');
+const { TokenCalculator } = require('../../src/config/tokenomics');
+const TokenService = require('../../src/services/tokenService');
+const { providerManager } = require('../../src/services/providerManager');
+const {
+  validateChatCompletion,
+  validateTextCompletion,
+  handleLLMRequest,
+  handleTextCompletion
+} = require('../../src/controllers/llmController');
+const { addProvider, stubPerformance, completion } = require('../helpers/fakeProviders');
+
+const consumerId = '507f1f77bcf86cd7994390aa';
+let server;
+let baseUrl;
+
+beforeAll(done => {
+  const app = express();
+  app.use(express.json());
+  const authenticate = (req, res, next) => {
+    req.user = { _id: consumerId };
+    next();
+  };
+  app.post('/v1/chat/completions', authenticate, validateChatCompletion, handleLLMRequest);
+  app.post('/v1/completions', authenticate, validateTextCompletion, handleTextCompletion);
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  providerManager.providers.clear();
+  providerManager.requestQueue.clear();
+  stubPerformance(providerManager);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  TokenService.processUsage.mockClear();
+});
+
+// Each test asks something new so the response cache never answers
+let prompts = 0;
+async function chat(body) {
+  const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ messages: [{ role: 'user', content: `question ${++prompts}` }], ...body })
+  });
+  return response;
+}
+
+async function complete(body) {
+  return fetch(`${baseUrl}/v1/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n')
+    .filter(event => event.startsWith('data: '))
+    .map(event => event.slice('data: '.length))
+    .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+}
+
+describe('SSE relay', () => {
+  test('relays provider chunks, then usage, then [DONE]', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => {
+        if (message.type !== 'completion_request') return;
+        for (const content of ['Hel', 'lo']) {
+          providerManager.handleCompletionChunk(message.requestId, {
+            choices: [{ index: 0, delta: { content }, finish_reason: null }]
+          });
+        }
+        providerManager.handleCompletionResponse(message.requestId, completion('Hello'));
+      }
+    });
+
+    const response = await chat({ model: 'llama3.1:8b', stream: true });
+    const events = await readEvents(response);
+
+    expect(response.headers.get('content-type')).toMatch(/text\/event-stream/);
+    expect(events.slice(0, 2).map(event => event.choices[0].delta.content)).toEqual(['Hel', 'lo']);
+    expect(events[2]).toMatchObject({ choices: [], usage: { total_tokens: 7 } });
+    expect(events[3]).toBe('[DONE]');
+    expect(events.every(event => event === '[DONE]' || event.model === 'llama3.1:8b')).toBe(true);
+  });
+
+  test('sends the whole answer as a chunk when the provider did not stream', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, completion('whole answer'))
+    });
+
+    const events = await readEvents(await chat({ model: 'llama3.1:8b', stream: true }));
+
+    expect(events[0].choices[0]).toMatchObject({ index: 0, delta: { role: 'assistant', content: 'whole answer' } });
+    expect(events[1].usage).toBeDefined();
+    expect(events[2]).toBe('[DONE]');
+  });
+
+  test('reports failures after the first chunk as an error event', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => {
+        if (message.type !== 'completion_request') return;
+        providerManager.handleCompletionChunk(message.requestId, {
+          choices: [{ index: 0, delta: { content: 'Hel' }, finish_reason: null }]
+        });
+        providerManager.handleCompletionResponse(message.requestId, { choices: [] });
+      }
+    });
+
+    const response = await chat({ model: 'llama3.1:8b', stream: true });
+    const events = await readEvents(response);
+
+    expect(response.status).toBe(200);
+    expect(events[0].choices[0].delta.content).toBe('Hel');
+    expect(events[1]).toHaveProperty('error');
+    expect(events[2]).toBe('[DONE]');
+  });
+
+  test('answers with an error status while nothing was relayed', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, { choices: [] })
+    });
+
+    const response = await chat({ model: 'llama3.1:8b', stream: true });
+
+    expect(response.status).toBe(500);
+    expect(response.headers.get('content-type')).toMatch(/json/);
+  });
+});
+
+describe('tier requests', () => {
+  test('route to a provider that supports what the request needs and bill it', async () => {
+    const plain = addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+    addProvider(providerManager, 's2', {
+      models: ['llama3.1:8b'],
+      userId: '507f1f77bcf86cd799439022',
+      capabilities: { tools: true },
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, completion('ok'))
+    });
+
+    const response = await chat({
+      model: 'medium',
+      tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }]
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.model).toBe('llama3.1:8b');
+    expect(plain).toHaveLength(0);
+    expect(TokenService.processUsage).toHaveBeenCalledTimes(1);
+    expect(TokenService.processUsage.mock.calls[0][0].providerId.toString()).toBe('507f1f77bcf86cd799439022');
+  });
+
+  test('relay the tool calls the provider made', async () => {
+    const toolCall = { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } };
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      capabilities: { tools: true },
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, {
+          choices: [{ index: 0, message: { role: 'assistant', content: null, tool_calls: [toolCall] }, finish_reason: 'tool_calls' }],
+          usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+        })
+    });
+
+    const response = await chat({
+      model: 'medium',
+      tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }]
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.choices[0]).toMatchObject({ message: { tool_calls: [toolCall] }, finish_reason: 'tool_calls' });
+  });
+});
+
+describe('structured output', () => {
+  const responseFormat = {
+    type: 'json_schema',
+    json_schema: {
+      name: 'answer',
+      schema: {
+        $id: 'https://example.com/answer.json',
+        type: 'object',
+        properties: { answer: { type: 'string' } },
+        required: ['answer']
+      }
+    }
+  };
+
+  test('accepts the same $id schema on every request', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, completion('{"answer":"42"}'))
+    });
+
+    for (let i = 0; i < 2; i++) {
+      const response = await chat({ model: 'llama3.1:8b', response_format: responseFormat });
+      expect(response.status).toBe(200);
+    }
+  });
+
+  test('rejects output that does not match the schema without billing it', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, completion('{"wrong":true}'))
+    });
+
+    const response = await chat({ model: 'llama3.1:8b', response_format: responseFormat });
+
+    expect(response.status).toBe(502);
+    expect((await response.json()).error.code).toBe('invalid_structured_output');
+    expect(TokenService.processUsage).not.toHaveBeenCalled();
+  });
+
+  test('fails over on mismatching output when retries are enabled', async () => {
+    config.structured_output.retry_on_invalid = true;
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, completion('{"wrong":true}'))
+    });
+    addProvider(providerManager, 's2', {
+      models: ['llama3.1:8b'],
+      userId: '507f1f77bcf86cd799439022',
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, completion('{"answer":"42"}'))
+    });
+    providerManager.requestQueue.set('s2', 1);
+
+    try {
+      const response = await chat({ model: 'llama3.1:8b', response_format: responseFormat });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.choices[0].message.content).toBe('{"answer":"42"}');
+      expect(TokenService.processUsage).toHaveBeenCalledTimes(1);
+    } finally {
+      config.structured_output.retry_on_invalid = false;
+    }
+  });
+});
+
+describe('sampling parameters', () => {
+  test('are range checked before routing', async () => {
+    const response = await chat({ model: 'llama3.1:8b', temperature: 3 });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error.param).toBe('temperature');
+  });
+
+  test('name the capability no provider of the tier supports', async () => {
+    addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+
+    const response = await chat({ model: 'medium', logprobs: true });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.message).toMatch(/logprobs/);
+  });
+});
+
+describe('text completions', () => {
+  const textProvider = (socketId, userId, text = prompt => `${prompt} continued`) =>
+    addProvider(providerManager, socketId, {
+      models: ['llama3.1:8b'],
+      userId,
+      capabilities: { text_completion: true },
+      respond: message => message.type === 'text_completion' &&
+        providerManager.handleCompletionResponse(message.requestId, {
+          choices: [{ index: 0, text: text(message.prompt), finish_reason: 'stop' }],
+          usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 }
+        })
+    });
+
+  test.each([
+    ['an array', ['llama3.1:8b']],
+    ['an object', { name: 'llama3.1:8b' }],
+    ['empty', '']
+  ])('reject a model that is %s', async (description, model) => {
+    const response = await complete({ model, prompt: 'Once upon' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.param).toBe('model');
+  });
+
+  test('bill every prompt of a batch to the provider that served it', async () => {
+    textProvider('s1', '507f1f77bcf86cd799439011');
+    textProvider('s2', '507f1f77bcf86cd799439022');
+
+    const response = await complete({ model: 'llama3.1:8b', prompt: ['one', 'two'] });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.object).toBe('text_completion');
+    expect(body.choices.map(choice => choice.text).sort()).toEqual(['one continued', 'two continued']);
+    expect(TokenService.processUsage).toHaveBeenCalledTimes(2);
+  });
+
+  test('stop the other prompts when one fails', async () => {
+    // 'bad' gets an empty text once the other prompt is on its way, anything else stalls
+    const respond = message => message.type === 'text_completion' && message.prompt === 'bad' &&
+      setTimeout(() => providerManager.handleCompletionResponse(message.requestId, {
+        choices: [{ index: 0, text: '', finish_reason: 'stop' }]
+      }), 50);
+    const sent = ['s1', 's2'].map((socketId, i) => addProvider(providerManager, socketId, {
+      models: ['llama3.1:8b'],
+      userId: `507f1f77bcf86cd7994390${i}1`,
+      capabilities: { text_completion: true },
+      respond
+    }));
+    providerManager.failover = { ...providerManager.failover, max_attempts: 1 };
+
+    try {
+      const response = await complete({ model: 'llama3.1:8b', prompt: ['bad', 'slow'], routing: 'round-robin' });
+      const messages = sent.flat();
+
+      expect(response.status).toBe(500);
+      expect(messages.filter(message => message.type === 'text_completion').map(message => message.prompt).sort())
+        .toEqual(['bad', 'slow']);
+      const slow = messages.find(message => message.prompt === 'slow');
+      expect(messages.find(message => message.type === 'cancel_request'))
+        .toMatchObject({ requestId: slow.requestId, reason: 'sibling_failed' });
+      expect(TokenService.processUsage).not.toHaveBeenCalled();
+    } finally {
+      providerManager.failover = config.failover;
+    }
+  });
+});
+
+describe('usage verification', () => {
+  test('bills the sum of prompt and completion tokens, not an inflated total', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId,
+          completion('ok', { prompt_tokens: 12, completion_tokens: 1, total_tokens: 50000 }))
+    });
+
+    const body = await (await chat({ model: 'llama3.1:8b' })).json();
+
+    expect(body.usage.total_tokens).toBe(13);
+    expect(TokenService.processUsage.mock.calls[0][0].usage.totalTokens).toBe(13);
+    expect(TokenService.processUsage.mock.calls[0][0].usageVerification).toMatchObject({
+      deviations: { total_tokens: 49987 }
+    });
+  });
+});
+
+describe('response cache', () => {
+  const cachedRequest = overrides => fetch(`${baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      model: 'llama3.1:8b',
+      messages: [{ role: 'user', content: `cache me ${prompts}` }],
+      cache: true,
+      ...overrides
+    })
+  });
+
+  beforeEach(() => {
+    prompts++;
+  });
+
+  test('answers a repeated deterministic request without a provider', async () => {
+    const sent = addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, completion('cached answer'))
+    });
+
+    await (await cachedRequest({ temperature: 0 })).json();
+    const body = await (await cachedRequest({ temperature: 0 })).json();
+
+    expect(sent).toHaveLength(1);
+    expect(body.choices[0].message.content).toBe('cached answer');
+    expect(TokenService.processUsage.mock.calls[1][0]).toMatchObject({ pricing: 'cache', providerId: null });
+  });
+
+  test('always routes sampled requests', async () => {
+    const sent = addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, completion('fresh answer'))
+    });
+
+    await (await cachedRequest({ temperature: 0.7 })).json();
+    await (await cachedRequest({ temperature: 0.7 })).json();
+
+    expect(sent).toHaveLength(2);
+  });
+});
+
+describe('session affinity', () => {
+  const conversation = (...turns) => fetch(`${baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model: 'llama3.1:8b', messages: turns })
+  });
+
+  test('sends later turns back to the provider that served the conversation', async () => {
+    const opening = { role: 'user', content: `affinity ${++prompts}` };
+    const first = addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => providerManager.handleCompletionResponse(message.requestId, completion('one'))
+    });
+    await (await conversation(opening)).json();
+
+    // Busier than the newcomer, which would win without affinity
+    providerManager.requestQueue.set('s1', 1);
+    const second = addProvider(providerManager, 's2', {
+      models: ['llama3.1:8b'],
+      respond: message => providerManager.handleCompletionResponse(message.requestId, completion('two'))
+    });
+    await (await conversation(opening, { role: 'assistant', content: 'one' }, { role: 'user', content: 'more' })).json();
+    await (await conversation({ role: 'user', content: `unrelated ${prompts}` })).json();
+
+    expect(first).toHaveLength(2);
+    expect(second).toHaveLength(1);
+  });
+
+  test('falls back to routing when the provider is gone', async () => {
+    const opening = { role: 'user', content: `affinity ${++prompts}` };
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => providerManager.handleCompletionResponse(message.requestId, completion('one'))
+    });
+    await (await conversation(opening)).json();
+    providerManager.providers.delete('s1');
+
+    const other = addProvider(providerManager, 's2', {
+      models: ['llama3.1:8b'],
+      respond: message => providerManager.handleCompletionResponse(message.requestId, completion('two'))
+    });
+    const response = await conversation(opening, { role: 'assistant', content: 'one' }, { role: 'user', content: 'more' });
+
+    expect(response.status).toBe(200);
+    expect(other).toHaveLength(1);
+  });
+});
+
+describe('request queueing', () => {
+  test('waits for a busy provider and reports the queue position', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => providerManager.handleCompletionResponse(message.requestId, completion('queued'))
+    });
+    providerManager.requestQueue.set('s1', providerManager.loadBalancingThreshold);
+
+    const pending = chat({ model: 'llama3.1:8b' });
+    while (providerManager.waitQueue.size('llama3.1:8b') === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    providerManager._releaseRequestSlot('s1');
+    const response = await pending;
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-queue-position')).toBe('1');
+    expect((await response.json()).choices[0].message.content).toBe('queued');
+  });
+});
+
+describe('priority', () => {
+  test('bills the priority the request asked for', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['llama3.1:8b'],
+      respond: message => providerManager.handleCompletionResponse(message.requestId, completion('fast'))
+    });
+
+    const response = await chat({ model: 'llama3.1:8b', priority: 'interactive' });
+
+    expect(response.status).toBe(200);
+    expect(TokenService.processUsage.mock.calls[0][0]).toMatchObject({ priority: 'interactive' });
+  });
+
+  test('prices interactive above standard and batch below it', () => {
+    const standard = TokenCalculator.calculateMules(1000, 'medium', null, 'standard');
+
+    expect(TokenCalculator.calculateMules(1000, 'medium', null, 'interactive')).toBeGreaterThan(standard);
+    expect(TokenCalculator.calculateMules(1000, 'medium', null, 'batch')).toBeLessThan(standard);
+    expect(TokenCalculator.calculateMules(1000, 'medium')).toBe(standard);
+  });
+
+  test('rejects an unknown priority', async () => {
+    const response = await chat({ model: 'llama3.1:8b', priority: 'urgent' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.param).toBe('priority');
+  });
+});
+
+describe('routing', () => {
+  test('sends the request to the provider the requested strategy picks', async () => {
+    addProvider(providerManager, 's1', { models: ['llama3.1:8b'] });
+    // The consumer's own provider is free, so cheapest takes it even though it is busier
+    const own = addProvider(providerManager, 's2', {
+      models: ['llama3.1:8b'],
+      userId: consumerId,
+      respond: message => providerManager.handleCompletionResponse(message.requestId, completion('own'))
+    });
+    providerManager.requestQueue.set('s2', 1);
+
+    const response = await chat({ model: 'llama3.1:8b', routing: 'cheapest' });
+
+    expect(response.status).toBe(200);
+    expect(own).toHaveLength(1);
+  });
+
+  test('rejects an unknown strategy', async () => {
+    const response = await chat({ model: 'llama3.1:8b', routing: 'nearest' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.param).toBe('routing');
+  });
+});
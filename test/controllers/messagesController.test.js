@@ -0,0 +1,189 @@
+// test/controllers/messagesController.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 }))
+}));
+
+const TokenService = require('../../src/services/tokenService');
+const { providerManager } = require('../../src/services/providerManager');
+const { validateMessages, handleMessages } = require('../../src/controllers/messagesController');
+const { addProvider, stubPerformance, completion } = require('../helpers/fakeProviders');
+const { startApp } = require('../helpers/testApp');
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp((express, authenticate) => {
+    express.post('/v1/messages', authenticate, validateMessages, handleMessages);
+  });
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  providerManager.providers.clear();
+  providerManager.requestQueue.clear();
+  stubPerformance(providerManager);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  TokenService.processUsage.mockClear();
+});
+
+// Each test asks something new so the response cache never answers
+let prompts = 0;
+const message = (request) => app.post('/v1/messages', {
+  model: 'llama3.1:8b',
+  max_tokens: 64,
+  messages: [{ role: 'user', content: `question ${++prompts}` }],
+  ...request
+});
+
+const toolCall = { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } };
+
+function chatProvider(response, { chunks = [], capabilities = { tools: true } } = {}) {
+  return addProvider(providerManager, 's1', {
+    models: ['llama3.1:8b'],
+    capabilities,
+    respond: request => {
+      if (request.type !== 'completion_request') return;
+      for (const chunk of chunks) providerManager.handleCompletionChunk(request.requestId, chunk);
+      providerManager.handleCompletionResponse(request.requestId, response);
+    }
+  });
+}
+
+async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n').filter(Boolean).map(event => {
+    const [name, data] = event.split('\n');
+    return { event: name.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) };
+  });
+}
+
+describe('/v1/messages', () => {
+  test('translates the conversation into chat messages', async () => {
+    const sent = chatProvider(completion('done'));
+
+    await message({
+      system: [{ type: 'text', text: 'Be brief.' }],
+      messages: [
+        { role: 'user', content: 'Look up x' },
+        { role: 'assistant', content: [{ type: 'text', text: 'Sure.' }, { type: 'tool_use', id: 'call_1', name: 'lookup', input: { q: 'x' } }] },
+        { role: 'user', content: [
+          { type: 'tool_result', tool_use_id: 'call_1', content: [{ type: 'text', text: 'x is 42' }] },
+          { type: 'text', text: 'Thanks' }
+        ] }
+      ],
+      stop_sequences: ['END'],
+      temperature: 0.5
+    });
+
+    expect(sent[0].messages).toEqual([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Look up x' },
+      { role: 'assistant', content: 'Sure.', tool_calls: [toolCall] },
+      { role: 'tool', tool_call_id: 'call_1', content: 'x is 42' },
+      { role: 'user', content: 'Thanks' }
+    ]);
+    expect(sent[0]).toMatchObject({ max_tokens: 64, stop: ['END'], temperature: 0.5 });
+  });
+
+  test('maps tools and tool_choice', async () => {
+    const sent = chatProvider(completion('done'));
+
+    await message({
+      tools: [{ name: 'lookup', description: 'Find things', input_schema: { type: 'object' } }],
+      tool_choice: { type: 'tool', name: 'lookup' }
+    });
+
+    expect(sent[0].tools).toEqual([{
+      type: 'function',
+      function: { name: 'lookup', description: 'Find things', parameters: { type: 'object' } }
+    }]);
+    expect(sent[0].tool_choice).toEqual({ type: 'function', function: { name: 'lookup' } });
+  });
+
+  test('answers with content blocks, stop reason and usage', async () => {
+    chatProvider({
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Checking.', tool_calls: [toolCall] }, finish_reason: 'tool_calls' }],
+      usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+    });
+
+    const response = await message();
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({
+      type: 'message',
+      role: 'assistant',
+      model: 'llama3.1:8b',
+      content: [
+        { type: 'text', text: 'Checking.' },
+        { type: 'tool_use', id: 'call_1', name: 'lookup', input: { q: 'x' } }
+      ],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 5, output_tokens: 2 }
+    });
+    expect(body.id).toMatch(/^msg_/);
+  });
+
+  test('streams chunks as content block events', async () => {
+    chatProvider(completion('Hello'), {
+      chunks: ['Hel', 'lo'].map(content => ({ choices: [{ index: 0, delta: { content }, finish_reason: null }] }))
+    });
+
+    const response = await message({ stream: true });
+    const events = await readEvents(response);
+
+    expect(response.headers.get('content-type')).toMatch(/text\/event-stream/);
+    expect(events.map(({ event }) => event)).toEqual([
+      'message_start',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_delta',
+      'content_block_stop',
+      'message_delta',
+      'message_stop'
+    ]);
+    expect(events[2].data.delta).toEqual({ type: 'text_delta', text: 'Hel' });
+    expect(events[5].data).toMatchObject({ delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } });
+  });
+
+  test('replays a provider that ignored stream as blocks', async () => {
+    chatProvider(completion('Hello'));
+
+    const events = await readEvents(await message({ stream: true }));
+
+    expect(events.map(({ event }) => event)).toEqual([
+      'message_start', 'content_block_start', 'content_block_delta', 'content_block_stop', 'message_delta', 'message_stop'
+    ]);
+    expect(events[2].data.delta.text).toBe('Hello');
+  });
+
+  test('reports errors in the Anthropic envelope', async () => {
+    const response = await message({ max_tokens: 0 });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      type: 'error',
+      error: { type: 'invalid_request_error', message: 'max_tokens must be a positive integer' }
+    });
+  });
+
+  test('rejects image blocks in assistant turns', async () => {
+    const response = await message({
+      messages: [
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: [{ type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } }] }
+      ]
+    });
+
+    expect(response.status).toBe(400);
+    expect(TokenService.processUsage).not.toHaveBeenCalled();
+  });
+});
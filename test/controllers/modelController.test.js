@@ -0,0 +1,53 @@
+// test/controllers/modelController.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getProviderStats: jest.fn(async () => null)
+}));
+
+const { ProviderManager } = require('../../src/services/providerManager');
+const { handleModelsList } = require('../../src/controllers/modelController');
+const { addProvider } = require('../helpers/fakeProviders');
+const { startApp } = require('../helpers/testApp');
+
+let app;
+let providerManager;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  providerManager = new ProviderManager();
+  app = await startApp(express => {
+    express.locals.providerManager = providerManager;
+    express.get('/v1/models', handleModelsList);
+  });
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  providerManager.providers.clear();
+  providerManager.latencyStats.clear();
+});
+
+describe('/v1/models', () => {
+  test('lists the latency moving averages of every provider', async () => {
+    addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+    providerManager.providers.get('s1').lastHeartbeat = Date.now();
+    providerManager._recordLatency('s1', 'ttft_ms', 250);
+    providerManager._recordLatency('s1', 'latency_ms', 1800);
+    providerManager._recordLatency('s1', 'rtt_ms', 30);
+
+    const body = await (await app.get('/v1/models')).json();
+
+    expect(body.data[0]).toMatchObject({
+      root: 'mistral:7b',
+      provider: { ttft_ms: 250, latency_ms: 1800, ping_rtt_ms: 30, status: 'online' }
+    });
+  });
+
+  test('reports latencies as null until measured', async () => {
+    addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+
+    const body = await (await app.get('/v1/models')).json();
+
+    expect(body.data[0].provider).toMatchObject({ ttft_ms: null, latency_ms: null, ping_rtt_ms: null });
+  });
+});
@@ -0,0 +1,230 @@
+// test/controllers/ollamaController.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 })),
+  getProviderStats: jest.fn(async () => null)
+}));
+
+const TokenService = require('../../src/services/tokenService');
+const { providerManager } = require('../../src/services/providerManager');
+const {
+  validateChat,
+  validateGenerate,
+  validateShow,
+  handleTags,
+  handleShow,
+  handleChat,
+  handleGenerate
+} = require('../../src/controllers/ollamaController');
+const { addProvider, stubPerformance, completion } = require('../helpers/fakeProviders');
+const { startApp } = require('../helpers/testApp');
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp((express, authenticate) => {
+    express.locals.providerManager = providerManager;
+    express.get('/api/tags', authenticate, handleTags);
+    express.post('/api/show', authenticate, validateShow, handleShow);
+    express.post('/api/chat', authenticate, validateChat, handleChat);
+    express.post('/api/generate', authenticate, validateGenerate, handleGenerate);
+  });
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  providerManager.providers.clear();
+  providerManager.requestQueue.clear();
+  stubPerformance(providerManager);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  TokenService.processUsage.mockClear();
+});
+
+function ollamaProvider(socketId, models, { response = completion('Hello'), chunks = [], capabilities = {} } = {}) {
+  const sent = addProvider(providerManager, socketId, {
+    models,
+    capabilities,
+    respond: request => {
+      if (request.type !== 'completion_request') return;
+      for (const chunk of chunks) providerManager.handleCompletionChunk(request.requestId, chunk);
+      providerManager.handleCompletionResponse(request.requestId, response);
+    }
+  });
+  providerManager.providers.get(socketId).lastHeartbeat = Date.now();
+  return sent;
+}
+
+// Each test asks something new so the response cache never answers
+let prompts = 0;
+const question = () => `question ${++prompts}`;
+
+const readLines = async response => (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+describe('/api/chat', () => {
+  test('answers in one object when stream is false', async () => {
+    const sent = ollamaProvider('s1', ['llama3.1:8b']);
+
+    const response = await app.post('/api/chat', {
+      model: 'llama3.1:8b',
+      messages: [{ role: 'user', content: question() }],
+      stream: false,
+      options: { num_predict: 32, temperature: 0.2, num_ctx: 4096 }
+    });
+    const body = await response.json();
+
+    expect(sent[0]).toMatchObject({ max_tokens: 32, temperature: 0.2 });
+    expect(body).toMatchObject({
+      model: 'llama3.1:8b',
+      message: { role: 'assistant', content: 'Hello' },
+      done: true,
+      done_reason: 'stop',
+      prompt_eval_count: 5,
+      eval_count: 2
+    });
+  });
+
+  test('streams NDJSON lines by default', async () => {
+    ollamaProvider('s1', ['llama3.1:8b'], {
+      chunks: ['Hel', 'lo'].map(content => ({ choices: [{ index: 0, delta: { content }, finish_reason: null }] }))
+    });
+
+    const response = await app.post('/api/chat', { model: 'llama3.1:8b', messages: [{ role: 'user', content: question() }] });
+    const lines = await readLines(response);
+
+    expect(response.headers.get('content-type')).toMatch(/application\/x-ndjson/);
+    expect(lines.map(line => [line.message.content, line.done])).toEqual([['Hel', false], ['lo', false], ['', true]]);
+    expect(lines[2]).toMatchObject({ eval_count: 2, done_reason: 'stop' });
+  });
+
+  test('pairs tool results with the calls and hands tool calls back whole', async () => {
+    const sent = ollamaProvider('s1', ['llama3.1:8b'], {
+      capabilities: { tools: true },
+      response: {
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: null, tool_calls: [{ id: 'call_9', type: 'function', function: { name: 'lookup', arguments: '{"q":"y"}' } }] },
+          finish_reason: 'tool_calls'
+        }],
+        usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+      }
+    });
+
+    const response = await app.post('/api/chat', {
+      model: 'llama3.1:8b',
+      stream: false,
+      tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }],
+      messages: [
+        { role: 'user', content: question() },
+        { role: 'assistant', content: '', tool_calls: [{ function: { name: 'lookup', arguments: { q: 'x' } } }] },
+        { role: 'tool', content: 'x is 42' }
+      ]
+    });
+    const body = await response.json();
+
+    expect(sent[0].messages.slice(1)).toEqual([
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_0', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } }] },
+      { role: 'tool', content: 'x is 42', tool_call_id: 'call_0' }
+    ]);
+    expect(body.message.tool_calls).toEqual([{ function: { name: 'lookup', arguments: { q: 'y' } } }]);
+    expect(body.done_reason).toBe('stop');
+  });
+
+  test('turns images into data URL parts', async () => {
+    const sent = ollamaProvider('s1', ['llava:7b'], { capabilities: { vision_models: ['llava:7b'] } });
+    const png = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+    await app.post('/api/chat', {
+      model: 'llava:7b',
+      stream: false,
+      messages: [{ role: 'user', content: question(), images: [png] }]
+    });
+
+    expect(sent[0].messages[0].content[1]).toEqual({ type: 'image_url', image_url: { url: `data:image/png;base64,${png}` } });
+  });
+
+  test('maps format to a response format', async () => {
+    const sent = ollamaProvider('s1', ['llama3.1:8b'], { response: completion('{"ok":true}') });
+
+    await app.post('/api/chat', {
+      model: 'llama3.1:8b',
+      stream: false,
+      format: 'json',
+      messages: [{ role: 'user', content: question() }]
+    });
+
+    expect(sent[0].response_format).toEqual({ type: 'json_object' });
+  });
+
+  test('reports errors as { error }', async () => {
+    const response = await app.post('/api/chat', { model: 'llama3.1:8b', messages: [{ role: 'user', content: question() }] });
+    const body = await response.json();
+
+    expect(response.status).toBeGreaterThanOrEqual(400);
+    expect(Object.keys(body)).toEqual(['error']);
+    expect(response.headers.get('content-type')).toMatch(/application\/json/);
+  });
+});
+
+describe('/api/generate', () => {
+  test('sends system and prompt as chat messages', async () => {
+    const sent = ollamaProvider('s1', ['llama3.1:8b']);
+    const prompt = question();
+
+    const response = await app.post('/api/generate', { model: 'llama3.1:8b', system: 'Be brief.', prompt, stream: false });
+    const body = await response.json();
+
+    expect(sent[0].messages).toEqual([{ role: 'system', content: 'Be brief.' }, { role: 'user', content: prompt }]);
+    expect(body).toMatchObject({ response: 'Hello', done: true });
+  });
+
+  test('answers an empty prompt as a model load without a provider', async () => {
+    const body = await (await app.post('/api/generate', { model: 'llama3.1:8b' })).json();
+
+    expect(body).toMatchObject({ response: '', done: true, done_reason: 'load' });
+  });
+
+  test('refuses raw mode', async () => {
+    const response = await app.post('/api/generate', { model: 'llama3.1:8b', prompt: 'hi', raw: true });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('/api/tags and /api/show', () => {
+  test('list each served model once', async () => {
+    ollamaProvider('s1', ['llama3.1:8b']);
+    ollamaProvider('s2', ['llama3.1:8b', 'mistral:7b']);
+
+    const { models } = await (await app.get('/api/tags')).json();
+
+    expect(models.map(model => model.name).sort()).toEqual(['llama3.1:8b', 'mistral:7b']);
+    expect(models.find(model => model.name === 'llama3.1:8b').details).toMatchObject({
+      family: 'llama3',
+      parameter_size: '8B'
+    });
+  });
+
+  test('show a served model', async () => {
+    ollamaProvider('s1', ['llama3.1:8b']);
+    ollamaProvider('s2', ['llama3.1:8b']);
+
+    const body = await (await app.post('/api/show', { name: 'llama3.1:8b' })).json();
+
+    expect(body.capabilities).toEqual(['completion']);
+    expect(body.llmule.providers).toBe(2);
+  });
+
+  test('404 for a model nobody serves', async () => {
+    const response = await app.post('/api/show', { model: 'nope:1b' });
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).error).toMatch(/not found/);
+  });
+});
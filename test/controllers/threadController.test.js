@@ -0,0 +1,251 @@
+// test/controllers/threadController.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 }))
+}));
+// Threads and messages kept in memory
+jest.mock('../../src/models/threadModels', () => {
+  const { Types } = jest.requireActual('mongoose');
+  const threads = [];
+  const messages = [];
+  const same = (a, b) => String(a) === String(b);
+
+  const matches = (message, query) => same(message.threadId, query.threadId) &&
+    (!query._id?.$gt || String(message._id) > String(query._id.$gt)) &&
+    (!query._id?.$lt || String(message._id) < String(query._id.$lt));
+
+  return {
+    threads,
+    messages,
+    THREAD_MESSAGE_ROLES: ['system', 'user', 'assistant', 'tool'],
+    Thread: {
+      create: jest.fn(async doc => {
+        const thread = { _id: new Types.ObjectId(), createdAt: new Date(), metadata: {}, ...doc };
+        threads.push(thread);
+        return thread;
+      }),
+      findOne: jest.fn(async ({ _id, userId }) =>
+        threads.find(thread => same(thread._id, _id) && same(thread.userId, userId)) || null),
+      updateOne: jest.fn(async ({ _id }, update) => {
+        Object.assign(threads.find(thread => same(thread._id, _id)), update);
+      }),
+      deleteOne: jest.fn(async ({ _id }) => {
+        threads.splice(threads.findIndex(thread => same(thread._id, _id)), 1);
+      })
+    },
+    ThreadMessage: {
+      insertMany: jest.fn(async docs => docs.map(doc => {
+        const message = { _id: new Types.ObjectId(), createdAt: new Date(), ...doc };
+        messages.push(message);
+        return message;
+      })),
+      find: jest.fn(query => {
+        let direction = 1;
+        let limit = Infinity;
+        const chain = {
+          sort: order => {
+            direction = order._id;
+            return chain;
+          },
+          limit: count => {
+            limit = count;
+            return chain;
+          },
+          then: (resolve, reject) => Promise.resolve(messages
+            .filter(message => matches(message, query))
+            .sort((a, b) => (a.createdAt - b.createdAt || String(a._id).localeCompare(String(b._id))) * direction)
+            .slice(0, limit)).then(resolve, reject)
+        };
+        return chain;
+      }),
+      deleteMany: jest.fn(async ({ threadId }) => {
+        const kept = messages.filter(message => !same(message.threadId, threadId));
+        messages.splice(0, messages.length, ...kept);
+      })
+    }
+  };
+});
+
+const threadModels = require('../../src/models/threadModels');
+const { providerManager } = require('../../src/services/providerManager');
+const {
+  validateCreateThread,
+  validateAddMessages,
+  validateRun,
+  createThread,
+  getThread,
+  deleteThread,
+  addMessages,
+  listMessages,
+  runThread
+} = require('../../src/controllers/threadController');
+const { addProvider, stubPerformance, completion } = require('../helpers/fakeProviders');
+const { startApp } = require('../helpers/testApp');
+
+let app;
+let otherApp;
+
+const mount = (express, authenticate) => {
+  express.post('/v1/threads', authenticate, validateCreateThread, createThread);
+  express.get('/v1/threads/:threadId', authenticate, getThread);
+  express.delete('/v1/threads/:threadId', authenticate, deleteThread);
+  express.post('/v1/threads/:threadId/messages', authenticate, validateAddMessages, addMessages);
+  express.get('/v1/threads/:threadId/messages', authenticate, listMessages);
+  express.post('/v1/threads/:threadId/runs', authenticate, validateRun, runThread);
+};
+
+beforeAll(async () => {
+  app = await startApp(mount);
+  otherApp = await startApp(mount, { consumerId: '507f1f77bcf86cd7994390bb' });
+});
+
+afterAll(async () => {
+  await app.close();
+  await otherApp.close();
+});
+
+beforeEach(() => {
+  threadModels.threads.length = 0;
+  threadModels.messages.length = 0;
+  providerManager.providers.clear();
+  providerManager.requestQueue.clear();
+  stubPerformance(providerManager);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const json = async response => ({ status: response.status, body: await response.json() });
+
+async function createThreadWith(messages, metadata) {
+  return (await json(await app.post('/v1/threads', { messages, metadata }))).body;
+}
+
+function replyingProvider(socketId, models, content = 'reply') {
+  return addProvider(providerManager, socketId, {
+    models,
+    respond: message => message.type === 'completion_request' &&
+      providerManager.handleCompletionResponse(message.requestId, completion(content))
+  });
+}
+
+describe('/v1/threads', () => {
+  test('creates a thread with its first messages', async () => {
+    const thread = await createThreadWith([{ role: 'user', content: 'hi' }], { topic: 'test' });
+
+    expect(thread).toMatchObject({ object: 'thread', metadata: { topic: 'test' }, last_run_at: null });
+    expect(thread.id).toMatch(/^thread_/);
+
+    const { body } = await json(await app.get(`/v1/threads/${thread.id}/messages`));
+    expect(body.data).toEqual([expect.objectContaining({ object: 'thread.message', thread_id: thread.id, role: 'user', content: 'hi' })]);
+  });
+
+  test('rejects invalid message content', async () => {
+    const { status } = await json(await app.post('/v1/threads', { messages: [{ role: 'user', content: [{ type: 'audio' }] }] }));
+
+    expect(status).toBe(400);
+  });
+
+  test('pages through messages newest first', async () => {
+    const thread = await createThreadWith([
+      { role: 'user', content: 'one' },
+      { role: 'assistant', content: 'two' },
+      { role: 'user', content: 'three' }
+    ]);
+
+    const first = (await json(await app.get(`/v1/threads/${thread.id}/messages?limit=2`))).body;
+    const second = (await json(await app.get(`/v1/threads/${thread.id}/messages?limit=2&after=${first.last_id}`))).body;
+    const ascending = (await json(await app.get(`/v1/threads/${thread.id}/messages?order=asc`))).body;
+
+    expect(first.data.map(message => message.content)).toEqual(['three', 'two']);
+    expect(first.has_more).toBe(true);
+    expect(second.data.map(message => message.content)).toEqual(['one']);
+    expect(second.has_more).toBe(false);
+    expect(ascending.data.map(message => message.content)).toEqual(['one', 'two', 'three']);
+  });
+
+  test('keeps threads private to their consumer', async () => {
+    const thread = await createThreadWith([{ role: 'user', content: 'hi' }]);
+
+    expect((await otherApp.get(`/v1/threads/${thread.id}`)).status).toBe(404);
+    expect((await otherApp.post(`/v1/threads/${thread.id}/messages`, { messages: [{ role: 'user', content: 'x' }] })).status).toBe(404);
+  });
+
+  test('deletes a thread with its messages', async () => {
+    const thread = await createThreadWith([{ role: 'user', content: 'hi' }]);
+
+    const { body } = await json(await fetch(`${app.url}/v1/threads/${thread.id}`, { method: 'DELETE' }));
+
+    expect(body).toEqual({ id: thread.id, object: 'thread.deleted', deleted: true });
+    expect(threadModels.messages).toHaveLength(0);
+    expect((await app.get(`/v1/threads/${thread.id}`)).status).toBe(404);
+  });
+});
+
+describe('/v1/threads/:threadId/runs', () => {
+  test('runs on the stored history and appends the reply', async () => {
+    const sent = replyingProvider('s1', ['llama3.1:8b'], 'Paris');
+    const thread = await createThreadWith([{ role: 'user', content: 'Capital of France?' }]);
+
+    const { status, body } = await json(await app.post(`/v1/threads/${thread.id}/runs`, {
+      model: 'llama3.1:8b',
+      instructions: 'Answer in one word.',
+      additional_messages: [{ role: 'user', content: 'Be brief.' }]
+    }));
+
+    expect(status).toBe(200);
+    expect(sent[0].messages).toEqual([
+      { role: 'system', content: 'Answer in one word.' },
+      { role: 'user', content: 'Capital of France?' },
+      { role: 'user', content: 'Be brief.' }
+    ]);
+    expect(body).toMatchObject({ thread_id: thread.id, choices: [{ message: { content: 'Paris' } }] });
+
+    const history = (await json(await app.get(`/v1/threads/${thread.id}/messages?order=asc`))).body.data;
+    expect(history.map(message => [message.role, message.content])).toEqual([
+      ['user', 'Capital of France?'],
+      ['user', 'Be brief.'],
+      ['assistant', 'Paris']
+    ]);
+    expect(history[2]).toMatchObject({ id: body.message_id, model: 'llama3.1:8b' });
+  });
+
+  test('goes back to the provider of the previous run and pins a tier to its model', async () => {
+    const first = replyingProvider('s1', ['llama3.1:8b']);
+    const thread = await createThreadWith([{ role: 'user', content: 'hi' }]);
+    await app.post(`/v1/threads/${thread.id}/runs`, { model: 'medium' });
+
+    // Busier than the newcomer, which would win without the thread's affinity
+    providerManager.requestQueue.set('s1', 1);
+    const second = replyingProvider('s2', ['llama3.1:8b', 'mistral:7b']);
+    await app.post(`/v1/threads/${thread.id}/runs`, { model: 'medium' });
+
+    expect(first).toHaveLength(2);
+    expect(first[1].model).toBe('llama3.1:8b');
+    expect(second).toHaveLength(0);
+  });
+
+  test('routes freely with sticky false', async () => {
+    replyingProvider('s1', ['llama3.1:8b']);
+    const thread = await createThreadWith([{ role: 'user', content: 'hi' }]);
+    await app.post(`/v1/threads/${thread.id}/runs`, { model: 'llama3.1:8b' });
+    providerManager.requestQueue.set('s1', 1);
+
+    const other = replyingProvider('s2', ['llama3.1:8b']);
+    const { status } = await json(await app.post(`/v1/threads/${thread.id}/runs`, { model: 'llama3.1:8b', sticky: false }));
+
+    expect(status).toBe(200);
+    expect(other).toHaveLength(1);
+  });
+
+  test('refuses to run an empty thread', async () => {
+    const thread = await createThreadWith();
+
+    const { status, body } = await json(await app.post(`/v1/threads/${thread.id}/runs`, { model: 'llama3.1:8b' }));
+
+    expect(status).toBe(400);
+    expect(body.error.param).toBe('thread_id');
+  });
+});
@@ -0,0 +1,80 @@
+// test/controllers/tokenizeController.test.js
+const { ModelManager } = require('../../src/config/models');
+const TokenizerService = require('../../src/services/tokenizerService');
+const { validateTokenize, handleTokenize } = require('../../src/controllers/tokenizeController');
+const { startApp } = require('../helpers/testApp');
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp((express, authenticate) => {
+    express.post('/v1/tokenize', authenticate, validateTokenize, handleTokenize);
+  });
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const tokenize = async request => {
+  const response = await app.post('/v1/tokenize', request);
+  return { status: response.status, body: await response.json() };
+};
+
+describe('/v1/tokenize', () => {
+  test('counts text against the context window', async () => {
+    const { context } = ModelManager.getModelInfo('mistral-7b');
+    const count = TokenizerService.countText('How many tokens is this?', 'mistral-7b');
+
+    const { status, body } = await tokenize({ model: 'mistral-7b', input: 'How many tokens is this?' });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      object: 'tokenize',
+      model: 'mistral-7b',
+      approximate: true,
+      token_count: count,
+      context_length: context,
+      remaining_tokens: context - count
+    });
+  });
+
+  test('counts every input of a list', async () => {
+    const { body } = await tokenize({ model: 'mistral-7b', input: ['one', 'two words'] });
+
+    expect(body.counts).toEqual([
+      TokenizerService.countText('one', 'mistral-7b'),
+      TokenizerService.countText('two words', 'mistral-7b')
+    ]);
+    expect(body.token_count).toBe(body.counts[0] + body.counts[1]);
+  });
+
+  test('counts chat messages and tools', async () => {
+    const messages = [{ role: 'user', content: 'hello' }];
+    const tools = [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }];
+
+    const { body } = await tokenize({ model: 'mistral-7b', messages, tools });
+
+    expect(body.token_count).toBe(TokenizerService.countMessages(messages, 'mistral-7b', tools));
+    expect(body).not.toHaveProperty('counts');
+  });
+
+  test('wants either input or messages', async () => {
+    const { status } = await tokenize({ model: 'mistral-7b', input: 'hi', messages: [{ role: 'user', content: 'hi' }] });
+
+    expect(status).toBe(400);
+  });
+
+  test.each(['embedding|mistral-7b', 'small|llama-3-70b'])('404s a %s filter that matches no model', async model => {
+    const { status, body } = await tokenize({ model, input: 'hi' });
+
+    expect(status).toBe(404);
+    expect(body.error).toMatchObject({ code: 'not_found', param: 'model' });
+  });
+});
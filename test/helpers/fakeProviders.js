@@ -0,0 +1,45 @@
+// test/helpers/fakeProviders.js
+const WebSocket = require('ws');
+
+// Register a connected provider on a ProviderManager without a real socket.
+// Every frame the server sends lands in `sent`, respond(message) may answer it.
+function addProvider(providerManager, socketId, {
+  models,
+  capabilities = {},
+  userId = '507f1f77bcf86cd799439011',
+  respond = null
+}) {
+  const sent = [];
+  const ws = {
+    readyState: WebSocket.OPEN,
+    send(data, callback) {
+      const message = JSON.parse(data);
+      sent.push(message);
+      if (callback) callback();
+      if (respond) setImmediate(() => respond(message));
+    }
+  };
+
+  providerManager.providers.set(socketId, {
+    ws,
+    status: 'active',
+    readyForRequests: true,
+    models,
+    userId,
+    capabilities: providerManager._normalizeCapabilities(capabilities)
+  });
+  return sent;
+}
+
+// Keep routing off the database
+function stubPerformance(providerManager) {
+  providerManager._getProviderPerformance = async () => ({ tokens_per_second: 0 });
+  providerManager.updateProviderPerformance = async () => {};
+}
+
+const completion = (content, usage = { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }) => ({
+  choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage
+});
+
+module.exports = { addProvider, stubPerformance, completion };
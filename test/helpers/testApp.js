@@ -0,0 +1,34 @@
+// test/helpers/testApp.js
+const express = require('express');
+
+const CONSUMER_ID = '507f1f77bcf86cd7994390aa';
+
+// An express app whose requests come from an authenticated consumer, listening on a free port.
+// mount(app, authenticate) registers the routes under test.
+function startApp(mount, { consumerId = CONSUMER_ID } = {}) {
+  const app = express();
+  app.use(express.json());
+  const authenticate = (req, res, next) => {
+    req.user = { _id: consumerId };
+    next();
+  };
+  mount(app, authenticate);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        post: (path, body, headers = {}) => fetch(`${url}${path}`, {
+          method: 'POST',
+          headers: { 'content-type': 'application/json', ...headers },
+          body: JSON.stringify(body)
+        }),
+        get: (path, headers = {}) => fetch(`${url}${path}`, { headers }),
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startApp, CONSUMER_ID };
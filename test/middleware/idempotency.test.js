@@ -0,0 +1,162 @@
+// test/middleware/idempotency.test.js
+jest.mock('../../src/models/idempotencyModel', () => {
+  const records = new Map();
+  const id = ({ userId, key }) => `${userId}:${key}`;
+  return {
+    records,
+    create: jest.fn(async doc => {
+      if (records.has(id(doc))) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      const record = { _id: id(doc), status: 'in_progress', createdAt: new Date(), ...doc };
+      records.set(id(doc), record);
+      return record;
+    }),
+    findOne: jest.fn(async query => records.get(id(query)) || null),
+    updateOne: jest.fn(async (query, update) => {
+      Object.assign(records.get(id(query)) || {}, update);
+    }),
+    deleteOne: jest.fn(async query => {
+      if (records.get(id(query))?.status === query.status) records.delete(id(query));
+    }),
+    findOneAndUpdate: jest.fn(async (query, update) => {
+      const record = records.get(query._id);
+      if (!record || record.status !== query.status || record.createdAt !== query.createdAt) return null;
+      return Object.assign(record, update);
+    })
+  };
+});
+
+const config = require('../../src/config');
+const IdempotencyKey = require('../../src/models/idempotencyModel');
+const idempotency = require('../../src/middleware/idempotency');
+const { startApp, CONSUMER_ID } = require('../helpers/testApp');
+
+let app;
+let handled;
+let release;
+
+beforeAll(async () => {
+  app = await startApp((express, authenticate) => {
+    express.post('/v1/echo', authenticate, idempotency, async (req, res) => {
+      handled++;
+      if (req.body.wait) await new Promise(resolve => { release = resolve; });
+      if (req.body.fail) return res.status(503).json({ error: { message: 'No provider' } });
+      if (req.body.stream) {
+        res.type('text/event-stream');
+        res.write('data: {"n":1}\n\n');
+        if (req.body.streamError) res.locals.failed = true;
+        return res.end('data: [DONE]\n\n');
+      }
+      res.json({ handled, echo: req.body.text });
+    });
+  });
+});
+
+afterAll(() => app.close());
+
+beforeEach(() => {
+  handled = 0;
+  IdempotencyKey.records.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const send = (body, key) => app.post('/v1/echo', body, key ? { 'Idempotency-Key': key } : {});
+
+// The key is stored once the response has closed
+const settled = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('Idempotency-Key', () => {
+  test('runs every request without a key', async () => {
+    await send({ text: 'hi' });
+    await send({ text: 'hi' });
+
+    expect(handled).toBe(2);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  test('replays the stored response for a repeated key', async () => {
+    const first = await (await send({ text: 'hi' }, 'key-1')).json();
+    await settled();
+
+    const replay = await send({ text: 'hi' }, 'key-1');
+
+    expect(handled).toBe(1);
+    expect(replay.status).toBe(200);
+    expect(replay.headers.get('idempotent-replayed')).toBe('true');
+    expect(replay.headers.get('content-type')).toMatch(/application\/json/);
+    expect(await replay.json()).toEqual(first);
+  });
+
+  test('replays a stream as it was sent', async () => {
+    const first = await (await send({ stream: true }, 'key-1')).text();
+    await settled();
+
+    const replay = await send({ stream: true }, 'key-1');
+
+    expect(handled).toBe(1);
+    expect(replay.headers.get('content-type')).toMatch(/text\/event-stream/);
+    expect(await replay.text()).toBe(first);
+  });
+
+  test('refuses a key reused with another body', async () => {
+    await send({ text: 'hi' }, 'key-1');
+    await settled();
+
+    const response = await send({ text: 'bye' }, 'key-1');
+
+    expect(response.status).toBe(422);
+    expect((await response.json()).error.code).toBe('idempotency_key_reused');
+  });
+
+  test('answers 409 while the first request is still running', async () => {
+    const first = send({ text: 'hi', wait: true }, 'key-1');
+    while (!release) await settled();
+
+    const second = await send({ text: 'hi', wait: true }, 'key-1');
+    release();
+    release = null;
+    await first;
+
+    expect(second.status).toBe(409);
+    expect((await second.json()).error.code).toBe('idempotency_key_in_use');
+    expect(handled).toBe(1);
+  });
+
+  test.each([
+    ['an error response', { fail: true }],
+    ['a stream that failed after the headers', { stream: true, streamError: true }]
+  ])('frees the key after %s', async (name, body) => {
+    await (await send(body, 'key-1')).text();
+    await settled();
+
+    await (await send(body, 'key-1')).text();
+
+    expect(handled).toBe(2);
+  });
+
+  test('takes over a key whose request died', async () => {
+    const createdAt = new Date(Date.now() - config.failover.deadline_ms - 120000);
+    IdempotencyKey.records.set(`${CONSUMER_ID}:key-1`, {
+      _id: `${CONSUMER_ID}:key-1`,
+      userId: CONSUMER_ID,
+      key: 'key-1',
+      requestHash: 'left over',
+      status: 'in_progress',
+      createdAt
+    });
+
+    const response = await send({ text: 'hi' }, 'key-1');
+
+    expect(response.status).toBe(200);
+    expect(handled).toBe(1);
+  });
+
+  test('rejects overlong keys', async () => {
+    const response = await send({ text: 'hi' }, 'k'.repeat(256));
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toMatchObject({ code: 'invalid_idempotency_key', param: 'Idempotency-Key' });
+    expect(handled).toBe(0);
+  });
+});
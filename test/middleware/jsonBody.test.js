@@ -0,0 +1,87 @@
+// test/middleware/jsonBody.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 }))
+}));
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateApiKey: (req, res, next) => {
+    if (req.headers['x-api-key'] !== 'test-key') {
+      return res.status(401).json({ error: 'Authentication failed', message: 'Invalid API key' });
+    }
+    req.user = { _id: '507f1f77bcf86cd7994390aa' };
+    next();
+  }
+}));
+
+const express = require('express');
+const config = require('../../src/config');
+const { jsonBody } = require('../../src/middleware/jsonBody');
+const ollamaRoutes = require('../../src/routes/ollamaRoutes');
+
+let server;
+let url;
+
+// Mounted the way server.js does: image routes first, then the app-wide parser
+beforeAll(done => {
+  const app = express();
+  app.use('/api', ollamaRoutes);
+  app.use(jsonBody);
+  app.post('/echo', (req, res) => res.json({ size: JSON.stringify(req.body).length }));
+  server = app.listen(0, () => {
+    url = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const post = (path, body, headers = {}) => fetch(`${url}${path}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+// Just over the app-wide limit, well under the image route limit
+const oversized = () => 'A'.repeat(config.max_body_bytes + 1024);
+
+describe('JSON body limits', () => {
+  test('keeps the app-wide limit small', async () => {
+    expect(config.max_body_bytes).toBeLessThan(config.max_image_body_bytes);
+
+    expect((await post('/echo', { text: 'hello' })).status).toBe(200);
+    expect((await post('/echo', { text: oversized() })).status).toBe(413);
+  });
+
+  test('rejects an unauthenticated image request before reading its body', async () => {
+    const response = await post('/api/chat', {
+      model: 'llava',
+      messages: [{ role: 'user', content: 'what is this?', images: [oversized()] }]
+    });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('accepts large bodies on authenticated image routes', async () => {
+    // No model, so validation answers once the body is parsed
+    const response = await post('/api/chat', {
+      messages: [{ role: 'user', content: 'what is this?', images: [oversized()] }]
+    }, { 'x-api-key': 'test-key' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('keeps the small limit on routes without images', async () => {
+    const response = await post('/api/show', { model: oversized() }, { 'x-api-key': 'test-key' });
+
+    expect(response.status).toBe(413);
+  });
+});
@@ -0,0 +1,187 @@
+// test/services/batchService.test.js
+jest.mock('../../src/services/tokenService', () => ({
+  getBalance: jest.fn(async () => ({ balance: 1000 })),
+  processUsage: jest.fn(async () => ({ muleAmount: 0 }))
+}));
+jest.mock('../../src/models/batchModels', () => ({
+  Batch: {
+    create: jest.fn(async doc => ({ _id: 'batch1', ...doc })),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(async () => null),
+    updateOne: jest.fn(async () => ({}))
+  },
+  BatchRequest: {
+    insertMany: jest.fn(async () => []),
+    updateOne: jest.fn(async () => ({})),
+    countDocuments: jest.fn(async () => 1)
+  }
+}));
+jest.mock('../../src/models/fileModel', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/services/fileService', () => ({ read: jest.fn() }));
+
+const config = require('../../src/config');
+const TokenService = require('../../src/services/tokenService');
+const { Batch, BatchRequest } = require('../../src/models/batchModels');
+const File = require('../../src/models/fileModel');
+const FileService = require('../../src/services/fileService');
+const { BatchService } = require('../../src/services/batchService');
+const { providerManager } = require('../../src/services/providerManager');
+const { addProvider, stubPerformance, completion } = require('../helpers/fakeProviders');
+
+const USER_ID = '507f1f77bcf86cd7994390aa';
+
+let service;
+
+beforeEach(() => {
+  service = new BatchService();
+  providerManager.providers.clear();
+  providerManager.requestQueue.clear();
+  stubPerformance(providerManager);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+const line = (customId, body, overrides = {}) => JSON.stringify({
+  custom_id: customId,
+  method: 'POST',
+  url: '/v1/chat/completions',
+  body,
+  ...overrides
+});
+
+const chatBody = content => ({ model: 'mistral-7b', messages: [{ role: 'user', content }] });
+
+function inputFile(lines) {
+  File.findOne.mockResolvedValue({ _id: 'file1', userId: USER_ID, purpose: 'batch' });
+  FileService.read.mockResolvedValue(Buffer.from(lines.join('\n')));
+}
+
+describe('BatchService.createBatch', () => {
+  test('queues one request per line', async () => {
+    inputFile([line('a', chatBody('first')), '', line('b', chatBody('second'))]);
+
+    const batch = await service.createBatch(USER_ID, { inputFileId: 'file1', endpoint: '/v1/chat/completions' });
+
+    expect(batch).toMatchObject({ status: 'in_progress', requestCounts: { total: 2, completed: 0, failed: 0 } });
+    expect(batch.expiresAt - batch.inProgressAt).toBe(24 * 60 * 60 * 1000);
+    expect(BatchRequest.insertMany.mock.calls[0][0]).toEqual([
+      { index: 0, customId: 'a', body: chatBody('first'), batchId: 'batch1' },
+      { index: 1, customId: 'b', body: chatBody('second'), batchId: 'batch1' }
+    ]);
+  });
+
+  test('fails the whole batch with one error per bad line', async () => {
+    inputFile([
+      line('a', chatBody('fine')),
+      '{not json',
+      line('a', chatBody('again')),
+      line('c', chatBody('elsewhere'), { url: '/v1/embeddings' }),
+      line('d', { ...chatBody('streamed'), stream: true }),
+      line('e', { model: 'mistral-7b', messages: [] })
+    ]);
+
+    const batch = await service.createBatch(USER_ID, { inputFileId: 'file1', endpoint: '/v1/chat/completions' });
+
+    expect(batch.status).toBe('failed');
+    expect(batch.validationErrors).toEqual([
+      expect.objectContaining({ code: 'invalid_json_line', line: 2 }),
+      expect.objectContaining({ code: 'duplicate_custom_id', line: 3, param: 'custom_id' }),
+      expect.objectContaining({ code: 'mismatched_endpoint', line: 4, param: 'url' }),
+      expect.objectContaining({ code: 'invalid_request', line: 5, param: 'body.stream' }),
+      expect.objectContaining({ code: 'invalid_request', line: 6, param: 'body.messages' })
+    ]);
+    expect(BatchRequest.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('rejects an empty input file', async () => {
+    inputFile(['', '  ']);
+
+    const batch = await service.createBatch(USER_ID, { inputFileId: 'file1', endpoint: '/v1/chat/completions' });
+
+    expect(batch.validationErrors).toEqual([expect.objectContaining({ code: 'empty_file' })]);
+  });
+
+  test('only reads the consumer\'s own batch input files', async () => {
+    File.findOne.mockResolvedValue(null);
+
+    await expect(service.createBatch(USER_ID, { inputFileId: 'file1', endpoint: '/v1/chat/completions' }))
+      .rejects.toMatchObject({ code: 'NOT_FOUND', param: 'input_file_id' });
+    expect(File.findOne).toHaveBeenCalledWith({ _id: 'file1', userId: USER_ID, purpose: 'batch' });
+  });
+});
+
+describe('BatchService._runRequest', () => {
+  const item = (attempts = 1) => ({ _id: 'line1', batchId: 'batch1', customId: 'a', attempts, body: chatBody('hello') });
+
+  beforeEach(() => {
+    Batch.findById.mockResolvedValue({ _id: 'batch1', userId: USER_ID, status: 'in_progress' });
+  });
+
+  const lineUpdate = () => BatchRequest.updateOne.mock.calls[0][1];
+
+  test('stores the completion and bills it at batch pricing', async () => {
+    addProvider(providerManager, 's1', {
+      models: ['mistral-7b'],
+      respond: message => providerManager.handleCompletionResponse(message.requestId, completion('hi there'))
+    });
+
+    await service._runRequest(item());
+
+    expect(lineUpdate()).toMatchObject({
+      status: 'completed',
+      response: { status_code: 200, request_id: 'req_line1', body: { object: 'chat.completion' } }
+    });
+    expect(lineUpdate().response.body.choices[0].message.content).toBe('hi there');
+    expect(Batch.updateOne).toHaveBeenCalledWith({ _id: 'batch1' }, { $inc: { 'requestCounts.completed': 1 } });
+    expect(TokenService.processUsage.mock.calls[0][0]).toMatchObject({ pricing: 'batch' });
+  });
+
+  test('waits for a provider without using up an attempt', async () => {
+    await service._runRequest(item());
+
+    expect(lineUpdate()).toMatchObject({ status: 'pending', $inc: { attempts: -1 } });
+    expect(Batch.updateOne).not.toHaveBeenCalled();
+  });
+
+  describe('on provider failures', () => {
+    beforeEach(() => {
+      providerManager.failover = { ...providerManager.failover, max_attempts: 1 };
+      addProvider(providerManager, 's1', {
+        models: ['mistral-7b'],
+        respond: message => providerManager.handleCompletionResponse(message.requestId, { choices: [] })
+      });
+    });
+
+    afterEach(() => {
+      providerManager.failover = config.failover;
+    });
+
+    test('retries later while attempts are left', async () => {
+      await service._runRequest(item(1));
+
+      expect(lineUpdate().status).toBe('pending');
+      expect(lineUpdate().$inc).toBeUndefined();
+    });
+
+    test('records the error once attempts run out', async () => {
+      await service._runRequest(item(config.batch.max_attempts));
+
+      expect(lineUpdate()).toMatchObject({ status: 'failed', error: { code: 'invalid_response' } });
+      expect(Batch.updateOne).toHaveBeenCalledWith({ _id: 'batch1' }, { $inc: { 'requestCounts.failed': 1 } });
+    });
+  });
+
+  test('skips lines of a batch that is no longer running', async () => {
+    Batch.findById.mockResolvedValue({ _id: 'batch1', userId: USER_ID, status: 'cancelling' });
+
+    await service._runRequest(item());
+
+    expect(lineUpdate()).toMatchObject({ status: 'cancelled', error: { code: 'batch_cancelled' } });
+  });
+});
@@ -0,0 +1,256 @@
+// test/services/providerManager.test.js
+const EventEmitter = require('events');
+const { ProviderManager } = require('../../src/services/providerManager');
+const { addProvider, stubPerformance, completion } = require('../helpers/fakeProviders');
+
+function createManager() {
+  const providerManager = new ProviderManager();
+  stubPerformance(providerManager);
+  return providerManager;
+}
+
+const answer = (providerManager, content) => message => {
+  if (message.type === 'completion_request') {
+    providerManager.handleCompletionResponse(message.requestId, completion(content));
+  }
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('failover', () => {
+  test('cancels a timed out request and retries it on another provider', async () => {
+    const providerManager = createManager();
+    const stalled = addProvider(providerManager, 's1', { models: ['mistral-7b'] });
+    addProvider(providerManager, 's2', {
+      models: ['mistral-7b'],
+      userId: '507f1f77bcf86cd799439022',
+      respond: answer(providerManager, 'from s2')
+    });
+    providerManager.requestQueue.set('s2', 1); // Least loaded goes to s1 first
+
+    const response = await providerManager.routeRequest({ model: 'mistral-7b', messages: [], timeout: 50 });
+
+    expect(response.choices[0].message.content).toBe('from s2');
+    expect(response.routing).toMatchObject({ socketId: 's2', attempts: 2 });
+    expect(stalled.map(message => message.type)).toEqual(['completion_request', 'cancel_request']);
+    expect(stalled[1]).toMatchObject({ requestId: stalled[0].requestId, reason: 'timeout' });
+    expect(providerManager.requestQueue.get('s1')).toBe(0);
+  });
+
+  test('retries invalid responses', async () => {
+    const providerManager = createManager();
+    addProvider(providerManager, 's1', {
+      models: ['mistral-7b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionResponse(message.requestId, { choices: [] })
+    });
+    addProvider(providerManager, 's2', {
+      models: ['mistral-7b'],
+      userId: '507f1f77bcf86cd799439022',
+      respond: answer(providerManager, 'valid')
+    });
+    providerManager.requestQueue.set('s2', 1);
+
+    const response = await providerManager.routeRequest({ model: 'mistral-7b', messages: [] });
+
+    expect(response.routing).toMatchObject({ socketId: 's2', attempts: 2 });
+  });
+
+  test('gives up after max attempts with the last error', async () => {
+    const providerManager = createManager();
+    addProvider(providerManager, 's1', { models: ['mistral-7b'] });
+    addProvider(providerManager, 's2', { models: ['mistral-7b'], userId: '507f1f77bcf86cd799439022' });
+
+    await expect(providerManager.routeRequest({ model: 'mistral-7b', messages: [], timeout: 20, maxAttempts: 2 }))
+      .rejects.toMatchObject({ code: 'PROVIDER_TIMEOUT', attempts: 2 });
+  });
+
+  test('does not replay a request whose chunks reached the consumer', async () => {
+    const providerManager = createManager();
+    const chunks = [];
+    addProvider(providerManager, 's1', {
+      models: ['mistral-7b'],
+      respond: message => message.type === 'completion_request' &&
+        providerManager.handleCompletionChunk(message.requestId, {
+          choices: [{ index: 0, delta: { content: 'partial' } }]
+        })
+    });
+    const other = addProvider(providerManager, 's2', { models: ['mistral-7b'], userId: '507f1f77bcf86cd799439022' });
+    providerManager.requestQueue.set('s2', 1);
+
+    await expect(providerManager.routeRequest({
+      model: 'mistral-7b',
+      messages: [],
+      stream: true,
+      onChunk: chunk => chunks.push(chunk),
+      timeout: 50
+    })).rejects.toMatchObject({ code: 'PROVIDER_TIMEOUT', attempts: 1 });
+    expect(chunks).toHaveLength(1);
+    expect(other).toHaveLength(0);
+  });
+});
+
+describe('tier selection', () => {
+  test('resolves a tier to a model of a provider meeting the requirements', async () => {
+    const providerManager = createManager();
+    addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+    addProvider(providerManager, 's2', {
+      models: ['llama3.1:8b'],
+      userId: '507f1f77bcf86cd799439022',
+      capabilities: { tools: true }
+    });
+
+    const provider = await providerManager.findAvailableProvider('medium', {
+      requires: providerManager._getRequirements({ model: 'medium', tools: [{ type: 'function' }] })
+    });
+
+    expect(provider).toMatchObject({ socketId: 's2', model: 'llama3.1:8b' });
+  });
+
+  test('hasCandidate leaves the routing strategy alone', async () => {
+    const providerManager = createManager();
+    providerManager.routing = { ...providerManager.routing, strategy: 'round-robin' };
+    addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+    addProvider(providerManager, 's2', { models: ['llama3.1:8b'], userId: '507f1f77bcf86cd799439022' });
+
+    expect(providerManager.hasCandidate('medium')).toBe(true);
+    expect(providerManager.hasCandidate('xl')).toBe(false);
+    const first = await providerManager.findAvailableProvider('medium');
+    expect(providerManager.hasCandidate('medium')).toBe(true);
+    const second = await providerManager.findAvailableProvider('medium');
+
+    expect([first.socketId, second.socketId]).toEqual(['s1', 's2']);
+  });
+
+  test('a per-request routing field overrides the configured strategy', async () => {
+    const providerManager = createManager();
+    providerManager._getProviderPerformance = async userId =>
+      ({ tokens_per_second: userId === '507f1f77bcf86cd799439022' ? 50 : 10 });
+    addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+    addProvider(providerManager, 's2', { models: ['llama3.1:8b'], userId: '507f1f77bcf86cd799439022' });
+    providerManager.requestQueue.set('s2', 1);
+
+    const configured = await providerManager.findAvailableProvider('medium');
+    const fastest = await providerManager.findAvailableProvider('medium', { routing: 'fastest' });
+
+    expect([configured.socketId, fastest.socketId]).toEqual(['s1', 's2']);
+  });
+});
+
+describe('sampling parameters', () => {
+  test('names the capability no provider of the tier supports', async () => {
+    const providerManager = createManager();
+    addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+
+    await expect(providerManager.routeRequest({ model: 'medium', messages: [], logprobs: true }))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_CAPABILITY', param: 'logprobs' });
+  });
+
+  test('forwards sampling parameters the provider declared', async () => {
+    const providerManager = createManager();
+    const sent = addProvider(providerManager, 's1', {
+      models: ['mistral:7b'],
+      capabilities: { parameters: ['seed', 'logprobs'] },
+      respond: answer(providerManager, 'ok')
+    });
+
+    await providerManager.routeRequest({ model: 'medium', messages: [], seed: 7, logprobs: true });
+
+    expect(sent[0]).toMatchObject({ seed: 7, logprobs: true });
+  });
+
+  test('forwards top_k only to providers that declare it', async () => {
+    const providerManager = createManager();
+    const sent = addProvider(providerManager, 's1', {
+      models: ['mistral:7b'],
+      respond: answer(providerManager, 'ok')
+    });
+
+    await providerManager.routeRequest({ model: 'medium', messages: [], top_k: 40 });
+    expect(sent[0]).not.toHaveProperty('top_k');
+
+    providerManager.providers.get('s1').capabilities =
+      providerManager._normalizeCapabilities({ parameters: ['top_k'] });
+    await providerManager.routeRequest({ model: 'medium', messages: [], top_k: 40 });
+    expect(sent[1].top_k).toBe(40);
+  });
+});
+
+describe('waiting for a slot', () => {
+  test('queues requests while every provider is busy and runs them once one frees up', async () => {
+    const providerManager = createManager();
+    addProvider(providerManager, 's1', { models: ['mistral-7b'], respond: answer(providerManager, 'ok') });
+    providerManager.requestQueue.set('s1', providerManager.loadBalancingThreshold);
+
+    let queued = null;
+    const routing = providerManager.routeRequest({
+      model: 'mistral-7b',
+      messages: [],
+      onQueued: position => { queued = position; }
+    });
+    await new Promise(setImmediate);
+    expect(queued).toMatchObject({ position: 1, depth: 1 });
+
+    providerManager._releaseRequestSlot('s1');
+
+    await expect(routing).resolves.toMatchObject({ routing: { socketId: 's1' } });
+  });
+});
+
+describe('latency tracking', () => {
+  test('keeps an exponentially weighted moving average per socket', () => {
+    const providerManager = createManager();
+    addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+    const alpha = providerManager.routing.latency_ewma_alpha;
+
+    providerManager._recordLatency('s1', 'ttft_ms', 100);
+    providerManager._recordLatency('s1', 'ttft_ms', 200);
+    providerManager._recordLatency('s1', 'ttft_ms', -5);
+    providerManager._recordLatency('gone', 'ttft_ms', 100);
+
+    expect(providerManager.getLatencyStats('s1')).toEqual({
+      ttft_ms: Math.round(alpha * 200 + (1 - alpha) * 100),
+      latency_ms: null,
+      rtt_ms: null
+    });
+    expect(providerManager.getLatencyStats('gone').ttft_ms).toBeNull();
+  });
+
+  test('measures time to first token and total latency of streamed requests', async () => {
+    const providerManager = createManager();
+    addProvider(providerManager, 's1', {
+      models: ['mistral:7b'],
+      respond: message => {
+        providerManager.handleCompletionChunk(message.requestId, {
+          choices: [{ index: 0, delta: { content: 'ok' }, finish_reason: null }]
+        });
+        providerManager.handleCompletionResponse(message.requestId, completion('ok'));
+      }
+    });
+
+    await providerManager.routeRequest({ model: 'mistral:7b', messages: [], stream: true, onChunk: () => {} });
+    const stats = providerManager.getLatencyStats('s1');
+
+    expect(stats.ttft_ms).toBeGreaterThanOrEqual(0);
+    expect(stats.latency_ms).toBeGreaterThanOrEqual(stats.ttft_ms);
+  });
+
+  test('measures the WebSocket ping round trip', () => {
+    const providerManager = createManager();
+    addProvider(providerManager, 's1', { models: ['mistral:7b'] });
+    const ws = Object.assign(new EventEmitter(), { ping: () => {} });
+    providerManager.setupWebSocketHandlers('s1', ws);
+
+    providerManager.providers.get('s1').lastPingAt = Date.now() - 40;
+    ws.emit('pong');
+
+    expect(providerManager.getLatencyStats('s1').rtt_ms).toBeGreaterThanOrEqual(40);
+  });
+});
@@ -0,0 +1,92 @@
+// test/services/responseCache.test.js
+const { ResponseCache } = require('../../src/services/responseCache');
+
+const CONSUMER_ID = '507f1f77bcf86cd7994390aa';
+const request = overrides => ({
+  model: 'llama3.1:8b',
+  messages: [{ role: 'user', content: 'hi' }],
+  temperature: 0,
+  ...overrides
+});
+
+const createCache = (options = {}) => new ResponseCache({ ttl_seconds: 60, max_bytes: 1024, max_entry_bytes: 512, ...options });
+
+afterEach(() => jest.useRealTimers());
+
+describe('ResponseCache.isCacheable', () => {
+  const cache = createCache();
+
+  test.each([
+    ['temperature 0', true, {}],
+    ['a fixed seed', true, { temperature: 0.8, seed: 7 }],
+    ['n of 1', true, { n: 1 }],
+    ['the default temperature', false, { temperature: undefined }],
+    ['a sampled temperature', false, { temperature: 0.7 }],
+    ['several choices', false, { n: 2 }],
+    ['several seeded choices', false, { temperature: 1, seed: 7, n: 3 }]
+  ])('%s: %s', (name, cacheable, overrides) => {
+    expect(cache.isCacheable(request(overrides))).toBe(cacheable);
+  });
+});
+
+describe('ResponseCache.key', () => {
+  const cache = createCache();
+  const key = (overrides, consumerId = CONSUMER_ID) => cache.key(consumerId, request(overrides));
+
+  test('ignores model case and field order', () => {
+    expect(key({ model: 'Llama3.1:8B' })).toBe(key());
+    expect(cache.key(CONSUMER_ID, { temperature: 0, messages: [{ content: 'hi', role: 'user' }], model: 'llama3.1:8b' }))
+      .toBe(key());
+  });
+
+  test.each([
+    ['seed', { seed: 1 }],
+    ['top_p', { top_p: 0.5 }],
+    ['top_k', { top_k: 40 }],
+    ['max_tokens', { max_tokens: 10 }],
+    ['stop', { stop: ['\n'] }],
+    ['response_format', { response_format: { type: 'json_object' } }]
+  ])('changes with %s', (name, overrides) => {
+    expect(key(overrides)).not.toBe(key());
+  });
+
+  test('is scoped per consumer', () => {
+    expect(key({}, '507f1f77bcf86cd7994390bb')).not.toBe(key());
+  });
+});
+
+describe('ResponseCache entries', () => {
+  test('expire after the TTL', () => {
+    jest.useFakeTimers();
+    const cache = createCache({ ttl_seconds: 10 });
+    cache.set('a', { answer: 1 });
+
+    jest.advanceTimersByTime(9000);
+    expect(cache.get('a')).toEqual({ answer: 1 });
+
+    jest.advanceTimersByTime(2000);
+    expect(cache.get('a')).toBeNull();
+    expect(cache.bytes).toBe(0);
+  });
+
+  test('evict the least recently used first', () => {
+    const cache = createCache({ max_bytes: 60 });
+    const value = { text: 'x'.repeat(10) }; // 21 bytes
+
+    cache.set('a', value);
+    cache.set('b', value);
+    cache.get('a');
+    cache.set('c', value);
+
+    expect(cache.get('b')).toBeNull();
+    expect(cache.get('a')).toEqual(value);
+    expect(cache.get('c')).toEqual(value);
+  });
+
+  test('skip values over the entry cap', () => {
+    const cache = createCache({ max_entry_bytes: 16 });
+
+    expect(cache.set('a', { text: 'x'.repeat(32) })).toBe(false);
+    expect(cache.get('a')).toBeNull();
+  });
+});
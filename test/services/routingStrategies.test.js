@@ -0,0 +1,113 @@
+// test/services/routingStrategies.test.js
+const { routingStrategies, RoutingStrategies } = require('../../src/services/routingStrategies');
+
+const candidate = (socketId, load, performance = {}, { models = [], userId } = {}) => ({
+  socketId,
+  load,
+  provider: { userId },
+  models,
+  performance: { tokens_per_second: 10, ttft_ms: null, latency_ms: null, rtt_ms: null, ...performance }
+});
+
+const pick = (strategy, candidates, context = {}) =>
+  routingStrategies.get(strategy).select(candidates, { model: 'medium', ...context }).socketId;
+
+describe('lowest-latency', () => {
+  test('does not let a ping round trip stand in for time to first token', () => {
+    expect(pick('lowest-latency', [
+      candidate('pinged', 0, { rtt_ms: 5 }),
+      candidate('measured', 0, { ttft_ms: 300, latency_ms: 2000 })
+    ])).toBe('measured');
+  });
+
+  test('counts a full request for everything in flight', () => {
+    expect(pick('lowest-latency', [
+      candidate('fast-but-busy', 2, { ttft_ms: 100, latency_ms: 2000 }),
+      candidate('slower-idle', 0, { ttft_ms: 400, latency_ms: 3000 })
+    ])).toBe('slower-idle');
+  });
+
+  test('still picks an unmeasured provider over a long wait', () => {
+    expect(pick('lowest-latency', [
+      candidate('new', 0),
+      candidate('measured', 1, { ttft_ms: 300, latency_ms: 2000 })
+    ])).toBe('new');
+  });
+});
+
+describe('least-loaded', () => {
+  test('prefers the provider with the fewest requests in flight', () => {
+    expect(pick('least-loaded', [
+      candidate('busy', 2, { tokens_per_second: 80 }),
+      candidate('idle', 0)
+    ])).toBe('idle');
+  });
+
+  test('breaks load ties by latency', () => {
+    expect(pick('least-loaded', [
+      candidate('slow', 1, { ttft_ms: 900, latency_ms: 3000 }),
+      candidate('fast', 1, { ttft_ms: 200, latency_ms: 1000 }),
+      candidate('busy', 2, { ttft_ms: 10, latency_ms: 100 })
+    ])).toBe('fast');
+  });
+
+  test('falls back to throughput when nothing is measured', () => {
+    expect(pick('least-loaded', [
+      candidate('a', 0),
+      candidate('b', 0, { tokens_per_second: 50 })
+    ])).toBe('b');
+  });
+});
+
+describe('fastest', () => {
+  test('prefers throughput over load', () => {
+    expect(pick('fastest', [
+      candidate('idle', 0),
+      candidate('quick', 2, { tokens_per_second: 50 })
+    ])).toBe('quick');
+  });
+});
+
+describe('cheapest', () => {
+  test('prefers the provider running the cheaper model', () => {
+    expect(pick('cheapest', [
+      candidate('medium', 0, {}, { models: ['mistral:7b'] }),
+      candidate('small', 1, {}, { models: ['phi3:mini'] })
+    ])).toBe('small');
+  });
+
+  test('treats the consumer\'s own provider as free', () => {
+    const consumerId = '507f1f77bcf86cd7994390aa';
+
+    expect(pick('cheapest', [
+      candidate('small', 0, {}, { models: ['phi3:mini'] }),
+      candidate('own', 1, {}, { models: ['mistral:7b'], userId: consumerId })
+    ], { consumerId })).toBe('own');
+  });
+});
+
+describe('round-robin', () => {
+  test('cycles through the candidates', () => {
+    const strategies = new RoutingStrategies();
+    const candidates = [candidate('s2', 0), candidate('s1', 0)];
+    const picks = [1, 2, 3].map(() => strategies.get('round-robin').select(candidates, { model: 'm' }).socketId);
+
+    expect(picks).toEqual(['s1', 's2', 's1']);
+  });
+});
+
+test('random picks one of the candidates', () => {
+  expect(['a', 'b']).toContain(pick('random', [candidate('a', 0), candidate('b', 3)]));
+});
+
+test('custom strategies plug in by name', () => {
+  const strategies = new RoutingStrategies();
+  strategies.register('last', { select: candidates => candidates[candidates.length - 1] });
+
+  expect(strategies.names()).toContain('last');
+  expect(strategies.get('last').select([candidate('a', 0), candidate('b', 0)], {}).socketId).toBe('b');
+});
+
+test('custom strategies must implement select', () => {
+  expect(() => new RoutingStrategies().register('broken', {})).toThrow(/must implement select/);
+});
@@ -0,0 +1,78 @@
+// test/services/sessionAffinity.test.js
+const { SessionAffinity } = require('../../src/services/sessionAffinity');
+
+const CONSUMER_ID = '507f1f77bcf86cd7994390aa';
+const system = { role: 'system', content: 'Be brief.' };
+const user = content => ({ role: 'user', content });
+const assistant = content => ({ role: 'assistant', content });
+
+const createAffinity = (options = {}) => new SessionAffinity({ ttl_seconds: 60, max_sessions: 10, ...options });
+
+afterEach(() => jest.useRealTimers());
+
+describe('SessionAffinity.key', () => {
+  const affinity = createAffinity();
+
+  test('stays the same on every turn of a conversation', () => {
+    const first = affinity.key(CONSUMER_ID, { messages: [system, user('hi')] });
+    const later = affinity.key(CONSUMER_ID, { messages: [system, user('hi'), assistant('hello'), user('and?')] });
+
+    expect(later).toBe(first);
+  });
+
+  test('differs between conversations and consumers', () => {
+    const key = affinity.key(CONSUMER_ID, { messages: [user('hi')] });
+
+    expect(affinity.key(CONSUMER_ID, { messages: [user('hello')] })).not.toBe(key);
+    expect(affinity.key(CONSUMER_ID, { messages: [system, user('hi')] })).not.toBe(key);
+    expect(affinity.key('507f1f77bcf86cd7994390bb', { messages: [user('hi')] })).not.toBe(key);
+  });
+
+  test('prefers an explicit session_id', () => {
+    const key = affinity.key(CONSUMER_ID, { session_id: 'chat-1', messages: [user('hi')] });
+
+    expect(affinity.key(CONSUMER_ID, { session_id: 'chat-1', messages: [user('other')] })).toBe(key);
+  });
+
+  test('is null without a user message', () => {
+    expect(affinity.key(CONSUMER_ID, { messages: [system] })).toBeNull();
+  });
+});
+
+describe('SessionAffinity sessions', () => {
+  test('expire after the TTL, renewed by every turn', () => {
+    jest.useFakeTimers();
+    const affinity = createAffinity({ ttl_seconds: 10 });
+
+    affinity.set('a', 's1');
+    jest.advanceTimersByTime(8000);
+    affinity.set('a', 's1');
+    jest.advanceTimersByTime(8000);
+    expect(affinity.get('a')).toBe('s1');
+
+    jest.advanceTimersByTime(3000);
+    expect(affinity.get('a')).toBeNull();
+  });
+
+  test('drop the oldest session once full', () => {
+    const affinity = createAffinity({ max_sessions: 2 });
+
+    affinity.set('a', 's1');
+    affinity.set('b', 's2');
+    affinity.set('c', 's3');
+
+    expect(affinity.get('a')).toBeNull();
+    expect(affinity.get('b')).toBe('s2');
+    expect(affinity.get('c')).toBe('s3');
+  });
+
+  test('ignore missing keys and providers', () => {
+    const affinity = createAffinity();
+
+    affinity.set(null, 's1');
+    affinity.set('a', null);
+
+    expect(affinity.sessions.size).toBe(0);
+    expect(affinity.get(null)).toBeNull();
+  });
+});
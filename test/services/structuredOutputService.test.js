@@ -0,0 +1,58 @@
+// test/services/structuredOutputService.test.js
+const StructuredOutputService = require('../../src/services/structuredOutputService');
+
+const reply = content => ({ choices: [{ message: { role: 'assistant', content } }] });
+
+const jsonSchema = schema => ({ type: 'json_schema', json_schema: { name: 'answer', schema } });
+
+const personSchema = {
+  $id: 'https://example.com/person.json',
+  type: 'object',
+  properties: { name: { type: 'string' }, age: { type: 'integer' } },
+  required: ['name', 'age']
+};
+
+describe('StructuredOutputService.createValidator', () => {
+  test('needs no validator for text output', () => {
+    expect(StructuredOutputService.createValidator(undefined)).toBeNull();
+    expect(StructuredOutputService.createValidator({ type: 'text' })).toBeNull();
+  });
+
+  test('json_object accepts any JSON, fenced or not', () => {
+    const validate = StructuredOutputService.createValidator({ type: 'json_object' });
+
+    expect(() => validate(reply('{"a":1}'))).not.toThrow();
+    expect(() => validate(reply('```json\n{"a":1}\n```'))).not.toThrow();
+    expect(() => validate(reply('not json'))).toThrow(expect.objectContaining({ code: 'INVALID_STRUCTURED_OUTPUT' }));
+    expect(() => validate(reply(''))).toThrow(expect.objectContaining({ code: 'INVALID_STRUCTURED_OUTPUT' }));
+  });
+
+  test('json_schema rejects output that does not match the schema', () => {
+    const validate = StructuredOutputService.createValidator(jsonSchema(personSchema));
+
+    expect(() => validate(reply('{"name":"Ada","age":36}'))).not.toThrow();
+    expect(() => validate(reply('{"name":"Ada"}'))).toThrow(/does not match the requested schema/);
+  });
+
+  test('the same $id schema can be used by any number of requests', () => {
+    const first = StructuredOutputService.createValidator(jsonSchema(personSchema));
+    const second = StructuredOutputService.createValidator(jsonSchema(personSchema));
+    const changed = StructuredOutputService.createValidator(jsonSchema({
+      ...personSchema,
+      required: ['name']
+    }));
+
+    expect(() => first(reply('{"name":"Ada","age":36}'))).not.toThrow();
+    expect(() => second(reply('{"name":"Ada","age":36}'))).not.toThrow();
+    expect(() => changed(reply('{"name":"Ada"}'))).not.toThrow();
+  });
+
+  test('rejects invalid schemas and unknown formats as bad requests', () => {
+    expect(() => StructuredOutputService.createValidator(jsonSchema({ type: 'not-a-type' })))
+      .toThrow(expect.objectContaining({ code: 'INVALID_RESPONSE_FORMAT', param: 'response_format' }));
+    expect(() => StructuredOutputService.createValidator({ type: 'json_schema', json_schema: {} }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_RESPONSE_FORMAT' }));
+    expect(() => StructuredOutputService.createValidator({ type: 'yaml' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_RESPONSE_FORMAT' }));
+  });
+});
@@ -0,0 +1,102 @@
+// test/services/tokenizerService.test.js
+const TokenizerService = require('../../src/services/tokenizerService');
+
+const MODEL = 'llama3.1:8b';
+const words = (word, count) => Array(count).fill(word).join(' ');
+const tokens = messages => TokenizerService.countMessages(messages, MODEL);
+
+describe('TokenizerService counts', () => {
+  test('charge CJK text per character', () => {
+    expect(TokenizerService.countText('', MODEL)).toBe(0);
+    expect(TokenizerService.countText('你好世界', MODEL)).toBe(4);
+  });
+
+  test('depend on the model family', () => {
+    const text = words('internationalization', 50);
+
+    expect(TokenizerService.countText(text, 'llama3.1:8b'))
+      .toBeLessThan(TokenizerService.countText(text, 'mistral-7b'));
+  });
+
+  test('include message overhead, images and tool definitions', () => {
+    const messages = [{ role: 'user', content: 'hello' }];
+    const withImage = [{ role: 'user', content: [{ type: 'text', text: 'hello' }, { type: 'image_url', image_url: { url: 'data:' } }] }];
+    const tools = [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }];
+
+    expect(tokens(messages)).toBeGreaterThan(TokenizerService.countText('hello', MODEL));
+    expect(tokens(withImage) - tokens(messages)).toBe(576);
+    expect(TokenizerService.countMessages(messages, MODEL, tools)).toBeGreaterThan(tokens(messages));
+  });
+});
+
+describe('TokenizerService.fitContext', () => {
+  const system = { role: 'system', content: 'Be brief.' };
+  const turn = (role, word) => ({ role, content: words(word, 40) });
+  const conversation = [
+    system,
+    turn('user', 'first'),
+    turn('assistant', 'second'),
+    turn('user', 'third'),
+    turn('assistant', 'fourth'),
+    turn('user', 'latest')
+  ];
+  const contents = messages => messages.map(message => message.content.split(' ')[0]);
+  const fit = (messages, options) => TokenizerService.fitContext({ messages, model: MODEL, ...options });
+
+  test('leaves prompts that fit alone', () => {
+    const fitted = fit(conversation, { context: 8192, maxTokens: 256 });
+
+    expect(fitted).toEqual({ messages: conversation, promptTokens: tokens(conversation), removedMessages: 0 });
+  });
+
+  test('rejects an overlong prompt without a truncation strategy', () => {
+    expect(() => fit(conversation, { context: tokens(conversation) - 1 }))
+      .toThrow(expect.objectContaining({ code: 'CONTEXT_LENGTH_EXCEEDED', param: 'messages' }));
+  });
+
+  test('rejects max_tokens that leave no room for the prompt', () => {
+    expect(() => fit(conversation, { context: 100, maxTokens: 100 }))
+      .toThrow(expect.objectContaining({ code: 'CONTEXT_LENGTH_EXCEEDED', param: 'max_tokens' }));
+  });
+
+  test('oldest_first drops the earliest turns and keeps the system prompt', () => {
+    const kept = [system, ...conversation.slice(3)];
+
+    const fitted = fit(conversation, { context: tokens(kept) + 50, maxTokens: 50, truncation: 'oldest_first' });
+
+    expect(contents(fitted.messages)).toEqual(['Be', 'third', 'fourth', 'latest']);
+    expect(fitted.removedMessages).toBe(2);
+    expect(fitted.promptTokens).toBe(tokens(kept));
+  });
+
+  test('middle_out drops the middle turns first', () => {
+    const kept = [system, conversation[1], conversation[4], conversation[5]];
+
+    const fitted = fit(conversation, { context: tokens(kept), truncation: 'middle_out' });
+
+    expect(contents(fitted.messages)).toEqual(['Be', 'first', 'fourth', 'latest']);
+  });
+
+  test('drops a tool call together with its results', () => {
+    const messages = [
+      system,
+      turn('user', 'first'),
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: words('result', 40) },
+      turn('user', 'latest')
+    ];
+    const budget = tokens(messages.filter((message, index) => index !== 1));
+
+    const fitted = fit(messages, { context: budget, truncation: 'oldest_first' });
+    expect(fitted.messages.map(message => message.role)).toEqual(['system', 'assistant', 'tool', 'user']);
+
+    const tighter = fit(messages, { context: budget - 1, truncation: 'oldest_first' });
+    expect(tighter.messages.map(message => message.role)).toEqual(['system', 'user']);
+    expect(tighter.removedMessages).toBe(3);
+  });
+
+  test('fails when the system prompt and latest message alone are too long', () => {
+    expect(() => fit(conversation, { context: 20, truncation: 'oldest_first' }))
+      .toThrow(expect.objectContaining({ code: 'CONTEXT_LENGTH_EXCEEDED', param: 'messages' }));
+  });
+});
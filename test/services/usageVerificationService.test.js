@@ -0,0 +1,89 @@
+// test/services/usageVerificationService.test.js
+const UsageVerificationService = require('../../src/services/usageVerificationService');
+
+describe('UsageVerificationService.verify', () => {
+  test('passes claims within tolerance through untouched', () => {
+    const claimed = { prompt_tokens: 110, completion_tokens: 48, total_tokens: 158 };
+
+    const usage = UsageVerificationService.verify(claimed, { prompt_tokens: 100, completion_tokens: 50 });
+
+    expect(usage).toBe(claimed);
+  });
+
+  test('bills inflated claims at the estimate and keeps the claim for audit', () => {
+    const claimed = { prompt_tokens: 1000, completion_tokens: 50, total_tokens: 1050 };
+
+    const usage = UsageVerificationService.verify(claimed, { prompt_tokens: 100, completion_tokens: 50 });
+
+    expect(usage).toMatchObject({ prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 });
+    expect(usage.verification).toMatchObject({
+      flagged: true,
+      claimed: { prompt_tokens: 1000, completion_tokens: 50, total_tokens: 1050 },
+      deviations: { prompt_tokens: 900 }
+    });
+  });
+
+  test('bills understated claims at the claim', () => {
+    const claimed = { prompt_tokens: 10, completion_tokens: 500, total_tokens: 510 };
+
+    const usage = UsageVerificationService.verify(claimed, { prompt_tokens: 10, completion_tokens: 2000 });
+
+    expect(usage.completion_tokens).toBe(500);
+    expect(usage.verification.deviations).toEqual({ completion_tokens: -1500 });
+  });
+
+  test('allows slack on very short texts', () => {
+    const claimed = { prompt_tokens: 20, completion_tokens: 1, total_tokens: 21 };
+
+    expect(UsageVerificationService.verify(claimed, { prompt_tokens: 4, completion_tokens: 1 })).toBe(claimed);
+  });
+
+  test('bills an inflated total at the sum of its parts', () => {
+    const claimed = { prompt_tokens: 100, completion_tokens: 50, total_tokens: 90000 };
+
+    const usage = UsageVerificationService.verify(claimed, { prompt_tokens: 100, completion_tokens: 50 });
+
+    expect(usage).toMatchObject({ prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 });
+    expect(usage.verification).toMatchObject({
+      flagged: true,
+      claimed: { total_tokens: 90000 },
+      deviations: { total_tokens: 89850 }
+    });
+  });
+
+  test('checks the total even when a part has no estimate', () => {
+    const claimed = { prompt_tokens: 5000, completion_tokens: 20, total_tokens: 50000 };
+
+    const usage = UsageVerificationService.verify(claimed, { prompt_tokens: null, completion_tokens: 20 });
+
+    expect(usage.total_tokens).toBe(5020);
+    expect(usage.verification.deviations).toEqual({ total_tokens: 44980 });
+  });
+
+  test('skips fields without an estimate', () => {
+    const claimed = { prompt_tokens: 5000, completion_tokens: 20, total_tokens: 5020 };
+
+    const usage = UsageVerificationService.verify(claimed, { prompt_tokens: null, completion_tokens: 20 });
+
+    expect(usage).toBe(claimed);
+  });
+});
+
+describe('UsageVerificationService.verifyDuration', () => {
+  test('passes durations the file can hold', () => {
+    const claimed = { seconds: 30 };
+
+    expect(UsageVerificationService.verifyDuration(claimed, 31.5)).toBe(claimed);
+  });
+
+  test('caps longer claims at what the file holds', () => {
+    const usage = UsageVerificationService.verifyDuration({ seconds: 600 }, 86);
+
+    expect(usage.seconds).toBe(86);
+    expect(usage.verification).toMatchObject({
+      claimed: { seconds: 600 },
+      estimated: { max_seconds: 86 },
+      deviations: { seconds: 514 }
+    });
+  });
+});
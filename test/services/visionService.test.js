@@ -0,0 +1,141 @@
+// test/services/visionService.test.js
+const http = require('http');
+const config = require('../../src/config');
+const VisionService = require('../../src/services/visionService');
+
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+const imageMessage = url => [{ role: 'user', content: [{ type: 'image_url', image_url: { url } }] }];
+const prepare = url => VisionService.prepareMessages(imageMessage(url));
+
+describe('VisionService address check', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '224.0.0.1', '255.255.255.255', '::', '::1', 'fd00::1', 'fe80::1', 'ff02::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe'
+  ])('%s is private', address => {
+    expect(VisionService._isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:808:808'])('%s is public', address => {
+    expect(VisionService._isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('VisionService.prepareMessages', () => {
+  test('keeps base64 data URLs', async () => {
+    const url = `data:image/png;base64,${PNG.toString('base64')}`;
+
+    expect((await prepare(url))[0].content[0].image_url.url).toBe(url);
+  });
+
+  test.each([
+    'http://127.0.0.1/image.png',
+    'http://[::1]/image.png',
+    'http://[::ffff:7f00:1]/image.png',
+    'http://224.0.0.1/image.png'
+  ])('refuses to fetch %s', async url => {
+    await expect(prepare(url)).rejects.toMatchObject({
+      code: 'INVALID_IMAGE',
+      message: expect.stringContaining('not publicly reachable')
+    });
+  });
+
+  test('refuses hosts that resolve to a private address', async () => {
+    await expect(prepare('http://localhost:1/image.png')).rejects.toMatchObject({
+      code: 'INVALID_IMAGE',
+      message: expect.stringContaining('not publicly reachable')
+    });
+  });
+
+  test('refuses non-http URLs', async () => {
+    await expect(prepare('file:///etc/passwd')).rejects.toMatchObject({ code: 'INVALID_IMAGE' });
+  });
+
+  describe('fetching from a server', () => {
+    let server;
+    let origin;
+    let isPrivate;
+
+    // The test server listens on loopback, so that one address counts as public here
+    beforeAll(done => {
+      server = http.createServer((req, res) => {
+        const redirects = {
+          '/to-private': 'http://10.0.0.1/image.png',
+          '/to-loopback': 'http://[::1]/image.png',
+          '/to-file': 'file:///etc/passwd',
+          '/to-image': '/image.png'
+        };
+        if (redirects[req.url]) {
+          res.writeHead(302, { location: redirects[req.url] });
+          return res.end();
+        }
+        if (req.url === '/page') {
+          res.writeHead(200, { 'content-type': 'text/html' });
+          return res.end('<html></html>');
+        }
+        res.writeHead(200, { 'content-type': 'image/png' });
+        res.end(PNG);
+      });
+      server.listen(0, '127.0.0.1', () => {
+        origin = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      isPrivate = VisionService._isPrivateAddress;
+      jest.spyOn(VisionService, '_isPrivateAddress')
+        .mockImplementation(address => address !== '127.0.0.1' && isPrivate.call(VisionService, address));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('inlines a downloaded image as a data URL', async () => {
+      const messages = await prepare(`${origin}/image.png`);
+
+      expect(messages[0].content[0].image_url.url).toBe(`data:image/png;base64,${PNG.toString('base64')}`);
+    });
+
+    test('follows redirects to public hosts', async () => {
+      const messages = await prepare(`${origin}/to-image`);
+
+      expect(messages[0].content[0].image_url.url).toMatch(/^data:image\/png;base64,/);
+    });
+
+    test.each(['/to-private', '/to-loopback'])('checks the host after redirect %s', async path => {
+      await expect(prepare(`${origin}${path}`)).rejects.toMatchObject({
+        code: 'INVALID_IMAGE',
+        message: expect.stringContaining('not publicly reachable')
+      });
+    });
+
+    test('refuses redirects to non-http URLs', async () => {
+      await expect(prepare(`${origin}/to-file`)).rejects.toMatchObject({
+        message: expect.stringContaining('unsupported URL')
+      });
+    });
+
+    test('refuses responses that are not images', async () => {
+      await expect(prepare(`${origin}/page`)).rejects.toMatchObject({
+        message: expect.stringContaining('did not return an image')
+      });
+    });
+
+    test('refuses images over the size limit', async () => {
+      const limit = config.vision.max_image_bytes;
+      config.vision.max_image_bytes = 16;
+      try {
+        await expect(prepare(`${origin}/image.png`)).rejects.toMatchObject({
+          message: expect.stringContaining('limit')
+        });
+      } finally {
+        config.vision.max_image_bytes = limit;
+      }
+    });
+  });
+});
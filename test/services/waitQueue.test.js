@@ -0,0 +1,104 @@
+// test/services/waitQueue.test.js
+const WaitQueue = require('../../src/services/waitQueue');
+
+const weights = { interactive: 4, standard: 2, batch: 1 };
+const createQueue = (options = {}) =>
+  new WaitQueue({ max_depth: 10, max_wait_ms: 100, priority_weights: weights, ...options });
+const serveAll = () => true;
+
+// Queue a request that records its consumer in `served` once it's let through,
+// the ones still waiting when the test ends time out quietly
+function enqueue(queue, served, consumerId, options = {}) {
+  return queue.wait('medium', { consumerId, ...options })
+    .then(() => served.push(consumerId), () => {});
+}
+
+// Wake the queue one waiter at a time
+async function drain(queue, count) {
+  for (let i = 0; i < count; i++) {
+    queue.wake(serveAll);
+    await Promise.resolve();
+  }
+}
+
+describe('WaitQueue', () => {
+  test('shares slots between consumers instead of serving a flood first', async () => {
+    const queue = createQueue();
+    const served = [];
+    for (let i = 0; i < 4; i++) enqueue(queue, served, 'flooder');
+    enqueue(queue, served, 'other');
+
+    await drain(queue, 5);
+
+    expect(served).toEqual(['flooder', 'other', 'flooder', 'flooder', 'flooder']);
+  });
+
+  test('higher priorities advance their tags more slowly', async () => {
+    const queue = createQueue();
+    const served = [];
+    for (let i = 0; i < 3; i++) enqueue(queue, served, 'batcher', { priority: 'batch' });
+    for (let i = 0; i < 3; i++) enqueue(queue, served, 'chatter', { priority: 'interactive' });
+
+    await drain(queue, 6);
+
+    expect(served).toEqual(['chatter', 'chatter', 'chatter', 'batcher', 'batcher', 'batcher']);
+  });
+
+  test('wakes only waiters the freed provider can serve', async () => {
+    const queue = createQueue();
+    const served = [];
+    enqueue(queue, served, 'tools-user', { requires: { features: ['tools'] } });
+    enqueue(queue, served, 'plain-user');
+
+    queue.wake((key, requires) => !requires.features?.includes('tools'));
+    await Promise.resolve();
+
+    expect(served).toEqual(['plain-user']);
+    expect(queue.size('medium')).toBe(1);
+  });
+
+  test('rejects new waiters once the queue is full', async () => {
+    const queue = createQueue({ max_depth: 1 });
+    enqueue(queue, [], 'a');
+
+    await expect(queue.wait('medium')).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+  });
+
+  test('times out waiters nobody wakes', async () => {
+    jest.useFakeTimers();
+    try {
+      const queue = createQueue();
+      const waiting = queue.wait('medium');
+      jest.advanceTimersByTime(100);
+
+      await expect(waiting).rejects.toMatchObject({ code: 'QUEUE_TIMEOUT' });
+      expect(queue.size('medium')).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('leaves the queue when the client goes away', async () => {
+    const queue = createQueue();
+    const controller = new AbortController();
+    const waiting = queue.wait('medium', { signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(queue.size('medium')).toBe(0);
+  });
+
+  test('a waiter that lost its slot keeps its place with its tag', async () => {
+    const queue = createQueue();
+    const first = queue.wait('medium', { consumerId: 'a' });
+    queue.wake(serveAll);
+    const tag = await first;
+
+    enqueue(queue, [], 'b');
+    const retry = queue.wait('medium', { consumerId: 'a', tag });
+    queue.wake(serveAll);
+
+    await expect(retry).resolves.toBe(tag);
+    expect(queue.size('medium')).toBe(1);
+  });
+});